@@ -90,14 +90,25 @@ module.exports = {
     
     // TaskFlow globals
     taskFlow: 'writable',                   // Main application instance
-    TaskFlow: 'readonly'                    // TaskFlow class
+    TaskFlow: 'readonly',                   // TaskFlow class
+    OfflineStore: 'readonly',               // IndexedDB copy (scripts/offlineStore.js)
+    QuickAdd: 'readonly',                   // Inline task syntax (scripts/quickAdd.js)
+    DueTime: 'readonly',                    // Due instants and days (scripts/dueTime.js)
+    module: 'readonly'                      // Node's, for the exports at the end of each script
   },
 
   // Override rules for specific files
   overrides: [
+    {
+      // The browser scripts are indented with 4 spaces
+      files: ['public/**/*.js'],
+      rules: {
+        'indent': ['error', 4, { SwitchCase: 1 }]
+      }
+    },
     {
       // More lenient rules for main application file
-      files: ['scripts/app.js'],
+      files: ['public/scripts/app.js'],
       rules: {
         'max-lines-per-function': ['warn', 100],  // Allow longer methods in main class
         'complexity': ['warn', 15]                // Allow higher complexity in main file
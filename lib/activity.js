@@ -0,0 +1,70 @@
+const Activity = require('../models/Activity');
+
+// Fields whose changes show up in a task's history
+const TRACKED_FIELDS = [
+  'title', 'notes', 'status', 'priority', 'category', 'labels', 'dueDate', 'dueTime', 'assignee', 'recurrence',
+  'autoComplete', 'blockedBy'
+];
+
+const normalize = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const snapshotTask = (task) => task.toObject({ depopulate: true });
+
+const diffTask = (before, after) => TRACKED_FIELDS
+  .map(field => ({ field, from: normalize(before[field]), to: normalize(after[field]) }))
+  .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+
+const record = (task, actor, action, changes = []) => Activity.create({
+  task: task._id,
+  project: task.project,
+  actor: actor._id,
+  action,
+  title: task.title,
+  changes
+});
+
+const recordCreate = (task, actor) => record(task, actor, 'create');
+
+// One 'create' entry per task, written in a single batch
+const recordCreates = (tasks, actor) => Activity.insertMany(tasks.map(task => ({
+  task: task._id,
+  project: task.project,
+  actor: actor._id,
+  action: 'create',
+  title: task.title
+})));
+
+const recordDelete = (task, actor) => record(task, actor, 'delete');
+
+const recordRestore = (task, actor) => record(task, actor, 'restore');
+
+const recordComment = (task, actor) => record(task, actor, 'comment');
+
+const recordCompletion = (task, actor) => record(task, actor, task.completed ? 'complete' : 'reopen');
+
+// `before` is a snapshotTask() taken before the change was applied
+const recordUpdate = async (before, task, actor) => {
+  const after = snapshotTask(task);
+  if (before.completed !== after.completed) await recordCompletion(task, actor);
+
+  // Completing or reopening moves the status along; the completion entry covers that
+  const changes = diffTask(before, after)
+    .filter(change => change.field !== 'status' || before.completed === after.completed);
+  if (changes.length) await record(task, actor, 'update', changes);
+};
+
+const recordChecklist = (task, actor, summary) => {
+  return record(task, actor, 'update', [{ field: 'checklist', from: null, to: summary }]);
+};
+
+module.exports = {
+  snapshotTask,
+  recordCreate,
+  recordCreates,
+  recordUpdate,
+  recordDelete,
+  recordRestore,
+  recordComment,
+  recordCompletion,
+  recordChecklist
+};
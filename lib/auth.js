@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const TOKEN_COOKIE = 'taskflow_token';
+const TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Without JWT_SECRET every restart signs everybody out
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+  console.warn('JWT_SECRET is not set; using a random secret until the server restarts');
+}
+
+const signToken = (user) => jwt.sign({ sub: user.id }, JWT_SECRET, { expiresIn: TOKEN_TTL_SECONDS });
+
+const verifyToken = (token) => jwt.verify(token, JWT_SECRET);
+
+// The browser app uses the cookie; API clients may send its value as a Bearer token instead
+const readToken = (req) => {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7);
+  return req.cookies ? req.cookies[TOKEN_COOKIE] : undefined;
+};
+
+const setAuthCookie = (res, token) => {
+  res.cookie(TOKEN_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: TOKEN_TTL_SECONDS * 1000
+  });
+};
+
+const clearAuthCookie = (res) => {
+  res.clearCookie(TOKEN_COOKIE, { httpOnly: true, sameSite: 'strict' });
+};
+
+module.exports = { signToken, verifyToken, readToken, setAuthCookie, clearAuthCookie };
@@ -0,0 +1,72 @@
+// Spreadsheets run cells starting with these as formulas, so they are written
+// with a leading apostrophe, which the reader strips again
+const FORMULA_START = /^'?[=+\-@]/;
+
+// Minimal RFC 4180 CSV reader: quoted fields, doubled quotes, CRLF or LF rows
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Rows as objects keyed by the lower-cased header row
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const keys = header.map(name => name.trim().toLowerCase());
+  return rows.map(cells => {
+    const record = {};
+    keys.forEach((key, index) => {
+      const cell = cells[index] === undefined ? '' : cells[index];
+      const escaped = cell.startsWith('\'') && FORMULA_START.test(cell.slice(1));
+      if (key) record[key] = escaped ? cell.slice(1) : cell;
+    });
+    return record;
+  });
+};
+
+const formatCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows of cells to CSV text, CRLF-separated as RFC 4180 asks
+const formatCsv = (rows) => rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+
+module.exports = { parseCsv, parseCsvRecords, formatCsv };
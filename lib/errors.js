@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Error carrying the HTTP status and payload returned by the error middleware
+// `extra` holds additional members of the error body, e.g. { current } on conflicts
+class HttpError extends Error {
+  constructor(status, code, message, details = [], extra = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.extra = extra;
+  }
+}
+
+const badRequest = (message, details) => new HttpError(400, 'BAD_REQUEST', message, details);
+
+// 400 for one bad field of a query or body
+const invalid = (field, message) => badRequest(message, [{ field, message }]);
+
+const unauthorized = (message = 'Please sign in to continue') => new HttpError(401, 'UNAUTHORIZED', message);
+
+const forbidden = (message = 'You do not have permission to do that') => new HttpError(403, 'FORBIDDEN', message);
+
+const notFound = (message = 'Resource not found') => new HttpError(404, 'NOT_FOUND', message);
+
+const conflict = (message, details, extra) => new HttpError(409, 'CONFLICT', message, details, extra);
+
+const unprocessable = (message, details) => new HttpError(422, 'VALIDATION_ERROR', message, details);
+
+const describeField = (error) => {
+  if (error instanceof mongoose.Error.CastError) {
+    return { field: error.path, message: `${error.path} must be a valid ${error.kind.toLowerCase()}` };
+  }
+  return { field: error.path, message: error.message };
+};
+
+// [{ field, message }] for each failed path of a Mongoose ValidationError
+const validationDetails = (error) => Object.values(error.errors).map(describeField);
+
+module.exports = {
+  HttpError,
+  badRequest,
+  invalid,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  unprocessable,
+  validationDetails
+};
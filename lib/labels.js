@@ -0,0 +1,52 @@
+const Label = require('../models/Label');
+const Task = require('../models/Task');
+const { publishTaskEvent } = require('./taskEvents');
+
+// Tasks of the list a label belongs to, trashed ones included
+const taskFilterOf = (label) => (label.project ? { project: label.project } : { owner: label.owner, project: null });
+
+// Labels of the list `scope` (from resolveTaskScope) names, by name
+// Lists get the built-ins on first use, and labels for any category their tasks
+// used before labels were stored
+const listLabels = async (scope) => {
+  const labelScope = Label.scopeOf(scope);
+  if (!(await Label.exists(labelScope))) {
+    await Label.ensureKeys(labelScope, Label.BUILT_IN_KEYS);
+  }
+
+  const [categories, labels] = await Promise.all([
+    Task.distinct('category', scope),
+    Task.distinct('labels', scope)
+  ]);
+  await Label.ensureKeys(labelScope, [...categories, ...labels]);
+  return Label.find(labelScope).collation({ locale: 'en' }).sort({ name: 1 });
+};
+
+// Points the tasks using label key `from` at `to` instead; with `to` null the
+// label is dropped and tasks it was the category of fall back to the default
+// One pipeline update, so each task changes (and bumps its version) once
+const relabelTasks = async (label, from, to) => {
+  const filter = { ...taskFilterOf(label), $or: [{ category: from }, { labels: from }] };
+  const ids = await Task.distinct('_id', filter);
+  if (!ids.length) return 0;
+
+  const labels = { $ifNull: ['$labels', []] };
+  const kept = { $filter: { input: labels, cond: { $ne: ['$$this', from] } } };
+  await Task.updateMany({ _id: { $in: ids } }, [
+    {
+      $set: {
+        category: { $cond: [{ $eq: ['$category', from] }, to || Label.DEFAULT_CATEGORY, '$category'] },
+        labels: to ? { $cond: [{ $in: [from, labels] }, { $setUnion: [kept, [to]] }, kept] } : kept,
+        __v: { $add: [{ $ifNull: ['$__v', 0] }, 1] }
+      }
+    },
+    { $set: { labels: { $filter: { input: '$labels', cond: { $ne: ['$$this', '$category'] } } } } }
+  ]);
+
+  // updateMany skips document middleware, so announce the changes here
+  const tasks = await Task.find({ _id: { $in: ids }, deletedAt: null });
+  tasks.forEach(task => publishTaskEvent('updated', task));
+  return ids.length;
+};
+
+module.exports = { listLabels, relabelTasks };
@@ -0,0 +1,83 @@
+const Task = require('../models/Task');
+const Activity = require('../models/Activity');
+const User = require('../models/User');
+const { dueInstant } = require('../public/scripts/dueTime');
+
+// Tasks stored before accounts existed have no owner, so no one could see them.
+// They go to the account with the email in LEGACY_TASK_OWNER, or else to the
+// oldest account; without any account yet they wait for the first sign-up
+const adoptLegacyTasks = async () => {
+  if (!await Task.exists({ owner: null })) return { modifiedCount: 0 };
+
+  const email = process.env.LEGACY_TASK_OWNER;
+  const owner = email
+    ? await User.findOne({ email: email.trim().toLowerCase() })
+    : await User.findOne().sort({ createdAt: 1 });
+  if (!owner) return { modifiedCount: 0 };
+  return Task.updateMany({ owner: null }, { $set: { owner: owner._id, project: null } });
+};
+
+// Fills in fields added after tasks were first stored; each step only touches
+// documents still missing the field, so running them on every start is cheap
+const MIGRATIONS = [
+  { name: 'task owner', run: adoptLegacyTasks },
+  {
+    name: 'task status',
+    run: () => Task.updateMany({ status: { $exists: false } }, [
+      { $set: { status: { $cond: ['$completed', 'done', 'todo'] } } }
+    ])
+  },
+  {
+    // Older tasks keep the order they were created in
+    name: 'task order',
+    run: () => Task.updateMany({ order: { $exists: false } }, [
+      { $set: { order: { $toDouble: '$createdAt' } } }
+    ])
+  },
+  {
+    // Tasks completed earlier take the time of their last completion in the
+    // activity log; the rest, and open tasks, get null
+    name: 'task completedAt',
+    run: async () => {
+      if (!await Task.exists({ completedAt: { $exists: false } })) return { modifiedCount: 0 };
+
+      const completions = await Activity.aggregate([
+        { $match: { action: 'complete' } },
+        { $group: { _id: '$task', at: { $max: '$createdAt' } } }
+      ]);
+      const stamped = completions.length ? await Task.bulkWrite(completions.map(({ _id, at }) => ({
+        updateOne: {
+          filter: { _id, completed: true, completedAt: { $exists: false } },
+          update: { $set: { completedAt: at } }
+        }
+      }))) : { modifiedCount: 0 };
+      const cleared = await Task.updateMany({ completedAt: { $exists: false } }, { $set: { completedAt: null } });
+      return { modifiedCount: stamped.modifiedCount + cleared.modifiedCount };
+    }
+  },
+  {
+    // Timed tasks get the instant they fall due; all-day tasks get null
+    name: 'task dueAt',
+    run: async () => {
+      const timed = await Task.find({ dueAt: { $exists: false }, dueTime: { $ne: null } })
+        .select('dueDate dueTime timeZone').lean();
+      const stamped = timed.length ? await Task.bulkWrite(timed.map(task => ({
+        updateOne: {
+          filter: { _id: task._id },
+          update: { $set: { dueAt: dueInstant(task.dueDate, task.dueTime, task.timeZone) } }
+        }
+      }))) : { modifiedCount: 0 };
+      const cleared = await Task.updateMany({ dueAt: { $exists: false } }, { $set: { dueAt: null } });
+      return { modifiedCount: stamped.modifiedCount + cleared.modifiedCount };
+    }
+  }
+];
+
+const runMigrations = async () => {
+  for (const migration of MIGRATIONS) {
+    const { modifiedCount } = await migration.run();
+    if (modifiedCount) console.log(`Migrated ${migration.name} of ${modifiedCount} task(s)`);
+  }
+};
+
+module.exports = { runMigrations, adoptLegacyTasks };
@@ -0,0 +1,49 @@
+const dns = require('dns');
+const net = require('net');
+
+// Addresses user-supplied URLs must not reach: this host, private networks,
+// link-local ones (cloud metadata at 169.254.169.254 among them) and other
+// reserved blocks. IPv4-mapped IPv6 addresses are checked as IPv4
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+const NOT_PUBLIC = 'Host is not on the public internet';
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Whether every address `hostname` resolves to is public; names that don't
+// resolve count as not public
+const isPublicHost = async (hostname) => {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(host)) return isPublicAddress(host);
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    return addresses.length > 0 && addresses.every(({ address }) => isPublicAddress(address));
+  } catch (error) {
+    return false;
+  }
+};
+
+// Drop-in for dns.lookup in http.request, so a connection only ever opens to
+// an address that was checked, even if the name resolves differently by then
+const lookupPublic = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!addresses.length || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(new Error(NOT_PUBLIC));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = { NOT_PUBLIC, isPublicAddress, isPublicHost, lookupPublic };
@@ -0,0 +1,60 @@
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'interval'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Due dates are midnight UTC, so all date arithmetic here stays in UTC
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Day `dayOfMonth` of the given month, clamped to the month's length (31 -> Feb 28)
+const monthDay = (year, month, dayOfMonth) => {
+  return new Date(Date.UTC(year, month, Math.min(dayOfMonth, daysInMonth(year, month))));
+};
+
+const nextWeekday = (from, weekdays) => {
+  const days = weekdays.length ? weekdays : [from.getUTCDay()];
+  for (let offset = 1; offset <= 7; offset++) {
+    const candidate = addDays(from, offset);
+    if (days.includes(candidate.getUTCDay())) return candidate;
+  }
+  return addDays(from, 7);
+};
+
+const nextMonthDay = (from, dayOfMonth) => {
+  const day = dayOfMonth || from.getUTCDate();
+  const sameMonth = monthDay(from.getUTCFullYear(), from.getUTCMonth(), day);
+  if (sameMonth > from) return sameMonth;
+  return monthDay(from.getUTCFullYear(), from.getUTCMonth() + 1, day);
+};
+
+const advance = (rule, from) => {
+  switch (rule.frequency) {
+    case 'daily':
+      return addDays(from, 1);
+    case 'weekly':
+      return nextWeekday(from, rule.weekdays || []);
+    case 'monthly':
+      return nextMonthDay(from, rule.dayOfMonth);
+    case 'interval':
+      return addDays(from, rule.interval || 1);
+    default:
+      return null;
+  }
+};
+
+// Due date of the occurrence after `from`, or null once the rule has run out
+const nextDueDate = (rule, from) => {
+  if (!rule || (rule.count && (rule.occurrence || 1) >= rule.count)) return null;
+
+  const next = advance(rule, startOfDay(from));
+  if (!next || (rule.endDate && next > startOfDay(rule.endDate))) return null;
+  return next;
+};
+
+module.exports = { FREQUENCIES, nextDueDate };
@@ -0,0 +1,119 @@
+const Task = require('../models/Task');
+const { publishReminder } = require('./taskEvents');
+const { startSweep } = require('./sweep');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 100;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Delivery channels by name; each takes a notice (see buildNotice) and returns
+// a promise. REMINDER_CHANNELS lists the ones in use, e.g. "events,webhook"
+const channels = new Map();
+
+const registerChannel = (name, deliver) => {
+  channels.set(name, deliver);
+};
+
+// Open browser tabs of the recipient, over /api/events
+registerChannel('events', async (notice) => publishReminder(notice));
+
+// POSTs the notice as JSON to REMINDER_WEBHOOK_URL, e.g. a mail or push relay
+registerChannel('webhook', async (notice) => {
+  const url = process.env.REMINDER_WEBHOOK_URL;
+  if (!url) throw new Error('REMINDER_WEBHOOK_URL is not set');
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(notice),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+  if (!response.ok) throw new Error(`Webhook answered ${response.status}`);
+});
+
+// Stand-in for local setups without a real sender
+registerChannel('log', async (notice) => {
+  console.log(`Reminder for ${notice.user.email}: ${notice.task.title}`);
+});
+
+const enabledChannels = () => (process.env.REMINDER_CHANNELS || 'events')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+// Every channel gets its try; one failing doesn't hold up the others
+const deliver = async (notice) => {
+  for (const name of enabledChannels()) {
+    const channel = channels.get(name);
+    if (!channel) {
+      console.error(`Unknown reminder channel: ${name}`);
+      continue;
+    }
+    try {
+      await channel(notice);
+    } catch (error) {
+      console.error(`Reminder channel ${name} failed:`, error);
+    }
+  }
+};
+
+// Reminders go to the assignee, or to the owner of unassigned tasks
+const buildNotice = (task, reminder) => {
+  const user = task.assignee || task.owner;
+  return {
+    user: { id: user.id, name: user.name, email: user.email },
+    task: {
+      id: task.id,
+      project: task.project,
+      title: task.title,
+      dueDate: task.dueDate,
+      dueTime: task.dueTime,
+      timeZone: task.timeZone
+    },
+    reminder: { id: reminder.id, minutesBefore: reminder.minutesBefore, remindAt: reminder.remindAt }
+  };
+};
+
+const isDue = (reminder, now) => !reminder.sentAt && !reminder.dismissedAt &&
+  reminder.fireAt && reminder.fireAt <= now;
+
+// Marks the reminder sent unless a snooze, a dismissal or another sweep got to
+// it first; reminders go out at most once per firing
+const claim = async (task, reminder, now) => {
+  const pending = { _id: reminder._id, sentAt: null, fireAt: reminder.fireAt };
+  const { modifiedCount } = await Task.updateOne(
+    { _id: task._id, reminders: { $elemMatch: pending } },
+    { $set: { 'reminders.$.sentAt': now } }
+  );
+  return modifiedCount === 1;
+};
+
+// Sends the reminders of open tasks that are due; returns how many went out
+const deliverDueReminders = async (now = new Date()) => {
+  const tasks = await Task.find({
+    completed: false,
+    deletedAt: null,
+    reminders: { $elemMatch: { sentAt: null, dismissedAt: null, fireAt: { $lte: now } } }
+  })
+    .populate('owner assignee', 'name email')
+    .limit(BATCH_SIZE);
+
+  let sent = 0;
+  for (const task of tasks) {
+    for (const reminder of task.reminders.filter(candidate => isDue(candidate, now))) {
+      if (!(await claim(task, reminder, now))) continue;
+      // Nobody left to remind once the accounts are gone
+      if (!task.assignee && !task.owner) continue;
+      await deliver(buildNotice(task, reminder));
+      sent++;
+    }
+  }
+  return sent;
+};
+
+const startReminderScheduler = () => startSweep('Reminder sweep', SWEEP_INTERVAL_MS, async () => {
+  const count = await deliverDueReminders();
+  if (count) console.log(`Sent ${count} reminder(s)`);
+});
+
+module.exports = { registerChannel, deliverDueReminders, startReminderScheduler };
@@ -0,0 +1,21 @@
+// Runs `run` right away and then every `intervalMs`, logging failures as
+// `${name} failed`. A slow run isn't overlapped by the next one, and the
+// timer doesn't keep the process alive on its own
+const startSweep = (name, intervalMs, run) => {
+  let running = false;
+  const sweep = () => {
+    if (running) return;
+    running = true;
+    Promise.resolve()
+      .then(run)
+      .catch(error => console.error(`${name} failed:`, error))
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  sweep();
+  return setInterval(sweep, intervalMs).unref();
+};
+
+module.exports = { startSweep };
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { invalid } = require('./errors');
+const { buildTaskFilter } = require('./taskQuery');
+const { snapshotTask, recordCreate, recordUpdate, recordDelete, recordRestore } = require('./activity');
+
+const MAX_TASKS = 5000;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// The fields each action sets; `value` is the new priority, category or due date
+const ACTIONS = {
+  complete: () => ({ completed: true }),
+  reopen: () => ({ completed: false }),
+  delete: () => ({ deletedAt: new Date() }),
+  restore: () => ({ deletedAt: null }),
+  priority: (value) => ({ priority: value }),
+  category: (value) => ({ category: value }),
+  // A blank value clears the due date
+  reschedule: (value) => ({ dueDate: isBlank(value) ? null : value })
+};
+
+const REQUIRES_VALUE = ['priority', 'category'];
+
+const buildChanges = async (action, value) => {
+  if (!ACTIONS[action]) {
+    throw invalid('action', `action must be one of: ${Object.keys(ACTIONS).join(', ')}`);
+  }
+  if (REQUIRES_VALUE.includes(action) && isBlank(value)) {
+    throw invalid('value', `value is required for ${action}`);
+  }
+
+  // Every task gets the same values, so check them once before touching any
+  const changes = ACTIONS[action](value);
+  await new Task(changes).validate(Object.keys(changes));
+  return changes;
+};
+
+// Tasks named by `ids`, or every task matching `filter` (the list's status,
+// priority, category and search params); restore looks in the trash instead.
+// With a `limit`, the first that many are taken instead of failing past
+// MAX_TASKS, so large lists can be worked through in batches
+const findTargets = async ({ ids, filter, scope, trashed, limit }) => {
+  const where = { ...scope, deletedAt: trashed ? { $ne: null } : null };
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw invalid('ids', 'ids must be a non-empty array of task ids');
+    }
+    const malformed = ids.find(id => !mongoose.isValidObjectId(id));
+    if (malformed !== undefined) throw invalid('ids', `Invalid task id: ${malformed}`);
+    where._id = { $in: ids };
+  } else if (filter && typeof filter === 'object' && !Array.isArray(filter)) {
+    Object.assign(where, buildTaskFilter(filter));
+  } else {
+    throw invalid('ids', 'Send either ids or a filter');
+  }
+  if (limit !== undefined && !(Number.isInteger(limit) && limit >= 1 && limit <= MAX_TASKS)) {
+    throw invalid('limit', `limit must be an integer from 1 to ${MAX_TASKS}`);
+  }
+
+  if (limit !== undefined) return Task.find(where).sort({ _id: 1 }).limit(limit);
+  const tasks = await Task.find(where).limit(MAX_TASKS + 1);
+  if (tasks.length > MAX_TASKS) {
+    throw invalid('filter', `A bulk action can change at most ${MAX_TASKS} tasks; narrow the filter`);
+  }
+  return tasks;
+};
+
+const recordChange = async (action, before, task, actor) => {
+  if (action === 'delete') return recordDelete(task, actor);
+  if (action === 'restore') return recordRestore(task, actor);
+
+  await recordUpdate(before, task, actor);
+  // Completing a recurring task schedules its next occurrence
+  const next = await task.createNextOccurrence();
+  if (next) await recordCreate(next, actor);
+};
+
+// Saves tasks one by one so versions, events and activity work as for single
+// updates; tasks someone else saved meanwhile are skipped and reported
+const applyBulkAction = async ({ action, value, ids, filter, limit, scope, actor }) => {
+  const changes = await buildChanges(action, value);
+  const tasks = await findTargets({ ids, filter, scope, trashed: action === 'restore', limit });
+
+  const updated = [];
+  const conflicts = [];
+  for (const task of tasks) {
+    const before = snapshotTask(task);
+    task.set(changes);
+    if (!task.isModified()) continue;
+
+    try {
+      await task.save();
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError)) throw error;
+      conflicts.push(task.id);
+      continue;
+    }
+    updated.push(task.id);
+    await recordChange(action, before, task, actor);
+  }
+  return { matched: tasks.length, updated, conflicts };
+};
+
+module.exports = { BULK_ACTIONS: Object.keys(ACTIONS), MAX_TASKS, applyBulkAction };
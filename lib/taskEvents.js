@@ -0,0 +1,19 @@
+const { EventEmitter } = require('events');
+
+// In-process bus for task changes, streamed to browsers by routes/events.js
+const taskEvents = new EventEmitter();
+
+// Every open event stream adds a listener
+taskEvents.setMaxListeners(0);
+
+// Deleted tasks are published as { id, owner, project }
+const publishTaskEvent = (type, task) => {
+  taskEvents.emit('task', { type, task: typeof task.toJSON === 'function' ? task.toJSON() : task });
+};
+
+// Reminder notices from lib/reminders.js, streamed to the user they are for
+const publishReminder = (notice) => {
+  taskEvents.emit('reminder', notice);
+};
+
+module.exports = { taskEvents, publishTaskEvent, publishReminder };
@@ -0,0 +1,177 @@
+const { formatCsv } = require('./csv');
+
+// Column names match what lib/taskImport.js reads back
+const CSV_COLUMNS = [
+  'id', 'title', 'notes', 'priority', 'category', 'labels', 'completed', 'dueDate', 'dueTime', 'timeZone', 'items',
+  'autoComplete', 'recurrence', 'createdAt'
+];
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const ICS_PRIORITIES = { high: 1, medium: 5, low: 9 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Due dates are midnight UTC, so the calendar day is the UTC date
+const isoDay = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+// One item per line, done items prefixed with "[x]"
+const formatChecklist = (items) => items
+  .map(item => `[${item.completed ? 'x' : ' '}] ${item.text}`)
+  .join('\n');
+
+const toCsv = (tasks) => formatCsv([
+  CSV_COLUMNS,
+  ...tasks.map(task => [
+    task.id,
+    task.title,
+    task.notes,
+    task.priority,
+    task.category,
+    task.labels.join(', '),
+    task.completed,
+    isoDay(task.dueDate),
+    task.dueTime || '',
+    task.timeZone,
+    formatChecklist(task.items),
+    task.autoComplete,
+    task.recurrence ? JSON.stringify(task.recurrence) : '',
+    task.createdAt.toISOString()
+  ])
+]);
+
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]<>#|])/g, '\\$1');
+
+// A Markdown checklist, with checklist items nested under their task
+const toMarkdown = (tasks, { scopeName }) => {
+  const lines = [`# ${escapeMarkdown(scopeName)} tasks`, '', `_Exported ${isoDay(new Date())}, ${tasks.length} tasks_`, ''];
+  tasks.forEach(task => {
+    const details = [`${task.priority} priority`, ...[task.category, ...task.labels].map(label => `#${label}`)];
+    if (task.dueDate) details.push(`due ${isoDay(task.dueDate)}${task.dueTime ? ` ${task.dueTime} ${task.timeZone}` : ''}`);
+    if (task.recurrence) details.push(`repeats ${task.recurrence.frequency}`);
+
+    lines.push(`- [${task.completed ? 'x' : ' '}] ${escapeMarkdown(task.title)} (${details.join(', ')})`);
+    if (task.notes) {
+      task.notes.split(/\r?\n/).forEach(line => lines.push(`  > ${escapeMarkdown(line)}`.trimEnd()));
+    }
+    task.items.forEach(item => {
+      lines.push(`  - [${item.completed ? 'x' : ' '}] ${escapeMarkdown(item.text)}`);
+    });
+  });
+  return lines.join('\n') + '\n';
+};
+
+const icsText = (text) => text
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const icsDate = (date) => isoDay(date).replace(/-/g, '');
+
+const icsTimestamp = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const isTimed = (task) => Boolean(task.dueTime && task.dueAt);
+
+// Timed tasks are due at the instant in dueAt, written in UTC so no VTIMEZONE
+// is needed; the rest take the whole day
+const icsDue = (name, task) => (isTimed(task)
+  ? `${name}:${icsTimestamp(task.dueAt)}`
+  : `${name};VALUE=DATE:${icsDate(task.dueDate)}`);
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545)
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// UNTIL takes the type of DTSTART, so timed tasks repeat through the end of that day
+const toRrule = (rule, timed) => {
+  const parts = [];
+  if (rule.frequency === 'daily') parts.push('FREQ=DAILY');
+  if (rule.frequency === 'interval') parts.push('FREQ=DAILY', `INTERVAL=${rule.interval || 1}`);
+  if (rule.frequency === 'weekly') {
+    parts.push('FREQ=WEEKLY');
+    if (rule.weekdays && rule.weekdays.length) {
+      parts.push(`BYDAY=${rule.weekdays.map(day => ICS_WEEKDAYS[day]).join(',')}`);
+    }
+  }
+  if (rule.frequency === 'monthly') {
+    parts.push('FREQ=MONTHLY');
+    if (rule.dayOfMonth) parts.push(`BYMONTHDAY=${rule.dayOfMonth}`);
+  }
+
+  // Occurrences already created don't repeat again from this one
+  if (rule.endDate) parts.push(`UNTIL=${icsDate(rule.endDate)}${timed ? 'T235959Z' : ''}`);
+  else if (rule.count) parts.push(`COUNT=${Math.max(rule.count - (rule.occurrence || 1) + 1, 1)}`);
+  return parts.join(';');
+};
+
+const todoLines = (task) => {
+  const lines = [
+    'BEGIN:VTODO',
+    `STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`,
+    `PRIORITY:${ICS_PRIORITIES[task.priority]}`
+  ];
+  if (task.dueDate) {
+    lines.push(icsDue('DTSTART', task), icsDue('DUE', task));
+  }
+  return lines;
+};
+
+// All-day event on the due date, or one at the due time that ends as it starts
+const eventLines = (task) => [
+  'BEGIN:VEVENT',
+  icsDue('DTSTART', task),
+  ...(isTimed(task) ? [] : [`DTEND;VALUE=DATE:${icsDate(new Date(new Date(task.dueDate).getTime() + DAY_MS))}`]),
+  'TRANSP:TRANSPARENT'
+];
+
+// VTODO entries by default; `component: 'event'` gives VEVENTs for tasks with
+// a due date, which more calendar apps display
+const toICalendar = (tasks, { scopeName, component = 'todo' }) => {
+  const stamp = icsTimestamp(new Date());
+  const isEvent = component === 'event';
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TaskFlow//Task Export//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${icsText(`TaskFlow: ${scopeName}`)}`
+  ];
+
+  tasks
+    .filter(task => !isEvent || task.dueDate)
+    .forEach(task => {
+      lines.push(...(isEvent ? eventLines(task) : todoLines(task)));
+      lines.push(
+        `UID:${task.id}@taskflow`,
+        `DTSTAMP:${stamp}`,
+        `CREATED:${icsTimestamp(task.createdAt)}`,
+        `SUMMARY:${icsText(task.title)}`,
+        `CATEGORIES:${[task.category, ...task.labels].map(icsText).join(',')}`
+      );
+      const description = [task.notes, formatChecklist(task.items)].filter(Boolean).join('\n\n');
+      if (description) lines.push(`DESCRIPTION:${icsText(description)}`);
+      if (task.recurrence && task.dueDate) lines.push(`RRULE:${toRrule(task.recurrence, isTimed(task))}`);
+      lines.push(isEvent ? 'END:VEVENT' : 'END:VTODO');
+    });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json', render: tasks => JSON.stringify(tasks, null, 2) },
+  csv: { contentType: 'text/csv', extension: 'csv', render: toCsv },
+  md: { contentType: 'text/markdown', extension: 'md', render: toMarkdown },
+  ics: { contentType: 'text/calendar', extension: 'ics', render: toICalendar }
+};
+
+module.exports = { EXPORT_FORMATS };
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { invalid, validationDetails } = require('./errors');
+const { parseCsvRecords } = require('./csv');
+
+const FORMATS = ['json', 'csv'];
+const MAX_ROWS = 5000;
+
+// Column and property names match regardless of case, spaces, dashes and underscores
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[\s_-]/g, '');
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const parseBoolean = (value) => {
+  if (typeof value !== 'string') return value;
+  const text = value.trim().toLowerCase();
+  if (['true', 'yes', 'y', '1', 'x'].includes(text)) return true;
+  if (['false', 'no', 'n', '0', ''].includes(text)) return false;
+  return value;
+};
+
+// CSV cells may hold JSON for nested fields
+const parseJsonCell = (value) => {
+  if (typeof value !== 'string' || !/^\s*[[{]/.test(value)) return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// CSV checklists put one item per line, done items prefixed with "[x]"
+const parseChecklist = (value) => {
+  const parsed = parseJsonCell(value);
+  if (typeof parsed !== 'string') return parsed;
+  return parsed.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line !== '')
+    .map(line => {
+      const match = line.match(/^\[( |x|X)\]\s*(.*)$/);
+      return match ? { text: match[2], completed: match[1] !== ' ' } : { text: line };
+    });
+};
+
+// Labels come as an array, or as one comma-separated cell
+const parseLabels = (value) => {
+  const parsed = parseJsonCell(value);
+  return typeof parsed === 'string' ? parsed.split(',').map(label => label.trim()).filter(Boolean) : parsed;
+};
+
+// Exported items and rules carry ids that belong to the original task
+const withoutIds = (items) => (Array.isArray(items)
+  ? items.map(item => (item && typeof item === 'object' ? { text: item.text, completed: item.completed } : item))
+  : items);
+
+const freshRule = (rule) => (rule && typeof rule === 'object' ? { ...rule, nextTask: null } : rule);
+
+const readRecords = (format, content) => {
+  if (!FORMATS.includes(format)) {
+    throw invalid('format', `format must be one of: ${FORMATS.join(', ')}`);
+  }
+  if (typeof content !== 'string' || content.trim() === '') {
+    throw invalid('content', 'content must be the text of the file to import');
+  }
+  if (format === 'csv') return parseCsvRecords(content);
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw invalid('content', 'content is not valid JSON');
+  }
+  // Exports are a bare array; GET /api/tasks responses ({ tasks }) work too
+  const records = Array.isArray(data) ? data : data && data.tasks;
+  if (!Array.isArray(records)) {
+    throw invalid('content', 'JSON imports must be an array of tasks');
+  }
+  return records;
+};
+
+// Task fields from one row; owner, project and ids always come from the request
+const toTaskFields = (record) => {
+  const values = {};
+  Object.keys(record).forEach(key => {
+    values[normalizeKey(key)] = record[key];
+  });
+
+  const fields = {};
+  // Files exported by the old browser-only app call the title `text`
+  const title = isBlank(values.title) ? values.text : values.title;
+  if (!isBlank(title)) fields.title = title;
+  if (!isBlank(values.notes)) fields.notes = values.notes;
+  if (!isBlank(values.priority)) fields.priority = String(values.priority).trim().toLowerCase();
+  if (!isBlank(values.category)) fields.category = values.category;
+  if (!isBlank(values.labels)) fields.labels = parseLabels(values.labels);
+  if (!isBlank(values.completed)) fields.completed = parseBoolean(values.completed);
+  if (!isBlank(values.autocomplete)) fields.autoComplete = parseBoolean(values.autocomplete);
+  fields.dueDate = isBlank(values.duedate) ? null : values.duedate;
+  if (!isBlank(values.duetime)) fields.dueTime = String(values.duetime).trim();
+  if (!isBlank(values.timezone)) fields.timeZone = String(values.timezone).trim();
+  if (!isBlank(values.items)) fields.items = withoutIds(parseChecklist(values.items));
+  if (!isBlank(values.recurrence)) fields.recurrence = freshRule(parseJsonCell(values.recurrence));
+
+  const sourceId = isBlank(values.id) ? values._id : values.id;
+  return { fields, sourceId: isBlank(sourceId) ? null : String(sourceId) };
+};
+
+const dayKey = (date) => (date ? date.toISOString().slice(0, 10) : '');
+
+const duplicateKey = (task) => `${task.title.toLowerCase()}|${dayKey(task.dueDate)}`;
+
+const validateRow = async (record, index, base) => {
+  const row = { row: index + 1 };
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { ...row, status: 'invalid', errors: [{ field: 'row', message: 'Row is not a task object' }] };
+  }
+
+  const { fields, sourceId } = toTaskFields(record);
+  const task = new Task({ ...fields, ...base });
+  try {
+    await task.validate();
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.ValidationError)) throw error;
+    return { ...row, title: String(fields.title || ''), status: 'invalid', errors: validationDetails(error) };
+  }
+  return { ...row, title: task.title, status: 'new', task, sourceId };
+};
+
+// Marks rows matching an existing task (by id, or title plus due date) or an
+// earlier row of the same file
+const markDuplicates = async (rows, scope) => {
+  const valid = rows.filter(row => row.status === 'new');
+  const ids = valid.map(row => row.sourceId).filter(id => id && mongoose.isValidObjectId(id));
+  const titles = [...new Set(valid.map(row => row.task.title))];
+
+  const existing = await Task.find({ ...scope, $or: [{ _id: { $in: ids } }, { title: { $in: titles } }] })
+    .select('title dueDate')
+    .collation({ locale: 'en', strength: 2 });
+  const existingIds = new Set(existing.map(task => task.id));
+  const existingKeys = new Map(existing.map(task => [duplicateKey(task), task.id]));
+  const fileKeys = new Map();
+
+  valid.forEach(row => {
+    const key = duplicateKey(row.task);
+    if (row.sourceId && existingIds.has(row.sourceId)) {
+      row.duplicateOf = { reason: 'id', id: row.sourceId };
+    } else if (existingKeys.has(key)) {
+      row.duplicateOf = { reason: 'title-and-due-date', id: existingKeys.get(key) };
+    } else if (fileKeys.has(key)) {
+      row.duplicateOf = { reason: 'title-and-due-date', row: fileKeys.get(key) };
+    }
+
+    if (row.duplicateOf) row.status = 'duplicate';
+    if (!fileKeys.has(key)) fileKeys.set(key, row.row);
+  });
+};
+
+// Parses and validates a whole file without saving anything
+// `scope` is the target from resolveTaskScope; every task is owned by `owner`
+const prepareImport = async ({ format, content, scope, owner }) => {
+  const records = readRecords(format, content);
+  if (records.length > MAX_ROWS) {
+    throw invalid('content', `An import can hold at most ${MAX_ROWS} tasks`);
+  }
+
+  const rows = [];
+  for (const [index, record] of records.entries()) {
+    rows.push(await validateRow(record, index, { ...scope, owner }));
+  }
+  await markDuplicates(rows, scope);
+  return rows;
+};
+
+// Row report sent to the client
+const describeRow = ({ row, title, status, errors, duplicateOf }) => ({ row, title, status, errors, duplicateOf });
+
+module.exports = { FORMATS, MAX_ROWS, prepareImport, describeRow };
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { invalid } = require('./errors');
+
+// Gap left between neighbours when a list is renumbered
+const ORDER_STEP = 1024;
+
+const findNeighbour = async (task, field, id) => {
+  if (id === undefined || id === null) return null;
+  const message = `${field} must be the id of another task in the same list`;
+  if (!mongoose.isValidObjectId(id) || task._id.equals(id)) throw invalid(field, message);
+
+  const neighbour = await Task.findOne({ ...Task.scopeOf(task), _id: id }).select('order');
+  if (!neighbour) throw invalid(field, message);
+  return neighbour;
+};
+
+// Spreads the orders of the whole list, trash included, ORDER_STEP apart
+const renumberList = async (task) => {
+  const tasks = await Task.find(Task.scopeOf(task)).sort({ order: 1, createdAt: -1 }).select('_id');
+  await Task.bulkWrite(tasks.map(({ _id }, index) => ({
+    updateOne: { filter: { _id }, update: { $set: { order: (index + 1) * ORDER_STEP } } }
+  })));
+};
+
+// An order between the two neighbours' orders, or undefined when they are too close
+const orderBetween = (after, before) => {
+  if (after && before) {
+    const order = (after.order + before.order) / 2;
+    return after.order < order && order < before.order ? order : undefined;
+  }
+  if (after) return after.order + ORDER_STEP;
+  return before.order - ORDER_STEP;
+};
+
+// Sets the order that puts `task` right after the task `afterId` and right
+// before the task `beforeId`; either may be left out at the ends of a column
+const placeTask = async (task, { after: afterId, before: beforeId }) => {
+  let after = await findNeighbour(task, 'after', afterId);
+  let before = await findNeighbour(task, 'before', beforeId);
+  if (!after && !before) return;
+
+  let order = orderBetween(after, before);
+  if (order === undefined) {
+    await renumberList(task);
+    after = after && await Task.findById(after._id).select('order');
+    before = before && await Task.findById(before._id).select('order');
+    order = orderBetween(after, before);
+  }
+  if (order === undefined) throw invalid('before', 'before must come later in the list than after');
+  task.order = order;
+};
+
+module.exports = { ORDER_STEP, placeTask };
@@ -0,0 +1,274 @@
+const { PRIORITIES } = require('../models/Task');
+const Label = require('../models/Label');
+const { invalid } = require('./errors');
+const { DEFAULT_TIME_ZONE, isTimeZone, dayIn } = require('../public/scripts/dueTime');
+
+const STATUSES = ['all', 'completed', 'pending', 'overdue', 'due-today', 'blocked', 'actionable', 'focus'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest range the calendar endpoint answers for: a quarter, or a month view with some slack
+const MAX_RANGE_DAYS = 92;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Same keys as the sortSelect options; incomplete tasks always come first
+const SORTS = {
+  priority: { completed: 1, priorityRank: -1, createdAt: -1 },
+  'due-date': { completed: 1, hasNoDueDate: 1, dueDate: 1, createdAt: -1 },
+  'created-desc': { completed: 1, createdAt: -1 },
+  'created-asc': { completed: 1, createdAt: 1 },
+  alphabetical: { completed: 1, titleLower: 1, createdAt: -1 },
+  // The order tasks were dragged into, on the board or in the list
+  manual: { completed: 1, order: 1, createdAt: -1 }
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Due dates are stored as midnight UTC of their calendar day, so today is the
+// midnight UTC of the day it is in `timeZone`
+const startOfDay = (timeZone, date = new Date()) => new Date(`${dayIn(date, timeZone)}T00:00:00.000Z`);
+
+// The caller's time zone, which decides when today starts; UTC when left out
+const parseTimeZone = (query = {}) => {
+  const timeZone = query.timeZone === undefined || query.timeZone === '' ? DEFAULT_TIME_ZONE : query.timeZone;
+  if (!isTimeZone(timeZone)) throw invalid('timeZone', `Unknown time zone: ${timeZone}`);
+  return timeZone;
+};
+
+const parseInteger = (value, name, { fallback, min = 0 }) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw invalid(name, `${name} must be an integer of at least ${min}`);
+  }
+  return number;
+};
+
+// Tasks with a due time are overdue from that instant on; the rest once their
+// day is over in `timeZone`
+const overdueFrom = (timeZone) => ({
+  $cond: [
+    { $ne: [{ $ifNull: ['$dueTime', null] }, null] },
+    '$dueAt',
+    {
+      $dateFromString: {
+        dateString: { $dateToString: { format: '%Y-%m-%d', date: { $add: ['$dueDate', DAY_MS] } } },
+        format: '%Y-%m-%d',
+        timezone: timeZone
+      }
+    }
+  ]
+});
+
+// The overdue status is the query form of overdueFrom, so it can use indexes
+const statusFilter = (status, timeZone) => {
+  const now = new Date();
+  const today = startOfDay(timeZone, now);
+  const tomorrow = new Date(today.getTime() + DAY_MS);
+
+  switch (status) {
+    case 'completed':
+      return { completed: true };
+    case 'pending':
+      return { completed: false };
+    case 'overdue':
+      return { completed: false, $or: [{ dueTime: null, dueDate: { $lt: today } }, { dueAt: { $lte: now } }] };
+    case 'due-today':
+      return { completed: false, dueDate: { $gte: today, $lt: tomorrow }, dueAt: { $not: { $lte: now } } };
+    case 'blocked':
+      return { completed: false, blocked: true };
+    // Open tasks nothing is holding up; older tasks may lack the flag
+    case 'actionable':
+      return { completed: false, blocked: { $ne: true } };
+    // Today's focus list, done tasks included; pins from earlier days have run out
+    case 'focus':
+      return { focusedUntil: { $gt: new Date() } };
+    default:
+      return {};
+  }
+};
+
+const buildTaskFilter = (query = {}) => {
+  const { status = 'all', priority, category, search } = query;
+
+  if (!STATUSES.includes(status)) {
+    throw invalid('status', `status must be one of: ${STATUSES.join(', ')}`);
+  }
+  if (priority && !PRIORITIES.includes(priority)) {
+    throw invalid('priority', `priority must be one of: ${PRIORITIES.join(', ')}`);
+  }
+  // Query strings can carry objects such as category[$ne]=x, which must not reach the filter
+  if (category !== undefined && typeof category !== 'string') {
+    throw invalid('category', 'category must be a single label');
+  }
+
+  const filter = statusFilter(status, parseTimeZone(query));
+  if (priority) filter.priority = priority;
+  // A category matches tasks carrying it as their category or as a further label
+  if (category && category !== 'all') {
+    const key = Label.toKey(category);
+    // Under $and, since the overdue status brings an $or of its own
+    filter.$and = [{ $or: [{ category: key }, { labels: key }] }];
+  }
+  if (typeof search === 'string' && search.trim()) {
+    filter.title = { $regex: escapeRegExp(search.trim()), $options: 'i' };
+  }
+  return filter;
+};
+
+const parseTaskQuery = (query = {}) => {
+  const sort = query.sort || 'priority';
+  if (typeof sort !== 'string' || !Object.hasOwn(SORTS, sort)) {
+    throw invalid('sort', `sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+  }
+
+  return {
+    filter: buildTaskFilter(query),
+    sort: SORTS[sort],
+    limit: Math.min(parseInteger(query.limit, 'limit', { fallback: DEFAULT_LIMIT, min: 1 }), MAX_LIMIT),
+    offset: parseInteger(query.offset, 'offset', { fallback: 0 })
+  };
+};
+
+// Dates like 2026-02-30 roll over rather than fail, so compare the result
+const parseDay = (value, name) => {
+  const day = DAY_PATTERN.test(value || '') ? new Date(`${value}T00:00:00.000Z`) : null;
+  if (!day || Number.isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== value) {
+    throw invalid(name, `${name} must be a date as YYYY-MM-DD`);
+  }
+  return day;
+};
+
+// Tasks due from `from` through `to`, both included, that also match the list
+// filters; all-day tasks come before timed ones on each day
+const parseDateRange = (query = {}) => {
+  const from = parseDay(query.from, 'from');
+  const to = parseDay(query.to, 'to');
+  const days = (to - from) / DAY_MS + 1;
+  if (days < 1) throw invalid('to', 'to must not be before from');
+  if (days > MAX_RANGE_DAYS) throw invalid('to', `A range can span at most ${MAX_RANGE_DAYS} days`);
+
+  return {
+    from,
+    to,
+    filter: { $and: [buildTaskFilter(query), { dueDate: { $gte: from, $lt: new Date(to.getTime() + DAY_MS) } }] },
+    sort: { dueDate: 1, dueTime: 1, completed: 1, createdAt: 1 }
+  };
+};
+
+// Matching tasks in list order, with the helper fields the sorts rely on
+const buildSortedPipeline = ({ filter, sort }) => [
+  { $match: filter },
+  {
+    $addFields: {
+      priorityRank: {
+        $switch: {
+          branches: [
+            { case: { $eq: ['$priority', 'high'] }, then: 3 },
+            { case: { $eq: ['$priority', 'low'] }, then: 1 }
+          ],
+          default: 2
+        }
+      },
+      hasNoDueDate: { $cond: [{ $ifNull: ['$dueDate', false] }, 0, 1] },
+      titleLower: { $toLower: '$title' }
+    }
+  },
+  { $sort: sort }
+];
+
+const HIDE_SORT_FIELDS = { $project: { priorityRank: 0, hasNoDueDate: 0, titleLower: 0 } };
+
+// Aggregation returning one page of matching tasks plus the total match count
+const buildListPipeline = (query) => [
+  ...buildSortedPipeline(query),
+  {
+    $facet: {
+      tasks: [{ $skip: query.offset }, { $limit: query.limit }, HIDE_SORT_FIELDS],
+      total: [{ $count: 'count' }]
+    }
+  }
+];
+
+// Every matching task in list order, for exports
+const buildExportPipeline = (query) => [...buildSortedPipeline(query), HIDE_SORT_FIELDS];
+
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// Counters behind the statistics panel, computed over every task matching `match`
+// with today's date in `timeZone`
+const buildSummaryPipeline = (match, timeZone = DEFAULT_TIME_ZONE) => {
+  const now = new Date();
+  const today = startOfDay(timeZone, now);
+  const tomorrow = new Date(today.getTime() + DAY_MS);
+  const weekFromNow = new Date(now.getTime() + 7 * DAY_MS);
+  const pending = { $eq: ['$completed', false] };
+  const hasDueDate = { $ne: [{ $ifNull: ['$dueDate', null] }, null] };
+  const pastDue = { $lte: [overdueFrom(timeZone), now] };
+
+  return [
+    { $match: match },
+    {
+      $facet: {
+        totals: [{
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            completed: countIf('$completed'),
+            highPriority: countIf({ $and: [pending, { $eq: ['$priority', 'high'] }] }),
+            overdue: countIf({ $and: [pending, hasDueDate, pastDue] }),
+            dueToday: countIf({
+              $and: [pending, hasDueDate, { $gte: ['$dueDate', today] }, { $lt: ['$dueDate', tomorrow] }, { $not: [pastDue] }]
+            }),
+            upcoming: countIf({
+              $and: [pending, hasDueDate, { $gt: ['$dueDate', now] }, { $lte: ['$dueDate', weekFromNow] }]
+            }),
+            noDueDate: countIf({ $and: [pending, { $not: [hasDueDate] }] })
+          }
+        }],
+        // Counted like the category filter: once per category or label a task carries
+        categories: [
+          { $project: { completed: 1, keys: { $setUnion: [['$category'], { $ifNull: ['$labels', []] }] } } },
+          { $unwind: '$keys' },
+          {
+            $group: {
+              _id: '$keys',
+              total: { $sum: 1 },
+              completed: countIf('$completed')
+            }
+          }
+        ]
+      }
+    }
+  ];
+};
+
+const EMPTY_TOTALS = {
+  total: 0, completed: 0, highPriority: 0, overdue: 0, dueToday: 0, upcoming: 0, noDueDate: 0
+};
+
+const formatSummary = ([result]) => {
+  const totals = { ...EMPTY_TOTALS, ...result.totals[0] };
+  delete totals._id;
+  const categories = {};
+  result.categories.forEach(({ _id: category, total, completed }) => {
+    categories[category] = { total, completed };
+  });
+  return { ...totals, pending: totals.total - totals.completed, categories };
+};
+
+module.exports = {
+  STATUSES,
+  SORTS,
+  MAX_RANGE_DAYS,
+  parseDay,
+  parseTimeZone,
+  overdueFrom,
+  parseTaskQuery,
+  parseDateRange,
+  buildTaskFilter,
+  buildListPipeline,
+  buildExportPipeline,
+  buildSummaryPipeline,
+  formatSummary
+};
@@ -0,0 +1,140 @@
+const { invalid } = require('./errors');
+const { parseDay, parseTimeZone, overdueFrom } = require('./taskQuery');
+const { dayIn } = require('../public/scripts/dueTime');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+const addDays = (day, count) => new Date(new Date(`${day}T00:00:00.000Z`).getTime() + count * DAY_MS)
+  .toISOString()
+  .slice(0, 10);
+
+// Days run in `timeZone`; without from and to, the range is the last 30 days up to today
+const parseStatsQuery = (query = {}, now = new Date()) => {
+  const timeZone = parseTimeZone(query);
+
+  const to = query.to === undefined ? dayIn(now, timeZone) : query.to;
+  // Checked before the default `from` is counted back from it
+  const toDay = parseDay(to, 'to');
+  const from = query.from === undefined ? addDays(to, 1 - DEFAULT_RANGE_DAYS) : query.from;
+  const days = (toDay - parseDay(from, 'from')) / DAY_MS + 1;
+  if (days < 1) throw invalid('to', 'to must not be before from');
+  if (days > MAX_RANGE_DAYS) throw invalid('to', `A range can span at most ${MAX_RANGE_DAYS} days`);
+
+  return { from, to, timeZone, now };
+};
+
+// Late means open past the moment the task fell overdue, as the list counts
+// it, or completed after it
+const lateCondition = (timeZone, now) => ({
+  $cond: [
+    '$completed',
+    { $gte: ['$completedAt', overdueFrom(timeZone)] },
+    { $lte: [overdueFrom(timeZone), now] }
+  ]
+});
+
+// Tasks due in the range that are done or already overdue, grouped by `field`
+const overdueBy = (field, { rangeStart, rangeEnd, timeZone, now }) => [
+  {
+    $match: {
+      dueDate: { $gte: rangeStart, $lt: rangeEnd },
+      $expr: { $or: ['$completed', { $lte: [overdueFrom(timeZone), now] }] }
+    }
+  },
+  { $group: { _id: `$${field}`, due: { $sum: 1 }, overdue: { $sum: { $cond: [lateCondition(timeZone, now), 1, 0] } } } },
+  { $sort: { _id: 1 } }
+];
+
+// Completions per day of `timeZone` over all time (streaks need every day),
+// and how many tasks due in the range were overdue per category and priority
+const buildStatsPipeline = (match, { from, to, timeZone, now }) => {
+  // Due dates are midnight UTC, so the range of due days is too
+  const range = {
+    rangeStart: new Date(`${from}T00:00:00.000Z`),
+    rangeEnd: new Date(new Date(`${to}T00:00:00.000Z`).getTime() + DAY_MS),
+    timeZone,
+    now
+  };
+
+  return [
+    { $match: match },
+    {
+      $facet: {
+        completions: [
+          { $match: { completed: true, completedAt: { $ne: null } } },
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m-%d', date: '$completedAt', timezone: timeZone } },
+              count: { $sum: 1 },
+              totalMs: { $sum: { $subtract: ['$completedAt', '$createdAt'] } }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ],
+        overdueByCategory: overdueBy('category', range),
+        overdueByPriority: overdueBy('priority', range)
+      }
+    }
+  ];
+};
+
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 1000 : null);
+
+// Runs of consecutive days with at least one completion; today only breaks the
+// current streak once it is over
+const countStreaks = (days, today) => {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  days.forEach(day => {
+    run = previous && addDays(previous, 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  });
+
+  const last = days[days.length - 1];
+  const current = last === today || last === addDays(today, -1) ? run : 0;
+  return { current, longest };
+};
+
+// Every day and every week (starting on Sunday) of the range, with zeros for
+// days without completions
+const formatStats = ([result], { from, to, timeZone, now }) => {
+  const counts = new Map(result.completions.map(day => [day._id, day]));
+  const inRange = result.completions.filter(day => day._id >= from && day._id <= to);
+
+  const byDay = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    byDay.push({ day, count: counts.has(day) ? counts.get(day).count : 0 });
+  }
+  const byWeek = [];
+  byDay.forEach(({ day, count }) => {
+    const week = addDays(day, -new Date(`${day}T00:00:00.000Z`).getUTCDay());
+    const last = byWeek[byWeek.length - 1];
+    if (last && last.week === week) last.count += count;
+    else byWeek.push({ week, count });
+  });
+
+  const completed = inRange.reduce((sum, day) => sum + day.count, 0);
+  const totalMs = inRange.reduce((sum, day) => sum + day.totalMs, 0);
+  const formatOverdue = (groups) => groups.map(({ _id: key, due, overdue: late }) => ({
+    key, due, overdue: late, rate: rate(late, due)
+  }));
+
+  return {
+    from,
+    to,
+    timeZone,
+    completed,
+    averageCompletionMs: completed ? Math.round(totalMs / completed) : null,
+    completionsByDay: byDay,
+    completionsByWeek: byWeek,
+    overdueByCategory: formatOverdue(result.overdueByCategory),
+    overdueByPriority: formatOverdue(result.overdueByPriority),
+    streaks: countStreaks(result.completions.map(day => day._id), dayIn(now, timeZone))
+  };
+};
+
+module.exports = { MAX_RANGE_DAYS, parseStatsQuery, buildStatsPipeline, formatStats };
@@ -0,0 +1,31 @@
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const { startSweep } = require('./sweep');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Deletes trashed tasks matching `filter` for good, with their comments;
+// activity stays as history
+const purgeTasks = async (filter) => {
+  const ids = await Task.distinct('_id', { $and: [filter, { deletedAt: { $ne: null } }] });
+  if (!ids.length) return 0;
+
+  await Comment.deleteMany({ task: { $in: ids } });
+  // Trashed blockers no longer block, so only the references need to go
+  await Task.updateMany({ blockedBy: { $in: ids } }, { $pull: { blockedBy: { $in: ids } } });
+  const { deletedCount } = await Task.deleteMany({ _id: { $in: ids } });
+  return deletedCount;
+};
+
+const purgeExpiredTasks = () => {
+  return purgeTasks({ deletedAt: { $lt: new Date(Date.now() - RETENTION_DAYS * DAY_MS) } });
+};
+
+const startTrashPurge = () => startSweep('Trash purge', PURGE_INTERVAL_MS, async () => {
+  const count = await purgeExpiredTasks();
+  if (count) console.log(`Purged ${count} task(s) from the trash`);
+});
+
+module.exports = { RETENTION_DAYS, purgeTasks, purgeExpiredTasks, startTrashPurge };
@@ -0,0 +1,139 @@
+const http = require('http');
+const https = require('https');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { taskEvents } = require('./taskEvents');
+const { startSweep } = require('./sweep');
+const { NOT_PUBLIC, isPublicHost, lookupPublic } = require('./publicAddress');
+
+const MAX_ATTEMPTS = 6;
+// Retries wait 30 seconds, then 2, 8 and 32 minutes, then a bit over 2 hours
+const FIRST_RETRY_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Claimed deliveries are left alone this long, so no two sweeps send one at once
+const LEASE_MS = 2 * REQUEST_TIMEOUT_MS;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 50;
+
+const retryDelay = (attempts) => FIRST_RETRY_MS * 4 ** (attempts - 1);
+
+const leaseUntil = () => new Date(Date.now() + LEASE_MS);
+
+// Hosts given as addresses are checked here, names again as they are resolved
+// for the connection, so the delivery log can't be used to probe the internal
+// network. Redirects aren't followed: they would resend the payload somewhere
+// nobody configured
+const post = async (webhook, delivery) => {
+  const url = new URL(webhook.url);
+  if (!await isPublicHost(url.hostname)) throw new Error(NOT_PUBLIC);
+
+  return new Promise((resolve, reject) => {
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(delivery.body),
+        'User-Agent': 'TaskFlow-Webhooks',
+        'X-TaskFlow-Event': delivery.event,
+        'X-TaskFlow-Delivery': delivery.id,
+        'X-TaskFlow-Signature': webhook.sign(delivery.body)
+      },
+      lookup: lookupPublic,
+      timeout: REQUEST_TIMEOUT_MS
+    }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('timeout', () => request.destroy(new Error('Receiver did not answer in time')));
+    request.on('error', reject);
+    request.end(delivery.body);
+  });
+};
+
+// Makes one attempt and records it; any 2xx answer counts as delivered
+const attempt = async (delivery, webhook) => {
+  const startedAt = Date.now();
+  const result = { at: new Date(startedAt), responseStatus: null, error: null };
+
+  if (!webhook) {
+    result.error = 'Webhook was deleted';
+  } else if (!webhook.active) {
+    result.error = 'Webhook is paused';
+  } else {
+    try {
+      result.responseStatus = await post(webhook, delivery);
+      if (result.responseStatus < 200 || result.responseStatus > 299) {
+        result.error = `Receiver answered ${result.responseStatus}`;
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+  }
+  result.durationMs = Date.now() - startedAt;
+
+  delivery.attempts.push(result);
+  if (!result.error) {
+    delivery.status = 'succeeded';
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts.length));
+  }
+  await delivery.save();
+  return delivery;
+};
+
+// One delivery per active webhook that watches `event` on the task's list,
+// each sent right away; failures are left to the retry sweep
+const enqueue = async ({ type, task }) => {
+  const event = `task.${type}`;
+  const webhooks = await Webhook.find({ ...Webhook.scopeOf(task), active: true, events: event });
+
+  for (const webhook of webhooks) {
+    const delivery = new WebhookDelivery({ webhook: webhook._id, event, nextAttemptAt: leaseUntil() });
+    delivery.body = JSON.stringify({ id: delivery.id, event, createdAt: delivery.createdAt, task });
+    await delivery.save();
+    attempt(delivery, webhook).catch(error => console.error('Webhook delivery failed:', error));
+  }
+};
+
+// Sends a delivery again from scratch, e.g. once the receiver is fixed
+const redeliver = async (delivery, webhook) => {
+  delivery.status = 'pending';
+  delivery.nextAttemptAt = leaseUntil();
+  delivery.attempts = [];
+  return attempt(delivery, webhook);
+};
+
+// Retries pending deliveries whose time has come; returns how many it tried
+const retryDueDeliveries = async (now = new Date()) => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+    .select('_id')
+    .limit(BATCH_SIZE);
+
+  let tried = 0;
+  for (const { _id } of due) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id, status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: leaseUntil() } },
+      { new: true }
+    );
+    if (!delivery) continue;
+    await attempt(delivery, await Webhook.findById(delivery.webhook));
+    tried++;
+  }
+  return tried;
+};
+
+// Subscribes to task events and sweeps for retries
+const startWebhooks = () => {
+  taskEvents.on('task', event => {
+    enqueue(event).catch(error => console.error('Failed to queue webhook deliveries:', error));
+  });
+
+  return startSweep('Webhook retry sweep', SWEEP_INTERVAL_MS, retryDueDeliveries);
+};
+
+module.exports = { MAX_ATTEMPTS, redeliver, retryDueDeliveries, startWebhooks };
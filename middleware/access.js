@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Membership = require('../models/Membership');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const Label = require('../models/Label');
+const Webhook = require('../models/Webhook');
+const { badRequest, forbidden, notFound } = require('../lib/errors');
+const asyncHandler = require('./asyncHandler');
+
+const toObjectId = (id, field) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw badRequest(`Invalid ${field}: ${id}`, [{ field, message: `${field} is malformed` }]);
+  }
+  return new mongoose.Types.ObjectId(String(id));
+};
+
+// Outsiders get a 404 so they can't probe which projects exist
+const checkRole = (role, required, what) => {
+  if (!role) throw notFound(`${what} not found`);
+  if (!Membership.hasRole(role, required)) {
+    throw forbidden(`You need ${required} access to change this ${what.toLowerCase()}`);
+  }
+};
+
+// The caller's role on a task or label: personal ones belong to their owner alone
+const scopeRole = async (doc, user) => {
+  if (!doc.project) return doc.owner.equals(user._id) ? 'owner' : null;
+  return Membership.findRole(doc.project, user._id);
+};
+
+// Tasks a request may list: one project's tasks or the caller's personal ones
+// Trashed tasks are left out; the trash routes override `deletedAt`
+const resolveTaskScope = async (projectId, user, required = 'viewer') => {
+  if (!projectId) return { owner: user._id, project: null, deletedAt: null };
+
+  const project = toObjectId(projectId, 'project');
+  checkRole(await Membership.findRole(project, user._id), required, 'Project');
+  return { project, deletedAt: null };
+};
+
+// Loads :projectId into req.project and the caller's role into req.role
+const requireProjectRole = (required) => asyncHandler(async (req, res, next) => {
+  req.project = await Project.findById(toObjectId(req.params.projectId, 'project'));
+  req.role = req.project ? await Membership.findRole(req.project._id, req.user._id) : null;
+  checkRole(req.role, required, 'Project');
+  next();
+});
+
+// Loads :id into req.task after checking the caller's role on it
+// Only the trash routes pass `{ trashed: true }` to reach deleted tasks
+const requireTaskRole = (required, { trashed = false } = {}) => asyncHandler(async (req, res, next) => {
+  req.task = await Task.findOne({ _id: req.params.id, deletedAt: trashed ? { $ne: null } : null });
+  req.role = req.task ? await scopeRole(req.task, req.user) : null;
+  checkRole(req.role, required, 'Task');
+  next();
+});
+
+// Loads :id into req.label after checking the caller's role on its list
+const requireLabelRole = (required) => asyncHandler(async (req, res, next) => {
+  req.label = await Label.findById(toObjectId(req.params.id, 'label'));
+  req.role = req.label ? await scopeRole(req.label, req.user) : null;
+  checkRole(req.role, required, 'Label');
+  next();
+});
+
+// Loads :id into req.webhook after checking the caller's role on its list
+const requireWebhookRole = (required) => asyncHandler(async (req, res, next) => {
+  req.webhook = await Webhook.findById(toObjectId(req.params.id, 'webhook'));
+  req.role = req.webhook ? await scopeRole(req.webhook, req.user) : null;
+  checkRole(req.role, required, 'Webhook');
+  next();
+});
+
+module.exports = {
+  resolveTaskScope,
+  requireProjectRole,
+  requireTaskRole,
+  requireLabelRole,
+  requireWebhookRole
+};
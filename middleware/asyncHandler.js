@@ -0,0 +1,6 @@
+// Express 4 does not pass rejected promises on to the error middleware by itself
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = asyncHandler;
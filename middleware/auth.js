@@ -0,0 +1,23 @@
+const User = require('../models/User');
+const { verifyToken, readToken } = require('../lib/auth');
+const { unauthorized } = require('../lib/errors');
+const asyncHandler = require('./asyncHandler');
+
+// Loads the signed-in user into req.user or answers 401
+const requireAuth = asyncHandler(async (req, res, next) => {
+  const token = readToken(req);
+  if (!token) throw unauthorized();
+
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (error) {
+    throw unauthorized('Your session has expired, please sign in again');
+  }
+
+  req.user = await User.findById(payload.sub);
+  if (!req.user) throw unauthorized('Your account no longer exists');
+  next();
+});
+
+module.exports = requireAuth;
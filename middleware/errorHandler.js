@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const {
+  HttpError,
+  badRequest,
+  notFound,
+  conflict,
+  unprocessable,
+  validationDetails
+} = require('../lib/errors');
+
+const toHttpError = (error) => {
+  if (error instanceof HttpError) return error;
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    const details = validationDetails(error);
+    return unprocessable(details.map(detail => detail.message).join('; '), details);
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    const field = error.path === '_id' ? 'id' : error.path;
+    return badRequest(`Invalid ${field}: ${error.value}`, [{ field, message: `${field} is malformed` }]);
+  }
+
+  // Raised by save() when the document changed since it was loaded
+  if (error instanceof mongoose.Error.VersionError) {
+    return conflict('This was changed by someone else meanwhile; reload and try again');
+  }
+
+  // MongoDB duplicate key, e.g. registering an email twice
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyValue || {})[0] || 'value';
+    return conflict(`That ${field} is already in use`, [{ field, message: `${field} must be unique` }]);
+  }
+
+  // Raised by express.json() for malformed or oversized request bodies
+  if (error.type === 'entity.parse.failed') {
+    return badRequest('Request body is not valid JSON');
+  }
+  if (error.type === 'entity.too.large') {
+    return new HttpError(413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  }
+
+  return null;
+};
+
+const notFoundHandler = (req, res, next) => {
+  next(notFound(`No route for ${req.method} ${req.originalUrl}`));
+};
+
+// Every error leaves the API as { error: { code, message, details, ...extra } }
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  let httpError = toHttpError(error);
+  if (!httpError) {
+    console.error('Unhandled error:', error);
+    httpError = new HttpError(500, 'INTERNAL_ERROR', 'Something went wrong on the server');
+  }
+
+  const { status, code, message, details, extra } = httpError;
+  res.status(status).json({ error: { code, message, details, ...extra } });
+};
+
+module.exports = { errorHandler, notFoundHandler };
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const ACTIONS = ['create', 'update', 'complete', 'reopen', 'delete', 'restore', 'comment'];
+
+const ChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  from: { type: mongoose.Schema.Types.Mixed, default: null },
+  to: { type: mongoose.Schema.Types.Mixed, default: null }
+}, {
+  _id: false
+});
+
+// One entry in a task's history; kept after the task itself is deleted
+const ActivitySchema = new mongoose.Schema({
+  task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true },
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, enum: ACTIONS, required: true },
+  // Task title at the time, so entries stay readable after renames and deletes
+  title: { type: String, default: '' },
+  changes: { type: [ChangeSchema], default: [] },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true }
+});
+
+ActivitySchema.index({ task: 1, createdAt: -1 });
+ActivitySchema.index({ project: 1, createdAt: -1 });
+
+const Activity = mongoose.model('Activity', ActivitySchema);
+
+Activity.ACTIONS = ACTIONS;
+
+module.exports = Activity;
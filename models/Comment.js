@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const BODY_MAX_LENGTH = 2000;
+
+const CommentSchema = new mongoose.Schema({
+  task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  body: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxlength: [BODY_MAX_LENGTH, `Comments must be at most ${BODY_MAX_LENGTH} characters`]
+  },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true }
+});
+
+CommentSchema.index({ task: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', CommentSchema);
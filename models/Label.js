@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const NAME_MAX_LENGTH = 50;
+const DEFAULT_ICON = '🏷️';
+const DEFAULT_COLOR = '#718096';
+// Category of tasks that don't name one; it can't be deleted
+const DEFAULT_CATEGORY = 'general';
+
+// Tasks refer to labels by key: the name in lowercase, words joined by dashes
+const toKey = (name) => (typeof name === 'string'
+  ? name.trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '')
+  : name);
+
+// Every list starts with these
+const BUILT_IN_LABELS = [
+  { name: 'General', icon: '📌', color: '#718096' },
+  { name: 'Work', icon: '💼', color: '#3182ce' },
+  { name: 'Personal', icon: '🏠', color: '#805ad5' },
+  { name: 'Shopping', icon: '🛒', color: '#38a169' },
+  { name: 'Health', icon: '🏥', color: '#e53e3e' },
+  { name: 'Study', icon: '📚', color: '#d69e2e' }
+];
+
+const LabelSchema = new mongoose.Schema({
+  // Personal labels belong to their owner; project labels have no owner
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+  name: {
+    type: String,
+    required: [true, 'Label name is required'],
+    trim: true,
+    maxlength: [NAME_MAX_LENGTH, `Label name must be at most ${NAME_MAX_LENGTH} characters`]
+  },
+  // Derived from the name on validation; only a name without letters or digits leaves it empty
+  key: {
+    type: String,
+    required: [function() { return Boolean(this.name); }, 'Label name needs at least one letter or digit']
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: [8, 'Icon must be an emoji or at most 8 characters'],
+    default: DEFAULT_ICON
+  },
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9a-f]{6}$/i, 'Color must be a hex color such as #3182ce'],
+    default: DEFAULT_COLOR
+  },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true }
+});
+
+LabelSchema.index({ owner: 1, project: 1, key: 1 }, { unique: true });
+
+LabelSchema.pre('validate', function(next) {
+  if (this.isModified('name')) this.key = toKey(this.name);
+  next();
+});
+
+// Label fields for a key nobody defined: a built-in, or the key as a name
+const labelForKey = (key) => {
+  const builtIn = BUILT_IN_LABELS.find(label => toKey(label.name) === key);
+  if (builtIn) return builtIn;
+  const name = key.replace(/-/g, ' ');
+  return { name: name.charAt(0).toUpperCase() + name.slice(1) };
+};
+
+// Creates the labels missing from `scope` (see Label.scopeOf) for `keys`
+LabelSchema.statics.ensureKeys = async function(scope, keys) {
+  const wanted = [...new Set(keys.filter(Boolean))];
+  if (!wanted.length) return;
+
+  const existing = await this.distinct('key', { ...scope, key: { $in: wanted } });
+  const missing = wanted.filter(key => !existing.includes(key));
+  if (!missing.length) return;
+
+  try {
+    await this.insertMany(missing.map(key => ({ ...scope, ...labelForKey(key) })), { ordered: false });
+  } catch (error) {
+    // Another request created some of them first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+const Label = mongoose.model('Label', LabelSchema);
+
+Label.EDITABLE_FIELDS = ['name', 'icon', 'color'];
+Label.BUILT_IN_KEYS = BUILT_IN_LABELS.map(label => toKey(label.name));
+Label.DEFAULT_CATEGORY = DEFAULT_CATEGORY;
+Label.toKey = toKey;
+
+// Label list of a task, a label or a resolveTaskScope() result
+Label.scopeOf = ({ owner, project }) => (project ? { owner: null, project } : { owner, project: null });
+
+module.exports = Label;
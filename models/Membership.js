@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Ordered from least to most access
+const ROLES = ['viewer', 'editor', 'owner'];
+
+const MembershipSchema = new mongoose.Schema({
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: {
+    type: String,
+    enum: { values: ROLES, message: `Role must be one of: ${ROLES.join(', ')}` },
+    default: 'viewer'
+  },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true }
+});
+
+MembershipSchema.index({ project: 1, user: 1 }, { unique: true });
+MembershipSchema.index({ user: 1 });
+
+// The user's role in the project, or null when they are not a member
+MembershipSchema.statics.findRole = async function(projectId, userId) {
+  const membership = await this.findOne({ project: projectId, user: userId });
+  return membership ? membership.role : null;
+};
+
+const Membership = mongoose.model('Membership', MembershipSchema);
+
+Membership.ROLES = ROLES;
+Membership.hasRole = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+module.exports = Membership;
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const ProjectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: [100, 'Project name must be at most 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description must be at most 500 characters'],
+    default: ''
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true }
+});
+
+const Project = mongoose.model('Project', ProjectSchema);
+
+Project.EDITABLE_FIELDS = ['name', 'description'];
+
+module.exports = Project;
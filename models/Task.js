@@ -1,11 +1,431 @@
 const mongoose = require('mongoose');
+const Membership = require('./Membership');
+const Label = require('./Label');
+const { FREQUENCIES, nextDueDate } = require('../lib/recurrence');
+const { TIME_PATTERN, DEFAULT_TIME_ZONE, isTimeZone, dueInstant } = require('../public/scripts/dueTime');
+const { publishTaskEvent } = require('../lib/taskEvents');
+
+const PRIORITIES = ['high', 'medium', 'low'];
+// Board columns a task moves through; 'done' is the same as `completed`
+const STATUSES = ['todo', 'in-progress', 'done'];
+const TITLE_MAX_LENGTH = 200;
+const NOTES_MAX_LENGTH = 5000;
+const CATEGORY_MAX_LENGTH = 50;
+const MAX_CHECKLIST_ITEMS = 100;
+const MAX_LABELS = 20;
+const MAX_BLOCKERS = 20;
+const MAX_REMINDERS = 5;
+// Reminders can go off up to four weeks before the task is due
+const MAX_REMINDER_MINUTES = 4 * 7 * 24 * 60;
+const MINUTE_MS = 60 * 1000;
+// Focus pins last until the end of today: at most a day away, plus the hour
+// gained on days the clocks go back
+const MAX_FOCUS_MS = 25 * 60 * MINUTE_MS;
+
+// New tasks go after every task created before them, even within the same millisecond
+let lastOrder = 0;
+const nextOrder = () => {
+  lastOrder = Math.max(Date.now(), lastOrder + 1);
+  return lastOrder;
+};
+
+// Checklist entries keep their order through their position in the array
+const ChecklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Item text is required'],
+    trim: true,
+    maxlength: [TITLE_MAX_LENGTH, `Item text must be at most ${TITLE_MAX_LENGTH} characters`]
+  },
+  completed: { type: Boolean, default: false }
+}, {
+  toJSON: { virtuals: true }
+});
+
+const RecurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    required: [true, 'Recurrence frequency is required'],
+    enum: { values: FREQUENCIES, message: `Frequency must be one of: ${FREQUENCIES.join(', ')}` }
+  },
+  // Number of days between occurrences for the 'interval' frequency
+  interval: {
+    type: Number,
+    min: [1, 'Interval must be at least 1 day'],
+    max: [365, 'Interval must be at most 365 days'],
+    default: 1
+  },
+  // 0 (Sunday) to 6 (Saturday) for the 'weekly' frequency
+  weekdays: {
+    type: [{ type: Number, min: [0, 'Weekdays run from 0 to 6'], max: [6, 'Weekdays run from 0 to 6'] }],
+    default: undefined
+  },
+  dayOfMonth: { type: Number, min: [1, 'Day of month must be 1-31'], max: [31, 'Day of month must be 1-31'] },
+  endDate: { type: Date, default: null },
+  // Total number of occurrences, counting the first task
+  count: { type: Number, min: [1, 'Count must be at least 1'] },
+  occurrence: { type: Number, default: 1 },
+  // Set once the follow-up task has been created, so it is only created once
+  nextTask: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', default: null }
+}, {
+  _id: false
+});
+
+// Fired by lib/reminders.js once `fireAt` has passed
+const ReminderSchema = new mongoose.Schema({
+  minutesBefore: {
+    type: Number,
+    required: [true, 'Reminder offset is required'],
+    min: [0, 'Reminders cannot go off after the task is due'],
+    max: [MAX_REMINDER_MINUTES, 'Reminders can go off at most four weeks before the task is due'],
+    validate: { validator: Number.isInteger, message: 'Reminder offset must be a whole number of minutes' }
+  },
+  // Derived from the due date, due time and time zone on validation
+  remindAt: { type: Date, default: null },
+  // When the reminder goes off next: remindAt, or later once snoozed; null once
+  // dismissed, or when its time had already passed as it was set
+  fireAt: { type: Date, default: null },
+  sentAt: { type: Date, default: null },
+  dismissedAt: { type: Date, default: null }
+}, {
+  toJSON: { virtuals: true }
+});
 
 const TaskSchema = new mongoose.Schema({
-  title: { type: String, required: true },
-  priority: { type: String, default: 'medium' },
-  category: { type: String, default: 'general' },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Shared project the task belongs to; null for the owner's personal tasks
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+  // Who is expected to do the task: a project member, or the owner for personal tasks
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    validate: {
+      validator: async function(userId) {
+        if (!userId) return true;
+        if (!this.project) return this.owner.equals(userId);
+        return Boolean(await Membership.exists({ project: this.project, user: userId }));
+      },
+      message: 'Tasks can only be assigned to project members, or to the owner of a personal task'
+    }
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [TITLE_MAX_LENGTH, `Title must be at most ${TITLE_MAX_LENGTH} characters`]
+  },
+  // Free-form description, shown in the task's detail panel
+  notes: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [NOTES_MAX_LENGTH, `Notes must be at most ${NOTES_MAX_LENGTH} characters`]
+  },
+  priority: {
+    type: String,
+    enum: { values: PRIORITIES, message: `Priority must be one of: ${PRIORITIES.join(', ')}` },
+    default: 'medium'
+  },
+  // Key of the task's main label; see models/Label.js
+  category: {
+    type: String,
+    set: Label.toKey,
+    required: [true, 'Category needs at least one letter or digit'],
+    maxlength: [CATEGORY_MAX_LENGTH, `Category must be at most ${CATEGORY_MAX_LENGTH} characters`],
+    default: Label.DEFAULT_CATEGORY
+  },
+  // Keys of further labels, besides the category
+  labels: {
+    type: [{
+      type: String,
+      set: Label.toKey,
+      maxlength: [CATEGORY_MAX_LENGTH, `Labels must be at most ${CATEGORY_MAX_LENGTH} characters`]
+    }],
+    validate: {
+      validator: labels => labels.length <= MAX_LABELS,
+      message: `A task can have at most ${MAX_LABELS} labels`
+    }
+  },
   completed: { type: Boolean, default: false },
+  // When the task was last completed; null while open. Set on validation
+  completedAt: { type: Date, default: null },
+  status: {
+    type: String,
+    enum: { values: STATUSES, message: `Status must be one of: ${STATUSES.join(', ')}` },
+    default: 'todo'
+  },
+  // Manual position among the tasks of the list, lowest first; see lib/taskOrder.js
+  order: { type: Number, default: nextOrder },
+  // Pinned to the My Day focus list until this moment, the end of the day it
+  // was pinned on for whoever pinned it; past it the task drops off by itself
+  focusedUntil: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: until => until === null || until.getTime() - Date.now() <= MAX_FOCUS_MS,
+      message: 'Tasks can only be pinned to the focus list until the end of today'
+    }
+  },
+  dueDate: { type: Date, default: null },
+  // HH:MM on the clocks of `timeZone`; without one the task is due any time that day
+  dueTime: {
+    type: String,
+    default: null,
+    match: [TIME_PATTERN, 'Due time must be HH:MM on a 24-hour clock']
+  },
+  // IANA time zone the due time is read in, such as Europe/Berlin
+  timeZone: {
+    type: String,
+    default: DEFAULT_TIME_ZONE,
+    validate: { validator: isTimeZone, message: props => `Unknown time zone: ${props.value}` }
+  },
+  // The instant a task with a due time falls due, kept in step with dueDate,
+  // dueTime and timeZone on validation; null for tasks due any time that day
+  dueAt: { type: Date, default: null },
+  reminders: {
+    type: [ReminderSchema],
+    validate: {
+      validator: reminders => reminders.length <= MAX_REMINDERS,
+      message: `A task can have at most ${MAX_REMINDERS} reminders`
+    }
+  },
+  items: {
+    type: [ChecklistItemSchema],
+    validate: {
+      validator: items => items.length <= MAX_CHECKLIST_ITEMS,
+      message: `A task can have at most ${MAX_CHECKLIST_ITEMS} checklist items`
+    }
+  },
+  // Complete the task automatically once every checklist item is done
+  autoComplete: { type: Boolean, default: false },
+  recurrence: { type: RecurrenceSchema, default: null },
+  // Tasks of the same list that must be done before this one can start
+  blockedBy: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
+    validate: {
+      validator: blockers => blockers.length <= MAX_BLOCKERS,
+      message: `A task can wait on at most ${MAX_BLOCKERS} tasks`
+    }
+  },
+  // True while any blocker is still open; maintained on save, see refreshDependents
+  blocked: { type: Boolean, default: false },
+  // Maintained by the comment routes so the list can show counts without a lookup
+  commentCount: { type: Number, default: 0 },
+  // Set while the task sits in the trash; purged for good after the retention period
+  deletedAt: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true },
+  // Every save bumps __v and fails if someone else saved first; see PATCH /api/tasks/:id.
+  // Bookkeeping that isn't anyone's edit (comment counts, `blocked`, reminder
+  // states, renumbered orders) goes through atomic updates instead, which leave
+  // __v alone so open edits don't turn into conflicts
+  optimisticConcurrency: true
+});
+
+// Indexes backing the filters and sorts of GET /api/tasks
+TaskSchema.index({ owner: 1, completed: 1, dueDate: 1 });
+TaskSchema.index({ owner: 1, category: 1, completed: 1 });
+TaskSchema.index({ project: 1, completed: 1, dueDate: 1 });
+TaskSchema.index({ owner: 1, labels: 1 });
+TaskSchema.index({ project: 1, labels: 1 });
+TaskSchema.index({ blockedBy: 1 });
+TaskSchema.index({ 'reminders.fireAt': 1 }, { partialFilterExpression: { 'reminders.fireAt': { $type: 'date' } } });
+TaskSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+// Tasks of the list `task` belongs to
+const listFilter = (task) => (task.project ? { project: task.project } : { owner: task.owner, project: null });
+
+const isSameList = async function(blockers) {
+  if (!blockers.length) return true;
+  const ids = [...new Set(blockers.map(String))];
+  const found = await this.constructor.countDocuments({ ...listFilter(this), _id: { $in: ids }, deletedAt: null });
+  return found === ids.length;
+};
+
+// Walks the blockers, their blockers and so on; meeting this task again means
+// the tasks would wait on each other forever
+const isAcyclic = async function(blockers) {
+  const taskId = String(this._id);
+  const seen = new Set();
+  let frontier = [...new Set(blockers.map(String))];
+
+  while (frontier.length) {
+    if (frontier.includes(taskId)) return false;
+    frontier.forEach(id => seen.add(id));
+    const tasks = await this.constructor.find({ _id: { $in: frontier } }).select('blockedBy');
+    frontier = [...new Set(tasks.flatMap(task => task.blockedBy.map(String)))].filter(id => !seen.has(id));
+  }
+  return true;
+};
+
+TaskSchema.path('blockedBy').validate(isSameList, 'A task can only wait on other tasks of the same list');
+TaskSchema.path('blockedBy').validate(isAcyclic, 'A task cannot wait on itself or on a task that waits on it');
+
+// Setting the status moves `completed` along; completing or reopening a task
+// moves the status to done, or back to todo, and stamps or clears completedAt
+TaskSchema.pre('validate', function(next) {
+  if (this.isModified('status') && !this.$isDefault('status')) {
+    this.completed = this.status === 'done';
+  } else if (this.completed !== (this.status === 'done')) {
+    this.status = this.completed ? 'done' : 'todo';
+  }
+  if (this.isModified('completed')) {
+    this.completedAt = this.completed ? new Date() : null;
+  }
+  next();
+});
+
+// Anchor weekly and monthly rules to the due date when no days were chosen
+TaskSchema.pre('validate', function(next) {
+  const rule = this.recurrence;
+  const anchor = this.dueDate || this.createdAt || new Date();
+
+  if (rule && rule.frequency === 'weekly' && !(rule.weekdays && rule.weekdays.length)) {
+    rule.weekdays = [anchor.getUTCDay()];
+  }
+  if (rule && rule.frequency === 'monthly' && !rule.dayOfMonth) {
+    rule.dayOfMonth = anchor.getUTCDate();
+  }
+
+  // Each label once, and not again next to the category
+  if (this.isModified('labels') || this.isModified('category')) {
+    const labels = [...new Set(this.labels.filter(label => label && label !== this.category))];
+    if (labels.length !== this.labels.length) this.labels = labels;
+  }
+  next();
+});
+
+const timeOf = (date) => (date ? date.getTime() : null);
+
+// Reminders count back from the due time; moving it re-arms them, and ones whose
+// time has already passed never go off
+TaskSchema.pre('validate', function(next) {
+  if (!['dueDate', 'dueTime', 'timeZone', 'reminders'].some(path => this.isModified(path))) return next();
+
+  const due = dueInstant(this.dueDate, this.dueTime, this.timeZone);
+  this.dueAt = this.dueTime ? due : null;
+  const now = Date.now();
+  this.reminders.forEach(reminder => {
+    const remindAt = due && Number.isFinite(reminder.minutesBefore)
+      ? new Date(due.getTime() - reminder.minutesBefore * MINUTE_MS)
+      : null;
+    if (timeOf(remindAt) === timeOf(reminder.remindAt)) return;
+
+    reminder.remindAt = remindAt;
+    reminder.fireAt = remindAt && remindAt.getTime() > now ? remindAt : null;
+    reminder.sentAt = null;
+    reminder.dismissedAt = null;
+  });
+  next();
+});
+
+// Categories and labels nobody has defined yet get a label of their own
+TaskSchema.pre('save', async function() {
+  if (this.isNew || this.isModified('category') || this.isModified('labels')) {
+    await Label.ensureKeys(Label.scopeOf(this), [this.category, ...this.labels]);
+  }
+});
+
+// Every saved or deleted task is pushed to the live event streams
+// Moving a task to the trash reads as a deletion to clients, restoring it as a creation
+const saveEvent = (task) => {
+  if (task.isNew) return 'created';
+  if (task.isModified('deletedAt')) return task.deletedAt ? 'deleted' : 'created';
+  return 'updated';
+};
+
+TaskSchema.pre('save', function(next) {
+  this.$locals.event = saveEvent(this);
+  this.$locals.completed = !this.isNew && this.isModified('completed') && this.completed;
+  next();
+});
+
+// Open, live blockers keep a task blocked
+const hasOpenBlocker = async (Task, blockers) => Boolean(blockers.length &&
+  await Task.exists({ _id: { $in: blockers }, completed: false, deletedAt: null }));
+
+TaskSchema.pre('save', async function() {
+  // Trashed tasks aren't kept up to date, so restoring one recomputes it too
+  if (this.isModified('blockedBy') || this.isModified('deletedAt')) {
+    this.blocked = await hasOpenBlocker(this.constructor, this.blockedBy);
+  }
+  // Completing, reopening, trashing or restoring a task can change whether its dependents wait
+  this.$locals.dependentsChanged = !this.isNew && (this.isModified('completed') || this.isModified('deletedAt'));
 });
 
-module.exports = mongoose.model('Task', TaskSchema);
\ No newline at end of file
+// Recomputes `blocked` on the tasks waiting on `task`
+const refreshDependents = async (task) => {
+  const Task = task.constructor;
+  const dependents = await Task.find({ blockedBy: task._id, deletedAt: null }).select('blockedBy blocked');
+  for (const dependent of dependents) {
+    const blocked = await hasOpenBlocker(Task, dependent.blockedBy);
+    if (blocked === dependent.blocked) continue;
+
+    const updated = await Task.findOneAndUpdate({ _id: dependent._id }, { blocked }, { new: true });
+    if (updated) publishTaskEvent('updated', updated);
+  }
+};
+
+TaskSchema.post('save', async function(task) {
+  publishTaskEvent(task.$locals.event, task);
+  // Completions also go out on their own, for listeners that only want those
+  if (task.$locals.event === 'updated' && task.$locals.completed) publishTaskEvent('completed', task);
+  if (task.$locals.dependentsChanged) await refreshDependents(task);
+});
+
+TaskSchema.post('deleteOne', { document: true, query: false }, function(task) {
+  publishTaskEvent('deleted', { id: task.id, owner: task.owner, project: task.project });
+});
+
+TaskSchema.methods.isChecklistDone = function() {
+  return this.items.length > 0 && this.items.every(item => item.completed);
+};
+
+// Create the follow-up of a completed recurring task, or return null when the
+// rule has run out or the follow-up already exists
+TaskSchema.methods.createNextOccurrence = async function() {
+  const rule = this.recurrence;
+  if (!this.completed || !rule || rule.nextTask) return null;
+
+  const dueDate = nextDueDate(rule, this.dueDate || new Date());
+  if (!dueDate) return null;
+
+  const next = new this.constructor({
+    owner: this.owner,
+    project: this.project,
+    assignee: this.assignee,
+    title: this.title,
+    priority: this.priority,
+    category: this.category,
+    labels: this.labels,
+    dueTime: this.dueTime,
+    timeZone: this.timeZone,
+    reminders: this.reminders.map(reminder => ({ minutesBefore: reminder.minutesBefore })),
+    autoComplete: this.autoComplete,
+    items: this.items.map(item => ({ text: item.text })),
+    dueDate,
+    recurrence: { ...rule.toObject(), occurrence: rule.occurrence + 1, nextTask: null }
+  });
+  await next.save();
+
+  rule.nextTask = next._id;
+  await this.save();
+  return next;
+};
+
+const Task = mongoose.model('Task', TaskSchema);
+
+// Fields clients may set through POST and PUT
+// Checklist items are managed through /api/tasks/:id/items instead, and
+// reminders are snoozed and dismissed through /api/tasks/:id/reminders
+Task.EDITABLE_FIELDS = [
+  'title', 'notes', 'priority', 'category', 'labels', 'completed', 'status', 'order', 'focusedUntil', 'dueDate', 'dueTime', 'timeZone',
+  'reminders', 'autoComplete', 'recurrence', 'assignee', 'blockedBy'
+];
+Task.PRIORITIES = PRIORITIES;
+Task.STATUSES = STATUSES;
+Task.scopeOf = listFilter;
+
+module.exports = Task;
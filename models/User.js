@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 128;
+const BCRYPT_ROUNDS = 10;
+
+const UserSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name must be at most 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    unique: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Email must be a valid email address']
+  },
+  passwordHash: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: {
+    virtuals: true,
+    transform: (doc, user) => {
+      delete user.passwordHash;
+      return user;
+    }
+  }
+});
+
+// Returns an error message, or null when the password is acceptable
+UserSchema.statics.checkPasswordRules = function(password) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (password.length > PASSWORD_MAX_LENGTH) {
+    return `Password must be at most ${PASSWORD_MAX_LENGTH} characters`;
+  }
+  return null;
+};
+
+UserSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+};
+
+UserSchema.methods.checkPassword = function(password) {
+  return bcrypt.compare(String(password), this.passwordHash);
+};
+
+module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { isPublicHost } = require('../lib/publicAddress');
+
+// Task events a subscription can pick; completing a task fires task.updated too
+const EVENTS = ['task.created', 'task.updated', 'task.completed', 'task.deleted'];
+const SECRET_MIN_LENGTH = 16;
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Posts the task events of the personal list or of a project to `url`
+const WebhookSchema = new mongoose.Schema({
+  // Who set it up; personal webhooks see their owner's tasks
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true,
+    maxlength: [2000, 'URL must be at most 2000 characters'],
+    validate: [
+      { validator: isHttpUrl, message: 'URL must be an http or https address' },
+      // Deliveries check again before each request (see lib/webhooks.js)
+      {
+        validator: url => !isHttpUrl(url) || isPublicHost(new URL(url).hostname),
+        message: 'URL must point to a host on the public internet'
+      }
+    ]
+  },
+  // Signs every payload; only shown when the webhook is created
+  secret: {
+    type: String,
+    minlength: [SECRET_MIN_LENGTH, `Secret must be at least ${SECRET_MIN_LENGTH} characters`],
+    maxlength: [200, 'Secret must be at most 200 characters'],
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+  events: {
+    type: [{ type: String, enum: { values: EVENTS, message: `Events must be among: ${EVENTS.join(', ')}` } }],
+    default: () => [...EVENTS],
+    validate: { validator: events => events.length > 0, message: 'Pick at least one event' }
+  },
+  // Paused webhooks keep their settings and log but receive nothing
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: {
+    virtuals: true,
+    transform: (doc, webhook) => {
+      delete webhook.secret;
+      return webhook;
+    }
+  }
+});
+
+WebhookSchema.index({ owner: 1, project: 1 });
+WebhookSchema.index({ project: 1 });
+
+// Signature sent as X-TaskFlow-Signature, so receivers can check who sent `body`
+WebhookSchema.methods.sign = function(body) {
+  return `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+};
+
+const Webhook = mongoose.model('Webhook', WebhookSchema);
+
+Webhook.EVENTS = EVENTS;
+Webhook.EDITABLE_FIELDS = ['url', 'secret', 'events', 'active'];
+
+// Webhooks that may see the tasks of a list (see resolveTaskScope)
+Webhook.scopeOf = ({ owner, project }) => (project ? { project } : { owner, project: null });
+
+module.exports = Webhook;
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'succeeded', 'failed'];
+// Deliveries are kept this long for inspection, then expire
+const RETENTION_DAYS = 30;
+
+const AttemptSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  // HTTP status the receiver answered with; null when it couldn't be reached
+  responseStatus: { type: Number, default: null },
+  error: { type: String, default: null },
+  durationMs: { type: Number, default: 0 }
+}, {
+  _id: false
+});
+
+// One event sent to one webhook, with every attempt made so far
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  event: { type: String, required: true },
+  // The JSON body as sent, so redeliveries repeat it exactly
+  body: { type: String, required: true },
+  status: { type: String, enum: STATUSES, default: 'pending' },
+  attempts: { type: [AttemptSchema], default: [] },
+  // When lib/webhooks.js tries next while pending
+  nextAttemptAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now, expires: `${RETENTION_DAYS}d` }
+}, {
+  toJSON: { virtuals: true }
+});
+
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+
+WebhookDelivery.STATUSES = STATUSES;
+
+module.exports = WebhookDelivery;
@@ -10,14 +10,110 @@ class TaskFlow {
         this.currentSort = 'priority';
         this.currentSearch = '';
 
-        // Categories configuration
-        this.categories = {
-            work: { name: 'Work', icon: '💼', color: '#3182ce' },
-            personal: { name: 'Personal', icon: '🏠', color: '#805ad5' },
-            shopping: { name: 'Shopping', icon: '🛒', color: '#38a169' },
-            health: { name: 'Health', icon: '🏥', color: '#e53e3e' },
-            study: { name: 'Study', icon: '📚', color: '#d69e2e' }
-        };
+        // Server-side paging state
+        this.pageSize = 50;
+        this.maxPageSize = 200;
+        this.maxImportBytes = 5 * 1024 * 1024;
+        this.totalMatching = 0;
+        this.hasMore = false;
+        this.summary = null;
+        this.loadRequestId = 0;
+        this.searchTimer = null;
+
+        // Live updates pushed by the server
+        this.eventSource = null;
+        this.eventsConnected = false;
+        this.syncTimer = null;
+
+        // Undo/redo history of this session's own changes
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyLimit = 50;
+
+        // Due times are read on this browser's clock
+        this.timeZone = new Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        // Minutes before the due time reminders can be set to go off
+        this.reminderOffsets = [0, 10, 30, 60, 120, 1440, 2880, 10080];
+
+        // Trashed tasks of the current list, loaded when the trash is opened
+        this.trashTasks = [];
+        this.trashRetentionDays = null;
+
+        // Signed-in user, and whether the auth screen signs in or registers
+        this.currentUser = null;
+        this.authMode = 'login';
+
+        // Shared projects; null means the user's personal tasks
+        this.projects = [];
+        this.currentProject = null;
+        this.members = [];
+        this.membersPanelOpen = false;
+
+        /*
+         * Tasks picked for bulk actions; selectAllMatching extends the pick to
+         * every task matching the filters, loaded or not
+         */
+        this.selectedTasks = new Set();
+        this.selectAllMatching = false;
+        // Most tasks one bulk request changes (MAX_TASKS in lib/taskBulk.js)
+        this.maxBulkTasks = 5000;
+
+        // Ids of tasks whose checklist is expanded
+        this.expandedChecklists = new Set();
+
+        // Task shown in the detail panel, with its comments and history
+        this.detailTaskId = null;
+        this.detailTask = null;
+        this.detailComments = [];
+        this.detailActivity = [];
+
+        /*
+         * Unsaved edits in the detail panel's editor ({ taskId, values, errors }),
+         * the task whose title is being edited in the list, and the server's limits
+         */
+        this.taskEditorDraft = null;
+        this.inlineEditTaskId = null;
+        this.titleMaxLength = 200;
+        this.notesMaxLength = 5000;
+
+        // File chosen in the import dialog and the server's dry-run report
+        this.importFile = null;
+        this.importReport = null;
+
+        // Categories and labels of the current list, from GET /api/labels
+        this.labels = [];
+        this.labelsDialogOpen = false;
+
+        // Offline copy of the tasks and the outbox of changes waiting to sync
+        this.offlineStore = new OfflineStore();
+        this.isOnline = navigator.onLine;
+        this.pendingChanges = 0;
+        this.syncing = false;
+        this.syncRequested = false;
+        this.mirrorLimit = 1000;
+        // Ids the server gave tasks that were created offline
+        this.syncedIds = new Map();
+
+        // Task picked with j/k for the keyboard shortcuts, and the command palette's matches
+        this.focusedTaskId = null;
+        this.paletteResults = [];
+        this.paletteIndex = 0;
+
+        // List or board view, what the board's columns group tasks by, and the card being dragged
+        this.view = this.loadPreference('view', 'list');
+        this.boardGroup = this.loadPreference('boardGroup', 'status');
+        this.statusNames = { todo: '📝 To do', 'in-progress': '🚧 In progress', done: '✅ Done' };
+        this.draggedTaskId = null;
+        /*
+         * The calendar shows the month or week around calendarDate (YYYY-MM-DD);
+         * the agenda shows the next agendaDays days
+         */
+        this.calendarMode = this.loadPreference('calendarMode', 'month');
+        this.calendarDate = this.toDayKey(new Date());
+        this.agendaDays = Number(this.loadPreference('agendaDays', '7'));
+        // The dashboard charts the last statsRangeDays days
+        this.statsRangeDays = Number(this.loadPreference('statsRange', '30'));
+        this.stats = null;
 
         this.initializeApp();
         this.bindEvents();
@@ -25,7 +121,37 @@ class TaskFlow {
     }
 
     async initializeData() {
-        this.tasks = await this.loadTasks();
+        await this.checkSession();
+    }
+
+    /*
+     * Reload the current page of tasks and the statistics summary
+     * keepPages reloads every page loaded so far instead of just the first
+     */
+    async refreshTasks({ keepPages = false } = {}) {
+        const pageSize = this.getPageSize();
+        const limit = keepPages ? Math.min(Math.max(this.tasks.length, pageSize), this.maxPageSize) : pageSize;
+        await Promise.all([this.loadTasks({ limit }), this.loadSummary(), this.loadLabels()]);
+        this.renderLabels();
+        this.renderTasks();
+        this.updateStats();
+        this.updateSearchResults();
+        if (this.detailTaskId) {
+            await this.loadTaskDetail();
+        }
+    }
+
+    // Reload only the task list after a filter, sort or search change
+    async applyFilters() {
+        this.clearSelection();
+        await this.loadTasks();
+        this.renderTasks();
+        this.updateStats();
+        this.updateSearchResults();
+    }
+
+    async loadMoreTasks() {
+        await this.loadTasks({ append: true });
         this.renderTasks();
         this.updateStats();
     }
@@ -34,6 +160,9 @@ class TaskFlow {
         console.log('TaskFlow Complete System initialized!');
         this.showWelcomeMessage();
         this.setDefaultDate();
+        this.updateRepeatOptions();
+        this.updateViewControls();
+        this.registerServiceWorker();
     }
 
     showWelcomeMessage() {
@@ -55,10 +184,28 @@ class TaskFlow {
         const searchInput = document.getElementById('searchInput');
         const clearSearch = document.getElementById('clearSearch');
         const filterButtons = document.querySelectorAll('.filter-btn');
-        const categoryFilterButtons = document.querySelectorAll('.category-filter-btn');
         const sortSelect = document.getElementById('sortSelect');
         const toggleAdvanced = document.getElementById('toggleAdvanced');
         const clearAllFilters = document.getElementById('clearAllFilters');
+        const loadMoreBtn = document.getElementById('loadMoreBtn');
+        const repeatSelect = document.getElementById('repeatSelect');
+        const repeatEndSelect = document.getElementById('repeatEndSelect');
+        const dueDateInput = document.getElementById('dueDateInput');
+        const authForm = document.getElementById('authForm');
+        const authSwitch = document.getElementById('authSwitch');
+        const logoutBtn = document.getElementById('logoutBtn');
+        const taskDetail = document.getElementById('taskDetail');
+        const importFile = document.getElementById('importFile');
+
+        // Authentication events
+        authForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitAuth();
+        });
+        authSwitch.addEventListener('click', () => {
+            this.setAuthMode(this.authMode === 'login' ? 'register' : 'login');
+        });
+        logoutBtn.addEventListener('click', () => this.logout());
 
         // Task input events
         addTaskBtn.addEventListener('click', () => this.addTask());
@@ -67,21 +214,27 @@ class TaskFlow {
                 this.addTask();
             }
         });
+        taskInput.addEventListener('input', () => this.updateQuickAddPreview());
+
+        // Repeat options follow the chosen frequency and due date
+        repeatSelect.addEventListener('change', () => this.updateRepeatOptions());
+        repeatEndSelect.addEventListener('change', () => this.updateRepeatOptions());
+        dueDateInput.addEventListener('change', () => this.updateRepeatOptions());
 
         // Search functionality
         searchInput.addEventListener('input', (e) => {
             this.currentSearch = e.target.value.toLowerCase();
             clearSearch.style.display = this.currentSearch ? 'block' : 'none';
-            this.renderTasks();
-            this.updateSearchResults();
+            // Debounce so typing doesn't fire a request per keystroke
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.applyFilters(), 250);
         });
 
         clearSearch.addEventListener('click', () => {
             searchInput.value = '';
             this.currentSearch = '';
             clearSearch.style.display = 'none';
-            this.renderTasks();
-            this.updateSearchResults();
+            this.applyFilters();
         });
 
         // Quick filter buttons
@@ -92,20 +245,18 @@ class TaskFlow {
             });
         });
 
-        // Category filter buttons
-        categoryFilterButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                const category = e.currentTarget.dataset.category;
-                this.setCategoryFilter(category);
-            });
-        });
-
         // Sort selection
         sortSelect.addEventListener('change', (e) => {
             this.currentSort = e.target.value;
-            this.renderTasks();
+            this.applyFilters();
         });
 
+        // With the manual sort, tasks are dragged into order by their handles
+        const tasksList = document.getElementById('tasksList');
+        tasksList.addEventListener('dragover', (e) => this.dragOverColumn(e));
+        tasksList.addEventListener('dragleave', (e) => this.dragLeaveTarget(e));
+        tasksList.addEventListener('drop', (e) => this.dropOnList(e));
+
         // Advanced filters toggle
         toggleAdvanced.addEventListener('click', () => {
             this.toggleAdvancedFilters();
@@ -116,21 +267,246 @@ class TaskFlow {
             this.clearAllFilters();
         });
 
+        // Next page of results
+        loadMoreBtn.addEventListener('click', () => {
+            this.loadMoreTasks();
+        });
+
+        // List and board views
+        document.querySelectorAll('[data-view]').forEach(button => {
+            button.addEventListener('click', () => this.setView(button.dataset.view));
+        });
+        document.getElementById('boardGroupSelect').addEventListener('change', (e) => this.setBoardGroup(e.target.value));
+        document.getElementById('calendarPrev').addEventListener('click', () => this.shiftCalendar(-1));
+        document.getElementById('calendarNext').addEventListener('click', () => this.shiftCalendar(1));
+        document.getElementById('calendarToday').addEventListener('click', () => this.showCalendarToday());
+        document.getElementById('calendarModeSelect').addEventListener('change', (e) => this.setCalendarMode(e.target.value));
+        document.getElementById('agendaDaysSelect').addEventListener('change', (e) => this.setAgendaDays(Number(e.target.value)));
+
+        // Import dialog
+        document.getElementById('importBtn').addEventListener('click', () => this.openImportDialog());
+        document.getElementById('importClose').addEventListener('click', () => this.closeImportDialog());
+        document.getElementById('importCancel').addEventListener('click', () => this.closeImportDialog());
+        document.getElementById('importConfirm').addEventListener('click', () => this.confirmImport());
+        document.getElementById('importDuplicates').addEventListener('change', () => this.renderImportPreview());
+
+        // Export menu
+        document.getElementById('exportSelect').addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.exportTasks(e.target.value);
+            }
+            e.target.value = '';
+        });
+        importFile.addEventListener('change', () => {
+            if (importFile.files.length) {
+                this.previewImport(importFile.files[0]);
+            }
+        });
+
+        // Undo/redo and the trash
+        document.getElementById('undoBtn').addEventListener('click', () => this.undo());
+        document.getElementById('redoBtn').addEventListener('click', () => this.redo());
+        document.getElementById('statsBtn').addEventListener('click', () => this.openStats());
+        document.getElementById('statsClose').addEventListener('click', () => this.closeStats());
+        document.getElementById('statsRangeSelect').addEventListener('change', (e) => this.setStatsRange(Number(e.target.value)));
+        document.getElementById('trashBtn').addEventListener('click', () => this.openTrash());
+        document.getElementById('trashClose').addEventListener('click', () => this.closeTrash());
+        document.getElementById('trashEmpty').addEventListener('click', () => this.emptyTrash());
+        document.getElementById('clearAllBtn').addEventListener('click', () => this.clearAllTasks());
+        document.getElementById('labelsClose').addEventListener('click', () => this.closeLabelsDialog());
+
+        // Bulk action toolbar
+        document.getElementById('bulkSelectAll').addEventListener('change', (e) => this.toggleSelectAll(e.target.checked));
+        document.getElementById('bulkSelectMatching').addEventListener('click', () => {
+            this.selectAllMatching = true;
+            this.updateBulkToolbar();
+        });
+        document.querySelectorAll('[data-bulk-action]').forEach(button => {
+            button.addEventListener('click', () => this.bulkAction(button.dataset.bulkAction));
+        });
+        [['bulkPriority', 'priority'], ['bulkCategory', 'category']].forEach(([id, action]) => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                if (e.target.value) {
+                    this.bulkAction(action, e.target.value);
+                }
+                e.target.value = '';
+            });
+        });
+        document.getElementById('bulkDueDate').addEventListener('change', (e) => {
+            this.bulkAction('reschedule', e.target.value || null);
+            e.target.value = '';
+        });
+
+        // Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes; text fields keep their own undo
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || !this.currentUser) return;
+            if (e.target.matches('input, textarea, select')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        // Keyboard shortcuts (see getShortcuts), the command palette and the shortcuts overlay
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+        document.getElementById('shortcutsBtn').addEventListener('click', () => this.openShortcuts());
+        document.getElementById('shortcutsClose').addEventListener('click', () => this.closeShortcuts());
+        const paletteInput = document.getElementById('paletteInput');
+        paletteInput.addEventListener('input', () => this.renderPalette());
+        paletteInput.addEventListener('keydown', (e) => this.handlePaletteKey(e));
+        document.getElementById('commandPalette').addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) {
+                this.closePalette();
+            }
+        });
+
+        // Task detail panel
+        taskDetail.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeTaskDetail();
+            }
+        });
+
+        // Connectivity; reconnecting replays changes made offline
+        window.addEventListener('online', () => this.setOnline(true));
+        window.addEventListener('offline', () => this.setOnline(false));
+
         // Focus on input when page loads
         taskInput.focus();
     }
 
+    // Authentication Methods
+    async checkSession() {
+        try {
+            const { user } = await this.apiRequest('/api/auth/me');
+            await this.startSession(user);
+        } catch (error) {
+            // Offline, the last signed-in user carries on with the local copy
+            const user = error.offline ? await this.offlineStore.getMeta('user').catch(() => null) : null;
+            if (user) {
+                await this.startSession(user);
+            } else {
+                this.showAuthScreen();
+            }
+        }
+    }
+
+    async startSession(user) {
+        this.setCurrentUser(user);
+        await this.rememberUser(user);
+        await this.loadProjects();
+        await this.refreshTasks();
+        this.connectEvents();
+        await this.syncOfflineChanges();
+    }
+
+    setCurrentUser(user) {
+        this.currentUser = user;
+        document.getElementById('authScreen').classList.remove('visible');
+        document.getElementById('appMain').hidden = false;
+        document.getElementById('userBar').classList.add('visible');
+        document.getElementById('userName').textContent = user.name;
+    }
+
+    showAuthScreen() {
+        this.currentUser = null;
+        this.tasks = [];
+        this.summary = null;
+        this.projects = [];
+        this.currentProject = null;
+        this.members = [];
+        this.membersPanelOpen = false;
+        this.labels = [];
+        this.closeLabelsDialog();
+        this.closeTaskDetail();
+        this.closeTrash();
+        this.closeStats();
+        this.disconnectEvents();
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateHistoryButtons();
+
+        document.getElementById('appMain').hidden = true;
+        document.getElementById('userBar').classList.remove('visible');
+        document.getElementById('authScreen').classList.add('visible');
+        this.setAuthMode(this.authMode);
+        document.getElementById('authEmail').focus();
+    }
+
+    setAuthMode(mode) {
+        const isRegister = mode === 'register';
+        this.authMode = mode;
+
+        document.getElementById('authTitle').textContent = isRegister ? 'Create your TaskFlow account' : 'Sign in to TaskFlow';
+        document.getElementById('authName').style.display = isRegister ? 'block' : 'none';
+        document.getElementById('authPassword').autocomplete = isRegister ? 'new-password' : 'current-password';
+        document.getElementById('authSubmit').textContent = isRegister ? 'Create account' : 'Sign in';
+        document.getElementById('authSwitchText').textContent = isRegister ? 'Already have an account?' : 'No account yet?';
+        document.getElementById('authSwitch').textContent = isRegister ? 'Sign in' : 'Create one';
+        document.getElementById('authError').textContent = '';
+    }
+
+    async submitAuth() {
+        const isRegister = this.authMode === 'register';
+        const passwordInput = document.getElementById('authPassword');
+        const credentials = {
+            email: document.getElementById('authEmail').value.trim(),
+            password: passwordInput.value
+        };
+        if (isRegister) {
+            credentials.name = document.getElementById('authName').value.trim();
+        }
+
+        try {
+            const { user } = await this.apiRequest(`/api/auth/${isRegister ? 'register' : 'login'}`, {
+                method: 'POST',
+                body: JSON.stringify(credentials)
+            });
+            passwordInput.value = '';
+            await this.startSession(user);
+            document.getElementById('taskInput').focus();
+            this.showNotification(`Welcome, ${user.name}!`, 'success');
+        } catch (error) {
+            document.getElementById('authError').textContent =
+                this.getErrorMessage(error, 'Could not reach the server, please try again');
+        }
+    }
+
+    async logout() {
+        try {
+            await this.apiRequest('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Error signing out:', error);
+        }
+        await this.offlineStore.clear().catch(error => console.error('Failed to clear the offline copy:', error));
+        this.pendingChanges = 0;
+        this.showAuthScreen();
+    }
+
     // Task Management Methods
     async addTask() {
         const taskInput = document.getElementById('taskInput');
         const prioritySelect = document.getElementById('prioritySelect');
         const categorySelect = document.getElementById('categorySelect');
         const dueDateInput = document.getElementById('dueDateInput');
+        const dueTimeInput = document.getElementById('dueTimeInput');
+        const reminderSelect = document.getElementById('reminderSelect');
 
-        const taskText = taskInput.value.trim();
-        const priority = prioritySelect.value;
-        const category = categorySelect.value;
-        const dueDate = dueDateInput.value;
+        // Fields typed inline ("tomorrow 3pm !high #work") win over the form's
+        const parsed = this.parseQuickAdd(taskInput.value);
+        const taskText = parsed.title;
+        const priority = parsed.priority || prioritySelect.value;
+        const category = parsed.category || categorySelect.value;
+        const labels = parsed.labels;
+        const dueDate = parsed.dueDate || dueDateInput.value;
+        const dueTime = parsed.dueTime || dueTimeInput.value;
+        const reminders = reminderSelect.value === '' ? [] : [{ minutesBefore: Number(reminderSelect.value) }];
+        const recurrence = parsed.recurrence || this.getRecurrenceFromForm();
 
         if (taskText === '') {
             this.showNotification('Please enter a task description', 'warning');
@@ -139,58 +515,71 @@ class TaskFlow {
         }
 
 
+        let createdTask;
         try {
-            const response = await fetch('/api/tasks', {
+            createdTask = await this.writeTask({
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                title: taskText, // API expects 'title'
-                priority: priority,
-                category: category,
-                dueDate: dueDate || null
-                })
+                url: '/api/tasks',
+                label: `add "${taskText}"`,
+                body: {
+                    title: taskText, // API expects 'title'
+                    priority: priority,
+                    category: category,
+                    labels: labels,
+                    dueDate: dueDate || null,
+                    dueTime: dueTime || null,
+                    timeZone: this.timeZone,
+                    reminders: reminders,
+                    recurrence: recurrence,
+                    project: this.currentProject
+                }
             });
-            const savedTask = await response.json();
-
-            // Map the saved task to our frontend format
-            const newTask = {
-                ...savedTask,
-                text: savedTask.title // Map 'title' back to 'text'
-            };
-
-            this.tasks.push(newTask);
-            } catch (error) {
+        } catch (error) {
             console.error('Error adding task:', error);
-            this.showNotification('Failed to add task!', 'error');
+            this.showNotification(this.getErrorMessage(error, 'Failed to add task!'), 'error');
             return;
-            }
+        }
 
-        this.renderTasks();
-        this.updateStats();
-        this.updateSearchResults();
+        await this.refreshTasks();
 
         // Reset form
         taskInput.value = '';
+        this.updateQuickAddPreview();
         prioritySelect.value = 'medium';
-        categorySelect.value = 'personal';
         this.setDefaultDate();
+        dueTimeInput.value = '';
+        reminderSelect.value = '';
+        this.resetRepeatForm();
         taskInput.focus();
+        if (reminders.length) this.requestNotificationPermission();
 
-        this.showNotification('Task added successfully!', 'success');
+        this.recordHistory({
+            label: `add "${createdTask.title}"`,
+            undo: () => this.trashTask(createdTask.id),
+            redo: () => this.restoreTask(createdTask.id)
+        });
+        this.showNotification('Task added successfully!', 'success', this.undoAction());
     }
 
+    // Deleted tasks go to the trash, so this asks no confirmation and can be undone
     async deleteTask(taskId) {
-        if (confirm('Are you sure you want to delete this task?')) {
+        const task = this.findTask(taskId);
+        if (task) {
             try {
-            await fetch(`/api/tasks/${taskId}`, { method: 'DELETE' });
-            this.tasks = this.tasks.filter(task => task.id !== taskId);
-            this.renderTasks();
-            this.updateStats();
-            this.updateSearchResults();
-            this.showNotification('Task deleted successfully!', 'success');
+                await this.trashTask(taskId);
+                if (this.detailTaskId === taskId) {
+                    this.closeTaskDetail();
+                }
+                await this.refreshTasks();
+                this.recordHistory({
+                    label: `delete "${task.text}"`,
+                    undo: () => this.restoreTask(taskId),
+                    redo: () => this.trashTask(taskId)
+                });
+                this.showNotification('Task moved to the trash', 'success', this.undoAction());
             } catch (error) {
-            console.error('Error deleting task:', error);
-            this.showNotification('Failed to delete task!', 'error');
+                console.error('Error deleting task:', error);
+                this.showNotification(this.getErrorMessage(error, 'Failed to delete task!'), 'error');
             }
         }
     }
@@ -198,545 +587,3947 @@ class TaskFlow {
     async toggleTask(taskId) {
         const task = this.tasks.find(task => task.id === taskId);
         if (task) {
+            // Only send what changes, so a stale copy can't overwrite other fields
             const updatedTask = {
-            ...task,
-            title: task.text, // Map 'text' to 'title' for API
-            completed: !task.completed,
-            completedAt: !task.completed ? new Date().toISOString() : null
+                completed: !task.completed
             };
 
             try {
-            await fetch(`/api/tasks/${taskId}`, {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(updatedTask)
-            });
+                const savedTask = await this.patchTask(task, updatedTask);
+                if (!savedTask) {
+                    await this.refreshTasks();
+                    return;
+                }
 
-            task.completed = updatedTask.completed;
-            task.completedAt = updatedTask.completedAt;
-            this.renderTasks();
-            this.updateStats();
-            this.updateSearchResults();
+                const scheduledNext = this.hasNewOccurrence(task, savedTask);
+                const nextTaskId = scheduledNext ? savedTask.recurrence.nextTask : null;
+                const completed = savedTask.completed;
+                task.completed = completed;
+                await this.refreshTasks();
 
-            const message = task.completed ? 'Task completed! 🎉' : 'Task marked as pending';
-            this.showNotification(message, 'success');
+                // Undoing a completion also trashes the occurrence it scheduled
+                this.recordHistory({
+                    label: `${completed ? 'complete' : 'reopen'} "${task.text}"`,
+                    undo: async() => {
+                        await this.setTaskFields(taskId, { completed: !completed });
+                        if (nextTaskId) await this.trashTask(nextTaskId);
+                    },
+                    redo: async() => {
+                        await this.setTaskFields(taskId, { completed });
+                        if (nextTaskId) await this.restoreTask(nextTaskId);
+                    }
+                });
+
+                let message = completed ? 'Task completed! 🎉' : 'Task marked as pending';
+                if (scheduledNext) {
+                    message = 'Task completed! 🎉 The next occurrence has been scheduled.';
+                }
+                this.showNotification(message, 'success', this.undoAction());
             } catch (error) {
-            console.error('Error toggling task:', error);
-            this.showNotification('Failed to update task!', 'error');
+                console.error('Error toggling task:', error);
+                this.showNotification(this.getErrorMessage(error, 'Failed to update task!'), 'error');
             }
         }
     }
 
+    // Opens the task in the detail panel with its editor focused
     async editTask(taskId) {
-        const task = this.tasks.find(task => task.id === taskId);
-        if (task) {
-            const newText = prompt('Edit task:', task.text);
-            if (newText !== null && newText.trim() !== '') {
-            const updatedTask = {
-                ...task,
-                title: newText.trim(), // Map to 'title' for API
-                text: newText.trim()
-            };
+        await this.openTaskDetail(taskId);
+        const input = document.getElementById(`editTitle-${taskId}`);
+        if (input) {
+            input.focus();
+            input.select();
+        }
+    }
 
-            try {
-                await fetch(`/api/tasks/${taskId}`, {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(updatedTask)
-                });
+    async renameTask(taskId, title) {
+        const task = this.findTask(taskId);
+        if (!task || title === task.text) return;
 
-                task.text = newText.trim();
-                this.renderTasks();
-                this.updateStats();
-                this.updateSearchResults();
-                this.showNotification('Task updated successfully!', 'success');
-            } catch (error) {
-                console.error('Error updating task:', error);
-                this.showNotification('Failed to update task!', 'error');
-            }
+        try {
+            const savedTask = await this.patchTask(task, { title });
+            await this.refreshTasks();
+            if (savedTask) {
+                const oldTitle = task.text;
+                const newTitle = savedTask.title;
+                this.recordHistory({
+                    label: `rename "${oldTitle}"`,
+                    undo: () => this.setTaskFields(taskId, { title: oldTitle }),
+                    redo: () => this.setTaskFields(taskId, { title: newTitle })
+                });
+                this.showNotification('Task updated successfully!', 'success', this.undoAction());
             }
+        } catch (error) {
+            console.error('Error updating task:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to update task!'), 'error');
         }
     }
 
-    // Filtering Methods
-    setFilter(filter) {
-        this.currentFilter = filter;
-
-        // Update button states
-        document.querySelectorAll('.filter-btn').forEach(btn => {
-            btn.classList.remove('active');
-        });
-        document.querySelector(`[data-filter="${filter}"]`).classList.add('active');
+    // Pins the task to My Day until midnight, or takes it off
+    async toggleFocus(taskId) {
+        const task = this.findTask(taskId);
+        if (!task) return;
 
-        this.renderTasks();
-        this.updateSearchResults();
+        const focused = !this.isFocused(task);
+        const previous = task.focusedUntil;
+        try {
+            const savedTask = await this.patchTask(task, { focusedUntil: focused ? this.endOfToday() : null });
+            await this.refreshTasks();
+            if (savedTask) {
+                this.recordHistory({
+                    label: `${focused ? 'pin' : 'unpin'} "${task.text}"`,
+                    undo: () => this.setTaskFields(taskId, { focusedUntil: previous }),
+                    redo: () => this.setTaskFields(taskId, { focusedUntil: focused ? this.endOfToday() : null })
+                });
+                this.showNotification(focused ? 'Pinned to My Day ☀️' : 'Taken off My Day', 'success', this.undoAction());
+            }
+        } catch (error) {
+            console.error('Error pinning task:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to update task!'), 'error');
+        }
     }
 
-    setCategoryFilter(category) {
-        this.currentCategoryFilter = category;
-
-        // Update button states
-        document.querySelectorAll('.category-filter-btn').forEach(btn => {
-            btn.classList.remove('active');
-        });
-        document.querySelector(`[data-category="${category}"]`).classList.add('active');
-
+    /*
+     * Double-clicking a title in the list edits it in place; Enter or leaving
+     * the field saves, Escape cancels
+     */
+    startInlineEdit(taskId) {
+        if (!this.canEdit()) return;
+        this.inlineEditTaskId = taskId;
         this.renderTasks();
-        this.updateSearchResults();
+        const input = document.getElementById(`inlineTitle-${taskId}`);
+        if (input) {
+            input.focus();
+            input.select();
+        }
     }
 
-    toggleAdvancedFilters() {
-        const panel = document.getElementById('advancedPanel');
-        const toggleIcon = document.querySelector('.toggle-icon');
-
-        if (panel.style.display === 'none' || !panel.style.display) {
-            panel.style.display = 'block';
-            toggleIcon.textContent = '▲';
-        } else {
-            panel.style.display = 'none';
-            toggleIcon.textContent = '▼';
+    handleInlineTitleKey(e, taskId) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            this.finishInlineEdit(taskId, true);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.finishInlineEdit(taskId, false);
         }
     }
 
-    clearAllFilters() {
-        // Reset all filters
-        this.currentFilter = 'all';
-        this.currentCategoryFilter = 'all';
-        this.currentSearch = '';
-        this.currentSort = 'priority';
-
-        // Reset UI
-        document.getElementById('searchInput').value = '';
-        document.getElementById('clearSearch').style.display = 'none';
-        document.getElementById('sortSelect').value = 'priority';
+    async finishInlineEdit(taskId, save) {
+        // Enter re-renders the list, and the field losing focus then calls this again
+        if (this.inlineEditTaskId !== taskId) return;
 
-        // Reset button states
-        document.querySelectorAll('.filter-btn').forEach(btn => btn.classList.remove('active'));
-        document.querySelector('[data-filter="all"]').classList.add('active');
+        const input = document.getElementById(`inlineTitle-${taskId}`);
+        const title = input ? input.value.trim() : '';
+        this.inlineEditTaskId = null;
+        this.renderTasks();
 
-        document.querySelectorAll('.category-filter-btn').forEach(btn => btn.classList.remove('active'));
-        document.querySelector('[data-category="all"]').classList.add('active');
+        if (!save) return;
+        if (title === '') {
+            this.showNotification('Title is required; the task kept its old title', 'warning');
+            return;
+        }
+        await this.renameTask(taskId, title);
+    }
 
-        this.renderTasks();
-        this.updateSearchResults();
-        this.showNotification('All filters cleared!', 'info');
+    /*
+     * Undo and redo apply their change to whatever the server has now, so they
+     * don't send If-Match
+     */
+    setTaskFields(taskId, fields) {
+        return this.writeTask({ method: 'PATCH', url: `/api/tasks/${taskId}`, body: fields, label: 'an undo' });
     }
 
-    // Utility Methods for Task Analysis
-    getPriorityValue(priority) {
-        const values = { high: 3, medium: 2, low: 1 };
-        return values[priority] || 2;
+    trashTask(taskId) {
+        return this.writeTask({ method: 'DELETE', url: `/api/tasks/${taskId}`, label: 'a deletion' });
     }
 
-    isOverdue(task) {
-        if (!task.dueDate || task.completed) return false;
-        const today = new Date();
-        const dueDate = new Date(task.dueDate);
-        today.setHours(0, 0, 0, 0);
-        dueDate.setHours(0, 0, 0, 0);
-        return dueDate < today;
+    restoreTask(taskId) {
+        return this.writeTask({ method: 'POST', url: `/api/tasks/trash/${taskId}/restore`, label: 'a restore' });
     }
 
-    isDueToday(task) {
-        if (!task.dueDate) return false;
-        const today = new Date();
-        const dueDate = new Date(task.dueDate);
-        today.setHours(0, 0, 0, 0);
-        dueDate.setHours(0, 0, 0, 0);
-        return dueDate.getTime() === today.getTime();
-    }
-
-    matchesSearch(task) {
-        if (!this.currentSearch) return true;
-        return task.text.toLowerCase().includes(this.currentSearch);
-    }
-
-    matchesFilter(task) {
-        switch (this.currentFilter) {
-            case 'all':
-                return true;
-            case 'completed':
-                return task.completed;
-            case 'pending':
-                return !task.completed;
-            case 'high-priority':
-                return task.priority === 'high' && !task.completed;
-            case 'due-today':
-                return this.isDueToday(task) && !task.completed;
-            case 'overdue':
-                return this.isOverdue(task);
-            default:
-                return true;
+    /*
+     * Send only the changed fields, guarded by the version this copy was loaded at
+     * Resolves to the saved task, or null if the user dropped their change
+     */
+    async patchTask(task, changes) {
+        try {
+            return await this.writeTask({
+                method: 'PATCH',
+                url: `/api/tasks/${task.id}`,
+                version: task.version,
+                body: changes,
+                label: `changes to "${task.text}"`
+            });
+        } catch (error) {
+            if (error.status !== 409 || !error.current) throw error;
+            return this.resolveConflict(changes, this.normalizeTask(error.current));
         }
     }
 
-    matchesCategoryFilter(task) {
-        if (this.currentCategoryFilter === 'all') return true;
-        return task.category === this.currentCategoryFilter;
-    }
+    // Someone else saved first: re-apply our change on top of theirs, or keep theirs
+    async resolveConflict(changes, latest) {
+        const question = `"${latest.text}" was changed by someone else while you were editing.\n\n` +
+            'OK: apply your change to their latest version\n' +
+            'Cancel: discard your change and reload';
+        const merge = confirm(question);
+        if (!merge) {
+            this.showNotification('Your change was discarded; showing the latest version', 'info');
+            return null;
+        }
 
-    getFilteredTasks() {
-        return this.tasks.filter(task =>
-            this.matchesSearch(task) &&
-            this.matchesFilter(task) &&
-            this.matchesCategoryFilter(task)
-        );
+        return this.apiRequest(`/api/tasks/${latest.id}`, {
+            method: 'PATCH',
+            headers: { 'If-Match': `"${latest.version}"` },
+            body: JSON.stringify(changes)
+        });
     }
 
-    sortTasks(tasks) {
-        const tasksCopy = [...tasks];
+    // A task from the list or the detail panel
+    findTask(taskId) {
+        const task = this.tasks.find(task => task.id === taskId);
+        if (task) return task;
+        return this.detailTask && this.detailTask.id === taskId ? this.detailTask : null;
+    }
 
-        switch (this.currentSort) {
-            case 'priority':
-                return tasksCopy.sort((a, b) => {
-                    if (a.completed !== b.completed) {
-                        return a.completed - b.completed;
-                    }
-                    return this.getPriorityValue(b.priority) - this.getPriorityValue(a.priority);
-                });
+    /*
+     * History Methods
+     * Entries are { label, undo, redo }; a new change drops anything redoable
+     */
+    recordHistory(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.historyLimit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
 
-            case 'due-date':
-                return tasksCopy.sort((a, b) => {
-                    if (a.completed !== b.completed) {
-                        return a.completed - b.completed;
-                    }
-                    if (!a.dueDate && !b.dueDate) return 0;
-                    if (!a.dueDate) return 1;
-                    if (!b.dueDate) return -1;
-                    return new Date(a.dueDate) - new Date(b.dueDate);
-                });
+    undoAction() {
+        return { label: 'Undo', handler: () => this.undo() };
+    }
 
-            case 'created-desc':
-                return tasksCopy.sort((a, b) => {
-                    if (a.completed !== b.completed) {
-                        return a.completed - b.completed;
-                    }
-                    return new Date(b.createdAt) - new Date(a.createdAt);
-                });
+    async undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return;
 
-            case 'created-asc':
-                return tasksCopy.sort((a, b) => {
-                    if (a.completed !== b.completed) {
-                        return a.completed - b.completed;
-                    }
-                    return new Date(a.createdAt) - new Date(b.createdAt);
-                });
+        try {
+            await entry.undo();
+            this.redoStack.push(entry);
+            this.showNotification(`Undid ${entry.label}`, 'info', { label: 'Redo', handler: () => this.redo() });
+        } catch (error) {
+            console.error('Error undoing change:', error);
+            this.showNotification(this.getErrorMessage(error, `Could not undo ${entry.label}`), 'error');
+        }
+        this.updateHistoryButtons();
+        await this.refreshTasks();
+    }
 
-            case 'alphabetical':
-                return tasksCopy.sort((a, b) => {
-                    if (a.completed !== b.completed) {
-                        return a.completed - b.completed;
-                    }
-                    return a.text.toLowerCase().localeCompare(b.text.toLowerCase());
-                });
+    async redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return;
 
-            default:
-                return tasksCopy;
+        try {
+            await entry.redo();
+            this.undoStack.push(entry);
+            this.showNotification(`Redid ${entry.label}`, 'info', this.undoAction());
+        } catch (error) {
+            console.error('Error redoing change:', error);
+            this.showNotification(this.getErrorMessage(error, `Could not redo ${entry.label}`), 'error');
         }
+        this.updateHistoryButtons();
+        await this.refreshTasks();
     }
 
-    // Rendering Methods
-    highlightSearchTerm(text) {
-        if (!this.currentSearch) return this.escapeHtml(text);
-
-        const escapedText = this.escapeHtml(text);
-        const searchTerm = this.escapeHtml(this.currentSearch);
-        const regex = new RegExp(`(${searchTerm})`, 'gi');
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        const lastUndo = this.undoStack[this.undoStack.length - 1];
+        const lastRedo = this.redoStack[this.redoStack.length - 1];
 
-        return escapedText.replace(regex, '<mark class="search-highlight">$1</mark>');
+        undoBtn.disabled = !lastUndo;
+        redoBtn.disabled = !lastRedo;
+        undoBtn.title = lastUndo ? `Undo ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+        redoBtn.title = lastRedo ? `Redo ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
     }
 
-    getDueDateDisplay(task) {
-        if (!task.dueDate) {
-            return '📋 No due date';
+    // Bulk Action Methods
+    toggleSelection(taskId) {
+        // Unticking one task of "all matching" keeps the rest of the loaded ones
+        if (this.selectAllMatching) {
+            this.selectAllMatching = false;
+            this.selectedTasks = new Set(this.tasks.map(task => task.id));
         }
 
-        const today = new Date();
-        const dueDate = new Date(task.dueDate);
-        const diffTime = dueDate - today;
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-
-        if (this.isOverdue(task)) {
-            const overdueDays = Math.abs(diffDays);
-            return `⚠️ ${overdueDays} day${overdueDays === 1 ? '' : 's'} overdue`;
-        } else if (this.isDueToday(task)) {
-            return '🔥 Due today';
-        } else if (diffDays === 1) {
-            return '⏰ Due tomorrow';
-        } else if (diffDays <= 7) {
-            return `📅 Due in ${diffDays} day${diffDays === 1 ? '' : 's'}`;
+        if (this.selectedTasks.has(taskId)) {
+            this.selectedTasks.delete(taskId);
         } else {
-            return `📅 Due ${this.formatDate(task.dueDate)}`;
+            this.selectedTasks.add(taskId);
         }
+        this.renderTasks();
     }
 
-    getPriorityIcon(priority) {
-        const icons = { high: '🔥', medium: '⚡', low: '🌱' };
-        return icons[priority] || '⚡';
+    toggleSelectAll(checked) {
+        this.selectedTasks = new Set(checked ? this.tasks.map(task => task.id) : []);
+        this.selectAllMatching = false;
+        this.renderTasks();
     }
 
-    renderTasks() {
-        const tasksList = document.getElementById('tasksList');
-        const emptyState = document.getElementById('emptyState');
-        const filteredTasks = this.getFilteredTasks();
+    clearSelection() {
+        this.selectedTasks = new Set();
+        this.selectAllMatching = false;
+    }
 
-        if (filteredTasks.length === 0) {
-            tasksList.style.display = 'none';
-            emptyState.style.display = 'block';
+    getSelectionCount() {
+        return this.selectAllMatching ? this.totalMatching : this.selectedTasks.size;
+    }
+
+    updateBulkToolbar() {
+        const toolbar = document.getElementById('bulkToolbar');
+        const selectAll = document.getElementById('bulkSelectAll');
+        const selectMatching = document.getElementById('bulkSelectMatching');
+        const count = this.getSelectionCount();
+        const allLoaded = this.tasks.length > 0 && (this.selectAllMatching || this.tasks.every(task => this.selectedTasks.has(task.id)));
+
+        toolbar.classList.toggle('visible', this.canEdit() && this.tasks.length > 0);
+        selectAll.checked = allLoaded;
+        selectAll.indeterminate = count > 0 && !allLoaded;
+        document.getElementById('bulkCount').textContent = count ? `${count} selected` : 'Select all';
+
+        // Only the loaded page can be ticked, so offer the rest of the matches
+        selectMatching.classList.toggle('visible', allLoaded && this.hasMore && !this.selectAllMatching);
+        selectMatching.textContent = `Select all ${this.totalMatching} matching tasks`;
+
+        toolbar.querySelectorAll('.bulk-actions button, .bulk-actions select, .bulk-actions input').forEach(control => {
+            control.disabled = count === 0;
+        });
+    }
+
+    // The current list filters, without paging, sort or project
+    getBulkFilter() {
+        const params = new URLSearchParams(this.buildTaskQuery());
+        ['sort', 'limit', 'offset', 'project'].forEach(key => params.delete(key));
+        return Object.fromEntries(params);
+    }
+
+    async bulkAction(action, value) {
+        const count = this.getSelectionCount();
+        if (count === 0) return;
+        if (action === 'delete' && !confirm(`Move ${count} task${count === 1 ? '' : 's'} to the trash?`)) return;
+
+        const target = this.selectAllMatching
+            ? { filter: this.getBulkFilter() }
+            : { ids: Array.from(this.selectedTasks) };
+        await this.performBulkAction({ action, value, ...target });
+    }
+
+    async performBulkAction(request) {
+        const project = this.currentProject;
+        try {
+            const result = await this.runBulkActionInBatches(request, project);
+            this.clearSelection();
+            await this.refreshTasks();
+
+            // Deletions are undone by restoring exactly the tasks that were moved
+            const undoable = request.action === 'delete' && result.ids.length > 0;
+            if (undoable) {
+                this.recordHistory({
+                    label: `delete ${result.updated} task${result.updated === 1 ? '' : 's'}`,
+                    undo: () => this.runBulkActionInBatches({ action: 'restore', ids: result.ids }, project),
+                    redo: () => this.runBulkActionInBatches({ action: 'delete', ids: result.ids }, project)
+                });
+            }
+            this.showNotification(this.describeBulkResult(result), 'success', undoable ? this.undoAction() : null);
+        } catch (error) {
+            console.error('Error applying bulk action:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to update the selected tasks!'), 'error');
+        }
+    }
+
+    runBulkAction(request, project = this.currentProject) {
+        return this.apiRequest('/api/tasks/bulk', {
+            method: 'POST',
+            body: JSON.stringify({ ...request, project })
+        });
+    }
+
+    /*
+     * Splits requests the server would refuse as too large: ids go in chunks,
+     * and filtered deletions repeat until no matching task is left, since
+     * deleted tasks drop out of the filter
+     */
+    async runBulkActionInBatches(request, project = this.currentProject) {
+        const total = { action: request.action, matched: 0, updated: 0, ids: [], conflicts: [] };
+        const add = (result) => {
+            total.matched += result.matched;
+            total.updated += result.updated;
+            total.ids.push(...result.ids);
+            total.conflicts.push(...result.conflicts);
+            return result;
+        };
+        const size = this.maxBulkTasks;
+
+        if (request.ids) {
+            for (let start = 0; start < request.ids.length; start += size) {
+                add(await this.runBulkAction({ ...request, ids: request.ids.slice(start, start + size) }, project));
+            }
+        } else if (request.action === 'delete') {
+            let result;
+            do {
+                result = add(await this.runBulkAction({ ...request, limit: size }, project));
+            } while (result.matched === size && result.updated > 0);
+        } else {
+            add(await this.runBulkAction(request, project));
+        }
+        return total;
+    }
+
+    describeBulkResult({ action, updated, conflicts }) {
+        const tasks = `${updated} task${updated === 1 ? '' : 's'}`;
+        const messages = {
+            complete: `Completed ${tasks}`,
+            reopen: `Reopened ${tasks}`,
+            delete: `Moved ${tasks} to the trash`,
+            restore: `Restored ${tasks}`,
+            priority: `Changed the priority of ${tasks}`,
+            category: `Changed the category of ${tasks}`,
+            reschedule: `Rescheduled ${tasks}`
+        };
+
+        let message = messages[action];
+        if (conflicts.length) {
+            message += `; skipped ${conflicts.length} changed by someone else meanwhile`;
+        }
+        return message;
+    }
+
+    // Checklist Methods
+    toggleChecklist(taskId) {
+        if (this.expandedChecklists.has(taskId)) {
+            this.expandedChecklists.delete(taskId);
+        } else {
+            this.expandedChecklists.add(taskId);
+        }
+        this.renderTasks();
+    }
+
+    async addChecklistItem(taskId) {
+        const input = document.getElementById(`checklistInput-${taskId}`);
+        const text = input.value.trim();
+
+        if (text === '') {
+            input.focus();
+            return;
+        }
+
+        input.value = '';
+        const saved = await this.updateChecklist(taskId, '', {
+            method: 'POST',
+            body: JSON.stringify({ text })
+        });
+        const nextInput = document.getElementById(`checklistInput-${taskId}`);
+        if (nextInput) {
+            if (!saved) nextInput.value = text;
+            nextInput.focus();
+        }
+    }
+
+    async toggleChecklistItem(taskId, itemId, completed) {
+        await this.updateChecklist(taskId, `/${itemId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ completed })
+        });
+    }
+
+    async moveChecklistItem(taskId, itemId, direction) {
+        const task = this.tasks.find(task => task.id === taskId);
+        const itemIds = task.items.map(item => item.id);
+        const index = itemIds.indexOf(itemId);
+        const target = index + direction;
+
+        if (index === -1 || target < 0 || target >= itemIds.length) return;
+
+        [itemIds[index], itemIds[target]] = [itemIds[target], itemIds[index]];
+        await this.updateChecklist(taskId, '/order', {
+            method: 'PUT',
+            body: JSON.stringify({ itemIds })
+        });
+    }
+
+    async deleteChecklistItem(taskId, itemId) {
+        await this.updateChecklist(taskId, `/${itemId}`, { method: 'DELETE' });
+    }
+
+    async setAutoComplete(taskId, autoComplete) {
+        try {
+            const updated = await this.patchTask(this.findTask(taskId), { autoComplete });
+            if (!updated) {
+                await this.refreshTasks();
+                return;
+            }
+            await this.applyTaskUpdate(updated);
+        } catch (error) {
+            console.error('Error updating task:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to update task!'), 'error');
+        }
+    }
+
+    // Send a request to /api/tasks/:id/items and apply the returned task
+    async updateChecklist(taskId, path, options) {
+        try {
+            const updated = await this.apiRequest(`/api/tasks/${taskId}/items${path}`, options);
+            await this.applyTaskUpdate(updated);
+            return true;
+        } catch (error) {
+            console.error('Error updating checklist:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to update checklist!'), 'error');
+            return false;
+        }
+    }
+
+    async applyTaskUpdate(updated) {
+        const index = this.tasks.findIndex(task => task.id === updated.id);
+        const previous = this.tasks[index];
+        const task = this.normalizeTask(updated);
+
+        if (index !== -1) {
+            this.tasks[index] = task;
+        }
+
+        // Completing the last item may have completed the whole task
+        if (previous && previous.completed !== task.completed) {
+            await this.refreshTasks();
+            if (task.completed) {
+                this.showNotification('Checklist done, task completed! 🎉', 'success');
+            }
+        } else {
+            this.renderTasks();
+            if (this.detailTaskId === task.id) {
+                await this.loadTaskDetail();
+            }
+        }
+    }
+
+    // Recurrence Methods
+    updateRepeatOptions() {
+        const frequency = document.getElementById('repeatSelect').value;
+        const endType = document.getElementById('repeatEndSelect').value;
+        const dueDate = this.getDueDateFromForm();
+        const show = (id, visible) => {
+            document.getElementById(id).style.display = visible ? 'flex' : 'none';
+        };
+
+        document.getElementById('repeatOptions').classList.toggle('visible', frequency !== '');
+        show('repeatWeekdays', frequency === 'weekly');
+        show('repeatDayOfMonth', frequency === 'monthly');
+        show('repeatInterval', frequency === 'interval');
+        document.getElementById('repeatEndDate').style.display = endType === 'date' ? 'block' : 'none';
+        document.getElementById('repeatCountInput').style.display = endType === 'count' ? 'block' : 'none';
+        document.getElementById('repeatCountLabel').style.display = endType === 'count' ? 'inline' : 'none';
+
+        // Default the repeat day to the due date's weekday / day of month
+        const weekdayBoxes = document.querySelectorAll('#repeatWeekdays input');
+        if (frequency === 'weekly' && ![...weekdayBoxes].some(box => box.checked)) {
+            weekdayBoxes.forEach(box => {
+                box.checked = Number(box.value) === dueDate.getUTCDay();
+            });
+        }
+        const dayInput = document.getElementById('repeatDayInput');
+        if (frequency === 'monthly' && !dayInput.value) {
+            dayInput.value = dueDate.getUTCDate();
+        }
+    }
+
+    getDueDateFromForm() {
+        const value = document.getElementById('dueDateInput').value;
+        return value ? new Date(value) : new Date();
+    }
+
+    getRecurrenceFromForm() {
+        const frequency = document.getElementById('repeatSelect').value;
+        if (!frequency) return null;
+
+        const recurrence = { frequency };
+        if (frequency === 'weekly') {
+            recurrence.weekdays = [...document.querySelectorAll('#repeatWeekdays input:checked')]
+                .map(box => Number(box.value));
+        } else if (frequency === 'monthly') {
+            recurrence.dayOfMonth = Number(document.getElementById('repeatDayInput').value);
+        } else if (frequency === 'interval') {
+            recurrence.interval = Number(document.getElementById('repeatIntervalInput').value);
+        }
+
+        const endType = document.getElementById('repeatEndSelect').value;
+        if (endType === 'date') {
+            recurrence.endDate = document.getElementById('repeatEndDate').value || null;
+        } else if (endType === 'count') {
+            recurrence.count = Number(document.getElementById('repeatCountInput').value);
+        }
+        return recurrence;
+    }
+
+    resetRepeatForm() {
+        document.getElementById('repeatSelect').value = '';
+        document.getElementById('repeatEndSelect').value = 'never';
+        document.getElementById('repeatEndDate').value = '';
+        document.getElementById('repeatDayInput').value = '';
+        document.querySelectorAll('#repeatWeekdays input').forEach(box => {
+            box.checked = false;
+        });
+        this.updateRepeatOptions();
+    }
+
+    // True when completing `task` made the server create its follow-up
+    hasNewOccurrence(task, savedTask) {
+        const hadNext = Boolean(task.recurrence && task.recurrence.nextTask);
+        return Boolean(savedTask.recurrence && savedTask.recurrence.nextTask) && !hadNext;
+    }
+
+    // Quick Add Methods
+    parseQuickAdd(text) {
+        return QuickAdd.parse(text, { timeZone: this.timeZone });
+    }
+
+    // Shows what the inline syntax in the task input will set, as task badges
+    updateQuickAddPreview() {
+        const preview = document.getElementById('quickAddPreview');
+        const parsed = this.parseQuickAdd(document.getElementById('taskInput').value);
+        const badges = [];
+
+        if (parsed.priority) {
+            badges.push(`
+                <span class="priority-badge priority-${parsed.priority}">
+                    ${this.getPriorityIcon(parsed.priority)} ${parsed.priority}
+                </span>
+            `);
+        }
+        if (parsed.category) badges.push(this.renderLabelBadge(parsed.category, 'category-badge'));
+        badges.push(...parsed.labels.map(key => this.renderLabelBadge(key, 'label-badge')));
+        if (parsed.dueDate) {
+            const at = parsed.dueTime ? ` at ${parsed.dueTime}` : '';
+            badges.push(`<span class="due-date-badge">📅 ${this.formatDate(parsed.dueDate)}${at}</span>`);
+        }
+        if (parsed.recurrence) {
+            badges.push(`<span class="recurrence-badge">🔁 ${this.describeRecurrence(parsed.recurrence)}</span>`);
+        }
+
+        preview.innerHTML = badges.join('');
+        preview.classList.toggle('visible', badges.length > 0);
+    }
+
+    describeRecurrence(recurrence) {
+        const weekdayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const descriptions = {
+            daily: () => 'Daily',
+            weekly: () => `Weekly on ${(recurrence.weekdays || []).map(day => weekdayNames[day]).join(', ')}`,
+            monthly: () => `Monthly on day ${recurrence.dayOfMonth}`,
+            interval: () => `Every ${recurrence.interval} day${recurrence.interval === 1 ? '' : 's'}`
+        };
+
+        let text = descriptions[recurrence.frequency] ? descriptions[recurrence.frequency]() : 'Repeats';
+        if (recurrence.endDate) {
+            text += ` until ${this.formatDate(recurrence.endDate)}`;
+        } else if (recurrence.count) {
+            text += ` (${recurrence.occurrence || 1} of ${recurrence.count})`;
+        }
+        return text;
+    }
+
+    // Project Methods
+    async loadProjects() {
+        try {
+            this.projects = await this.apiRequest('/api/projects');
+            this.saveOfflineMeta('projects', this.projects);
+        } catch (error) {
+            console.error('Failed to load projects:', error);
+            this.projects = (error.offline && await this.loadOfflineMeta('projects')) || [];
+        }
+
+        // The current project may have been deleted or left meanwhile
+        if (this.currentProject && !this.getCurrentProject()) {
+            this.currentProject = null;
+        }
+        this.renderProjects();
+    }
+
+    getCurrentProject() {
+        return this.projects.find(project => project.id === this.currentProject) || null;
+    }
+
+    // Personal tasks are always editable; project tasks need editor access
+    canEdit() {
+        const project = this.getCurrentProject();
+        return !project || project.role !== 'viewer';
+    }
+
+    renderProjects() {
+        const projectButtons = document.getElementById('projectButtons');
+        const buttons = [{ id: null, name: 'Personal', icon: '👤' }]
+            .concat(this.projects.map(project => ({ ...project, icon: '📁' })));
+
+        projectButtons.innerHTML = buttons.map(project => `
+            <button class="category-filter-btn ${project.id === this.currentProject ? 'active' : ''}"
+                    onclick="taskFlow.setProject(${project.id ? `'${project.id}'` : 'null'})">
+                <span class="filter-icon">${project.icon}</span>
+                ${this.escapeHtml(project.name)}
+                ${project.role ? `<span class="project-role">${project.role}</span>` : ''}
+            </button>
+        `).join('') + `
+            ${this.currentProject ? `
+                <button class="category-filter-btn" onclick="taskFlow.toggleMembersPanel()">
+                    <span class="filter-icon">👥</span>
+                    Members
+                </button>
+            ` : ''}
+            <button class="category-filter-btn" onclick="taskFlow.createProject()">
+                <span class="filter-icon">➕</span>
+                New Project
+            </button>
+        `;
+
+        const canEdit = this.canEdit();
+        document.getElementById('taskInput').disabled = !canEdit;
+        document.getElementById('addTaskBtn').disabled = !canEdit;
+        document.getElementById('importBtn').disabled = !canEdit;
+        document.getElementById('clearAllBtn').disabled = !canEdit;
+        document.getElementById('taskInput').placeholder = canEdit
+            ? 'What needs to be done?'
+            : 'You have view-only access to this project';
+        this.renderMembersPanel();
+    }
+
+    async setProject(projectId) {
+        this.currentProject = projectId;
+        this.membersPanelOpen = false;
+        this.closeTaskDetail();
+        this.clearSelection();
+        // Each list has its own labels
+        this.currentCategoryFilter = 'all';
+        // Members are needed for assignee names even with the panel closed
+        this.members = [];
+        if (projectId) {
+            await this.loadMembers();
+        }
+        this.renderProjects();
+        await this.refreshTasks();
+        this.refreshMirror();
+    }
+
+    async createProject() {
+        const name = prompt('Project name:');
+        if (name === null || name.trim() === '') return;
+
+        try {
+            const project = await this.apiRequest('/api/projects', {
+                method: 'POST',
+                body: JSON.stringify({ name: name.trim() })
+            });
+            await this.loadProjects();
+            await this.setProject(project.id);
+            this.showNotification(`Project "${project.name}" created!`, 'success');
+        } catch (error) {
+            console.error('Error creating project:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to create project!'), 'error');
+        }
+    }
+
+    async renameProject() {
+        const project = this.getCurrentProject();
+        const name = prompt('Rename project:', project.name);
+        if (name === null || name.trim() === '') return;
+
+        try {
+            await this.apiRequest(`/api/projects/${project.id}`, {
+                method: 'PUT',
+                body: JSON.stringify({ name: name.trim() })
+            });
+            await this.loadProjects();
+        } catch (error) {
+            console.error('Error renaming project:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to rename project!'), 'error');
+        }
+    }
+
+    async deleteProject() {
+        const project = this.getCurrentProject();
+        if (!confirm(`Delete "${project.name}" and all of its tasks for every member?`)) return;
+
+        try {
+            await this.apiRequest(`/api/projects/${project.id}`, { method: 'DELETE' });
+            await this.loadProjects();
+            await this.setProject(null);
+            this.showNotification('Project deleted', 'success');
+        } catch (error) {
+            console.error('Error deleting project:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to delete project!'), 'error');
+        }
+    }
+
+    async toggleMembersPanel() {
+        this.membersPanelOpen = !this.membersPanelOpen;
+        if (this.membersPanelOpen) {
+            await this.loadMembers();
+        }
+        this.renderMembersPanel();
+    }
+
+    async loadMembers() {
+        try {
+            this.members = await this.apiRequest(`/api/projects/${this.currentProject}/members`);
+        } catch (error) {
+            console.error('Failed to load members:', error);
+            this.members = [];
+        }
+    }
+
+    renderMembersPanel() {
+        const panel = document.getElementById('projectPanel');
+        const project = this.getCurrentProject();
+
+        if (!project || !this.membersPanelOpen) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        const isOwner = project.role === 'owner';
+        const roleOptions = (selected) => ['owner', 'editor', 'viewer']
+            .map(role => `<option value="${role}" ${role === selected ? 'selected' : ''}>${role}</option>`)
+            .join('');
+
+        const membersHTML = this.members.map(member => {
+            const isSelf = this.currentUser && member.id === this.currentUser.id;
+            return `
+                <li class="member-item">
+                    <div class="member-info">
+                        <span class="member-name">${this.escapeHtml(member.name)}${isSelf ? ' (you)' : ''}</span>
+                        <span class="member-email">${this.escapeHtml(member.email)}</span>
+                    </div>
+                    ${isOwner ? `
+                        <select class="member-role-select" onchange="taskFlow.changeMemberRole('${member.id}', this.value)">
+                            ${roleOptions(member.role)}
+                        </select>
+                    ` : `<span class="member-role">${member.role}</span>`}
+                    ${isOwner || isSelf ? `
+                        <button class="task-btn delete-btn" title="${isSelf ? 'Leave project' : 'Remove member'}"
+                                onclick="taskFlow.removeMember('${member.id}')">✕</button>
+                    ` : ''}
+                </li>
+            `;
+        }).join('');
+
+        panel.innerHTML = `
+            <div class="project-panel-header">
+                <h4>👥 Members of ${this.escapeHtml(project.name)}</h4>
+                ${isOwner ? `
+                    <button class="link-btn" onclick="taskFlow.renameProject()">Rename</button>
+                    <button class="link-btn" onclick="taskFlow.deleteProject()">Delete project</button>
+                ` : ''}
+            </div>
+            <ul class="member-list">${membersHTML}</ul>
+            ${isOwner ? `
+                <div class="member-invite">
+                    <input type="email" id="memberEmailInput" class="checklist-input" placeholder="Teammate's email">
+                    <select id="memberRoleSelect" class="member-role-select">${roleOptions('editor')}</select>
+                    <button class="checklist-add-btn" onclick="taskFlow.inviteMember()">Add member</button>
+                </div>
+            ` : ''}
+        `;
+        panel.style.display = 'block';
+    }
+
+    async inviteMember() {
+        const email = document.getElementById('memberEmailInput').value.trim();
+        const role = document.getElementById('memberRoleSelect').value;
+        if (email === '') return;
+
+        await this.updateMembers(`/api/projects/${this.currentProject}/members`, {
+            method: 'POST',
+            body: JSON.stringify({ email, role })
+        }, 'Member added!');
+    }
+
+    async changeMemberRole(userId, role) {
+        await this.updateMembers(`/api/projects/${this.currentProject}/members/${userId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ role })
+        }, 'Role updated');
+    }
+
+    async removeMember(userId) {
+        const isSelf = this.currentUser && userId === this.currentUser.id;
+        if (!confirm(isSelf ? 'Leave this project?' : 'Remove this member from the project?')) return;
+
+        await this.updateMembers(`/api/projects/${this.currentProject}/members/${userId}`, {
+            method: 'DELETE'
+        }, isSelf ? 'You left the project' : 'Member removed');
+    }
+
+    // Apply a membership change, then reload projects (our own role may have changed)
+    async updateMembers(url, options, successMessage) {
+        try {
+            await this.apiRequest(url, options);
+            await this.loadProjects();
+            if (this.currentProject) {
+                await this.loadMembers();
+                this.renderMembersPanel();
+            }
+            // Removing a member also unassigns their tasks
+            await this.refreshTasks();
+            this.showNotification(successMessage, 'success');
+        } catch (error) {
+            console.error('Error updating members:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to update members!'), 'error');
+            this.renderMembersPanel();
+        }
+    }
+
+    // Label Methods
+    async loadLabels() {
+        const key = `labels:${this.getListKey()}`;
+        try {
+            const query = this.currentProject ? `?project=${this.currentProject}` : '';
+            this.labels = await this.apiRequest(`/api/labels${query}`);
+            this.saveOfflineMeta(key, this.labels);
+        } catch (error) {
+            console.error('Failed to load labels:', error);
+            if (error.offline) this.labels = (await this.loadOfflineMeta(key)) || this.labels;
+        }
+    }
+
+    // Tasks may still carry a key whose label was just removed elsewhere
+    getLabel(key) {
+        return this.labels.find(label => label.key === key) ||
+            { key, name: key, icon: '🏷️', color: '#718096' };
+    }
+
+    renderLabelBadge(key, className) {
+        const label = this.getLabel(key);
+        return `
+            <span class="${className}" style="background: ${label.color}1f; color: ${label.color}">
+                ${this.escapeHtml(label.icon)} ${this.escapeHtml(label.name)}
+            </span>
+        `;
+    }
+
+    renderLabelOptions(selected) {
+        const labels = this.labels.some(label => label.key === selected)
+            ? this.labels
+            : this.labels.concat(this.getLabel(selected));
+        return labels.map(label => `
+            <option value="${label.key}" ${label.key === selected ? 'selected' : ''}>
+                ${this.escapeHtml(`${label.icon} ${label.name}`)}
+            </option>
+        `).join('');
+    }
+
+    // Filter buttons, category pickers and the labels dialog follow the list's labels
+    renderLabels() {
+        const categorySelect = document.getElementById('categorySelect');
+        const bulkCategory = document.getElementById('bulkCategory');
+        const selected = categorySelect.value || 'personal';
+
+        const keep = this.labels.some(label => label.key === selected) ? selected : 'general';
+        categorySelect.innerHTML = this.renderLabelOptions(keep);
+        bulkCategory.innerHTML = '<option value="">Category…</option>' + this.labels.map(label => `
+            <option value="${label.key}">${this.escapeHtml(`${label.icon} ${label.name}`)}</option>
+        `).join('');
+
+        this.renderCategoryButtons();
+        if (this.labelsDialogOpen) {
+            this.renderLabelsDialog();
+        }
+    }
+
+    renderCategoryButtons() {
+        const buttons = [{ key: 'all', name: 'All Categories', icon: '🔍' }].concat(this.labels);
+        document.getElementById('categoryButtons').innerHTML = buttons.map(label => `
+            <button class="category-filter-btn ${label.key === this.currentCategoryFilter ? 'active' : ''}"
+                    data-category="${label.key}" onclick="taskFlow.setCategoryFilter('${label.key}')">
+                <span class="filter-icon">${this.escapeHtml(label.icon)}</span>
+                ${this.escapeHtml(label.name)}
+            </button>
+        `).join('') + (this.canEdit() ? `
+            <button class="category-filter-btn" onclick="taskFlow.openLabelsDialog()">
+                <span class="filter-icon">✏️</span>
+                Edit labels
+            </button>
+        ` : '');
+    }
+
+    openLabelsDialog() {
+        this.labelsDialogOpen = true;
+        this.renderLabelsDialog();
+        document.getElementById('labelsDialog').classList.add('visible');
+    }
+
+    closeLabelsDialog() {
+        this.labelsDialogOpen = false;
+        document.getElementById('labelsDialog').classList.remove('visible');
+    }
+
+    renderLabelsDialog() {
+        const list = document.getElementById('labelsList');
+        // Only the new label row keeps unsent input; the others show the saved labels
+        const drafts = this.saveDrafts(list.querySelector('.label-new') || list);
+
+        const rowsHTML = this.labels.map(label => {
+            const others = this.labels.filter(other => other.id !== label.id);
+            const isDefault = label.key === 'general';
+            return `
+                <div class="label-row">
+                    <input type="text" id="labelIcon-${label.id}" class="label-icon-input" value="${this.escapeHtml(label.icon)}" maxlength="8" title="Icon">
+                    <input type="text" id="labelName-${label.id}" class="label-name-input" value="${this.escapeHtml(label.name)}"
+                           maxlength="50" ${isDefault ? 'disabled title="The default category keeps its name"' : ''}>
+                    <input type="color" id="labelColor-${label.id}" value="${label.color}" title="Color">
+                    <button class="header-btn" onclick="taskFlow.saveLabel('${label.id}')">Save</button>
+                    ${isDefault ? '' : `
+                        <select class="header-btn" title="Move its tasks to another label and remove it"
+                                onchange="taskFlow.mergeLabel('${label.id}', this.value)">
+                            <option value="">Merge into…</option>
+                            ${others.map(other => `
+                                <option value="${other.id}">${this.escapeHtml(`${other.icon} ${other.name}`)}</option>
+                            `).join('')}
+                        </select>
+                        <button class="task-btn delete-btn" onclick="taskFlow.deleteLabel('${label.id}')" title="Delete label">🗑️</button>
+                    `}
+                </div>
+            `;
+        }).join('');
+
+        list.innerHTML = `
+            ${rowsHTML}
+            <div class="label-row label-new">
+                <input type="text" id="newLabelIcon" class="label-icon-input" placeholder="🏷️" maxlength="8" title="Icon">
+                <input type="text" id="newLabelName" class="label-name-input" placeholder="New label name" maxlength="50">
+                <input type="color" id="newLabelColor" value="#718096" title="Color">
+                <button class="header-btn primary" onclick="taskFlow.createLabel()">Add</button>
+            </div>
+        `;
+        this.restoreDrafts(drafts);
+    }
+
+    async createLabel() {
+        const nameInput = document.getElementById('newLabelName');
+        const iconInput = document.getElementById('newLabelIcon');
+        const name = nameInput.value.trim();
+        const icon = iconInput.value.trim();
+        if (name === '') return;
+
+        // Clear first so the refresh doesn't keep the text as a draft
+        nameInput.value = '';
+        iconInput.value = '';
+        const created = await this.updateLabels('/api/labels', 'POST', {
+            name,
+            icon: icon || undefined,
+            color: document.getElementById('newLabelColor').value,
+            project: this.currentProject
+        }, `Label "${name}" added!`);
+        if (!created) {
+            document.getElementById('newLabelName').value = name;
+            document.getElementById('newLabelIcon').value = icon;
+        }
+    }
+
+    async saveLabel(labelId) {
+        const previous = this.labels.find(label => label.id === labelId);
+        const saved = await this.updateLabels(`/api/labels/${labelId}`, 'PATCH', {
+            name: document.getElementById(`labelName-${labelId}`).value.trim(),
+            icon: document.getElementById(`labelIcon-${labelId}`).value.trim(),
+            color: document.getElementById(`labelColor-${labelId}`).value
+        }, 'Label saved!');
+
+        // A rename changes the key the category filter uses
+        if (saved && previous && this.currentCategoryFilter === previous.key) {
+            this.setCategoryFilter(saved.key);
+        }
+    }
+
+    async mergeLabel(labelId, intoId) {
+        if (!intoId) return;
+        const label = this.labels.find(item => item.id === labelId);
+        const target = this.labels.find(item => item.id === intoId);
+        if (!label || !target || !confirm(`Move every task labelled "${label.name}" to "${target.name}" and remove "${label.name}"?`)) {
+            this.renderLabelsDialog();
+            return;
+        }
+
+        const merged = await this.updateLabels(
+            `/api/labels/${labelId}/merge`,
+            'POST',
+            { into: intoId },
+            `Merged "${label.name}" into "${target.name}"`
+        );
+        if (merged && this.currentCategoryFilter === label.key) {
+            this.setCategoryFilter(target.key);
+        }
+    }
+
+    async deleteLabel(labelId) {
+        const label = this.labels.find(item => item.id === labelId);
+        if (!label || !confirm(`Delete the label "${label.name}"? Its tasks lose it, and those in this category move to General.`)) return;
+
+        await this.updateLabels(`/api/labels/${labelId}`, 'DELETE', null, `Label "${label.name}" deleted`);
+        if (this.currentCategoryFilter === label.key) {
+            this.setCategoryFilter('all');
+        }
+    }
+
+    // Sends a label change, then reloads everything that shows labels
+    async updateLabels(url, method, body, successMessage) {
+        try {
+            const result = await this.apiRequest(url, {
+                method,
+                body: body ? JSON.stringify(body) : undefined
+            });
+            await this.refreshTasks({ keepPages: true });
+            this.showNotification(successMessage, 'success');
+            return result || true;
+        } catch (error) {
+            console.error('Error updating labels:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to update labels!'), 'error');
+            this.renderLabelsDialog();
+            return null;
+        }
+    }
+
+    // Task Detail Methods
+    async openTaskDetail(taskId) {
+        this.detailTaskId = taskId;
+        this.taskEditorDraft = null;
+        this.detailComments = [];
+        this.detailActivity = [];
+        await this.loadTaskDetail();
+        const commentInput = document.getElementById('detailCommentInput');
+        (commentInput || document.getElementById('taskDetail')).focus();
+    }
+
+    closeTaskDetail() {
+        this.detailTaskId = null;
+        this.detailTask = null;
+        this.taskEditorDraft = null;
+        this.renderTaskDetail();
+    }
+
+    async loadTaskDetail() {
+        const taskId = this.detailTaskId;
+        try {
+            // Loaded separately, since the task may not be on the current page
+            const [task, comments, activity] = await Promise.all([
+                this.apiRequest(`/api/tasks/${taskId}`),
+                this.apiRequest(`/api/tasks/${taskId}/comments`),
+                this.apiRequest(`/api/tasks/${taskId}/activity`)
+            ]);
+            // Ignore the response if another task was opened meanwhile
+            if (taskId !== this.detailTaskId) return;
+            this.detailTask = this.normalizeTask(task);
+            this.detailComments = comments;
+            this.detailActivity = activity;
+        } catch (error) {
+            console.error('Failed to load task details:', error);
+            // Offline, the detail panel shows the local copy without comments or history
+            const offlineTask = error.offline ? await this.offlineStore.getTask(taskId).catch(() => null) : null;
+            if (offlineTask && taskId === this.detailTaskId) {
+                this.detailTask = this.normalizeTask(offlineTask);
+                this.detailComments = [];
+                this.detailActivity = [];
+                this.renderTaskDetail();
+                return;
+            }
+            // The task may have been deleted by someone else
+            if (error.status !== 404) {
+                this.showNotification(this.getErrorMessage(error, 'Failed to load task details!'), 'error');
+            }
+            this.detailTaskId = null;
+            this.detailTask = null;
+        }
+        this.renderTaskDetail();
+    }
+
+    // Project members, or just the current user for personal tasks
+    getAssignableUsers() {
+        if (this.currentProject) return this.members;
+        return this.currentUser ? [this.currentUser] : [];
+    }
+
+    getUserName(userId) {
+        const user = this.getAssignableUsers().find(user => user.id === userId);
+        return user ? user.name : 'a former member';
+    }
+
+    renderTaskDetail() {
+        const panel = document.getElementById('taskDetail');
+        const task = this.detailTask;
+
+        if (!task) {
+            panel.classList.remove('visible');
+            panel.innerHTML = '';
+            return;
+        }
+
+        const canEdit = this.canEdit();
+        const project = this.getCurrentProject();
+        const isOwner = !project || project.role === 'owner';
+
+        const labelChips = task.labels.map(key => `
+            <span class="label-chip-edit">
+                ${this.renderLabelBadge(key, 'label-badge')}
+                ${canEdit ? `
+                    <button class="checklist-btn" title="Remove label"
+                            onclick="taskFlow.removeTaskLabel('${task.id}', '${key}')">✕</button>
+                ` : ''}
+            </span>
+        `).join('');
+        const addableLabels = this.labels.filter(label => label.key !== task.category && !task.labels.includes(label.key));
+
+        const blockersHTML = task.blockers.map(blocker => `
+            <li class="blocker-item ${blocker.completed ? 'done' : ''}">
+                <span>${blocker.completed ? '✅' : '⏳'} ${this.escapeHtml(blocker.title)}</span>
+                ${canEdit ? `
+                    <button class="checklist-btn" title="Stop waiting on this task"
+                            onclick="taskFlow.removeBlocker('${task.id}', '${blocker.id}')">✕</button>
+                ` : ''}
+            </li>
+        `).join('');
+        const remindersHTML = task.reminders.map(reminder => `
+            <li class="reminder-item ${reminder.fireAt ? '' : 'done'}">
+                <span>🔔 ${this.describeReminderOffset(reminder.minutesBefore)}
+                    <span class="detail-time">${this.describeReminderState(reminder)}</span>
+                </span>
+                ${canEdit ? `
+                    <button class="checklist-btn" title="Remove reminder"
+                            onclick="taskFlow.removeReminder('${task.id}', '${reminder.id}')">✕</button>
+                ` : ''}
+            </li>
+        `).join('');
+        const reminderOptions = this.reminderOffsets
+            .filter(minutes => !task.reminders.some(reminder => reminder.minutesBefore === minutes));
+
+        // Any loaded task of the list can become a blocker; the server rejects cycles
+        const blockerOptions = this.tasks.filter(other => other.id !== task.id && !task.blockedBy.includes(other.id));
+
+        const assigneeOptions = [{ id: '', name: 'Nobody' }].concat(this.getAssignableUsers())
+            .map(user => `
+                <option value="${user.id}" ${(task.assignee || '') === user.id ? 'selected' : ''}>
+                    ${this.escapeHtml(user.name)}
+                </option>
+            `).join('');
+
+        const commentsHTML = this.detailComments.map(comment => {
+            const isAuthor = this.currentUser && comment.author && comment.author.id === this.currentUser.id;
+            return `
+                <li class="comment-item">
+                    <div class="comment-header">
+                        <span class="comment-author">${this.escapeHtml(comment.author ? comment.author.name : 'Deleted user')}</span>
+                        <span class="detail-time">${this.formatTimestamp(comment.createdAt)}</span>
+                        ${isAuthor || isOwner ? `
+                            <button class="checklist-btn" title="Delete comment"
+                                    onclick="taskFlow.deleteComment('${comment.id}')">✕</button>
+                        ` : ''}
+                    </div>
+                    <p class="comment-body">${this.escapeHtml(comment.body)}</p>
+                </li>
+            `;
+        }).join('');
+
+        const activityHTML = this.detailActivity.map(entry => `
+            <li class="activity-item">
+                <span>${this.escapeHtml(this.describeActivity(entry))}</span>
+                <span class="detail-time">${this.formatTimestamp(entry.createdAt)}</span>
+            </li>
+        `).join('');
+
+        const drafts = this.saveDrafts(panel);
+        panel.innerHTML = `
+            <div class="detail-header">
+                <h3>${this.escapeHtml(task.text)}</h3>
+                <button class="task-btn" onclick="taskFlow.closeTaskDetail()" title="Close">✕</button>
+            </div>
+            ${canEdit ? this.renderTaskEditor(task) : this.renderTaskSummary(task)}
+            <div class="detail-section">
+                <label class="detail-label" for="detailAssignee">Assignee</label>
+                ${canEdit ? `
+                    <select id="detailAssignee" class="member-role-select"
+                            onchange="taskFlow.setAssignee('${task.id}', this.value)">
+                        ${assigneeOptions}
+                    </select>
+                ` : `<span>${task.assignee ? this.escapeHtml(this.getUserName(task.assignee)) : 'Nobody'}</span>`}
+            </div>
+            <div class="detail-section">
+                <span class="detail-label">Labels</span>
+                <div class="detail-labels">
+                    ${labelChips || (canEdit ? '' : '<span class="detail-empty">No labels</span>')}
+                    ${canEdit && addableLabels.length ? `
+                        <select class="member-role-select" onchange="taskFlow.addTaskLabel('${task.id}', this.value)">
+                            <option value="">➕ Add label…</option>
+                            ${addableLabels.map(label => `
+                                <option value="${label.key}">${this.escapeHtml(`${label.icon} ${label.name}`)}</option>
+                            `).join('')}
+                        </select>
+                    ` : ''}
+                </div>
+            </div>
+            <div class="detail-section">
+                <h4>🔔 Reminders</h4>
+                ${task.dueDate ? '' : '<p class="detail-empty">Reminders go off once the task has a due date</p>'}
+                ${remindersHTML ? `<ul class="reminder-list">${remindersHTML}</ul>` : ''}
+                ${canEdit && reminderOptions.length ? `
+                    <select class="member-role-select" onchange="taskFlow.addReminder('${task.id}', this.value)">
+                        <option value="">➕ Add reminder…</option>
+                        ${reminderOptions.map(minutes => `
+                            <option value="${minutes}">${this.describeReminderOffset(minutes)}</option>
+                        `).join('')}
+                    </select>
+                ` : ''}
+            </div>
+            <div class="detail-section">
+                <h4>⛔ Waiting on</h4>
+                ${blockersHTML ? `<ul class="blocker-list">${blockersHTML}</ul>` : '<p class="detail-empty">Nothing; this task can start any time</p>'}
+                ${canEdit && blockerOptions.length ? `
+                    <select class="member-role-select" onchange="taskFlow.addBlocker('${task.id}', this.value)">
+                        <option value="">➕ Wait on another task…</option>
+                        ${blockerOptions.map(other => `
+                            <option value="${other.id}">${this.escapeHtml(other.text)}</option>
+                        `).join('')}
+                    </select>
+                ` : ''}
+            </div>
+            <div class="detail-section">
+                <h4>💬 Comments</h4>
+                ${commentsHTML ? `<ul class="comment-list">${commentsHTML}</ul>` : '<p class="detail-empty">No comments yet</p>'}
+                ${canEdit ? `
+                    <textarea id="detailCommentInput" class="comment-input" rows="3" maxlength="2000"
+                              placeholder="Write a comment..."></textarea>
+                    <button class="checklist-add-btn" onclick="taskFlow.addComment()">Comment</button>
+                ` : ''}
+            </div>
+            <div class="detail-section">
+                <h4>🕓 History</h4>
+                ${activityHTML ? `<ul class="activity-list">${activityHTML}</ul>` : '<p class="detail-empty">No changes recorded</p>'}
+            </div>
+        `;
+        this.restoreDrafts(drafts);
+        panel.classList.add('visible');
+    }
+
+    /*
+     * Task Editor Methods
+     * The editor's fields as the task has them saved
+     */
+    getSavedEditorValues(task) {
+        return {
+            title: task.text,
+            notes: task.notes,
+            status: task.status,
+            priority: task.priority,
+            category: task.category,
+            dueDate: task.dueDate ? task.dueDate.slice(0, 10) : '',
+            dueTime: task.dueTime || ''
+        };
+    }
+
+    // Unsaved edits survive live updates re-rendering the panel
+    getEditorDraft(taskId) {
+        return this.taskEditorDraft && this.taskEditorDraft.taskId === taskId ? this.taskEditorDraft : null;
+    }
+
+    renderTaskEditor(task) {
+        const draft = this.getEditorDraft(task.id);
+        const values = { ...this.getSavedEditorValues(task), ...(draft ? draft.values : {}) };
+        const errors = draft ? draft.errors : {};
+        const isDirty = Object.keys(this.getEditorChanges(task, values)).length > 0;
+        const fieldId = (field) => `edit${field.charAt(0).toUpperCase()}${field.slice(1)}-${task.id}`;
+        const fieldError = (field) => `
+            <p id="${fieldId(field)}Error" class="field-error" role="alert">${this.escapeHtml(errors[field] || '')}</p>
+        `;
+
+        return `
+            <form class="detail-section task-editor" novalidate
+                  oninput="taskFlow.updateTaskEditor('${task.id}')" onchange="taskFlow.updateTaskEditor('${task.id}')"
+                  onsubmit="event.preventDefault(); taskFlow.saveTaskEditor('${task.id}')">
+                <label class="detail-label" for="${fieldId('title')}">Title</label>
+                <input type="text" id="${fieldId('title')}" class="editor-input ${errors.title ? 'invalid' : ''}"
+                       value="${this.escapeHtml(values.title)}" maxlength="${this.titleMaxLength}" required>
+                ${fieldError('title')}
+                <label class="detail-label" for="${fieldId('notes')}">Notes</label>
+                <textarea id="${fieldId('notes')}" class="comment-input ${errors.notes ? 'invalid' : ''}" rows="4"
+                          maxlength="${this.notesMaxLength}" placeholder="Add details, links or context…">${this.escapeHtml(values.notes)}</textarea>
+                <span id="${fieldId('notes')}Count" class="field-hint">${values.notes.length} / ${this.notesMaxLength}</span>
+                ${fieldError('notes')}
+                <div class="editor-row">
+                    <div>
+                        <label class="detail-label" for="${fieldId('status')}">Status</label>
+                        <select id="${fieldId('status')}" class="member-role-select">
+                            ${Object.entries(this.statusNames).map(([status, name]) => `
+                                <option value="${status}" ${values.status === status ? 'selected' : ''}>${name}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div>
+                        <label class="detail-label" for="${fieldId('priority')}">Priority</label>
+                        <select id="${fieldId('priority')}" class="member-role-select">
+                            ${['high', 'medium', 'low'].map(priority => `
+                                <option value="${priority}" ${values.priority === priority ? 'selected' : ''}>
+                                    ${this.getPriorityIcon(priority)} ${priority.charAt(0).toUpperCase()}${priority.slice(1)}
+                                </option>
+                            `).join('')}
+                        </select>
+                    </div>
+                </div>
+                <div class="editor-row">
+                    <div>
+                        <label class="detail-label" for="${fieldId('category')}">Category</label>
+                        <select id="${fieldId('category')}" class="member-role-select">
+                            ${this.renderLabelOptions(values.category)}
+                        </select>
+                    </div>
+                </div>
+                <div class="editor-row">
+                    <div>
+                        <label class="detail-label" for="${fieldId('dueDate')}">Due date</label>
+                        <input type="date" id="${fieldId('dueDate')}" class="date-input ${errors.dueDate ? 'invalid' : ''}"
+                               value="${values.dueDate}">
+                    </div>
+                    <div>
+                        <label class="detail-label" for="${fieldId('dueTime')}">Due time</label>
+                        <input type="time" id="${fieldId('dueTime')}" class="date-input ${errors.dueTime ? 'invalid' : ''}"
+                               value="${values.dueTime}">
+                    </div>
+                </div>
+                ${fieldError('dueDate')}
+                ${fieldError('dueTime')}
+                <div class="modal-actions">
+                    <button type="button" class="header-btn editor-action" onclick="taskFlow.discardTaskEditor('${task.id}')"
+                            ${isDirty ? '' : 'disabled'}>Discard changes</button>
+                    <button type="submit" class="header-btn primary editor-action" ${isDirty ? '' : 'disabled'}>Save</button>
+                </div>
+            </form>
+        `;
+    }
+
+    // Viewers see the same fields, read-only
+    renderTaskSummary(task) {
+        return `
+            <div class="detail-section">
+                ${task.notes ? `<p class="task-notes">${this.escapeHtml(task.notes)}</p>` : '<p class="detail-empty">No notes</p>'}
+                <div class="task-meta">
+                    <span class="status-badge">${this.statusNames[task.status]}</span>
+                    <span class="priority-badge priority-${task.priority}">
+                        ${this.getPriorityIcon(task.priority)} ${task.priority}
+                    </span>
+                    ${this.renderLabelBadge(task.category, 'category-badge')}
+                    <span class="due-date-badge">${this.getDueDateDisplay(task)}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    readTaskEditor(taskId) {
+        const field = (name) => document.getElementById(`edit${name}-${taskId}`);
+        return {
+            title: field('Title').value,
+            notes: field('Notes').value,
+            status: field('Status').value,
+            priority: field('Priority').value,
+            category: field('Category').value,
+            dueDate: field('DueDate').value,
+            dueTime: field('DueTime').value,
+            // Date inputs read '' for a half-typed date, so ask the browser
+            dueDateIncomplete: field('DueDate').validity.badInput
+        };
+    }
+
+    // Same limits as the Task model, plus a due time needing a day to be due on
+    validateTaskEditor(values) {
+        const errors = {};
+        const title = values.title.trim();
+        if (title === '') errors.title = 'Title is required';
+        else if (title.length > this.titleMaxLength) errors.title = `Title must be at most ${this.titleMaxLength} characters`;
+        if (values.notes.trim().length > this.notesMaxLength) {
+            errors.notes = `Notes must be at most ${this.notesMaxLength} characters`;
+        }
+        if (values.dueDateIncomplete) errors.dueDate = 'Enter a complete date, or clear it';
+        else if (values.dueTime && !values.dueDate) errors.dueTime = 'Pick a due date for the due time';
+        return errors;
+    }
+
+    // Body of the update: only the fields that differ from what is saved
+    getEditorChanges(task, values) {
+        const saved = this.getSavedEditorValues(task);
+        const changes = {};
+        const title = values.title.trim();
+        const notes = values.notes.trim();
+
+        if (title !== saved.title) changes.title = title;
+        if (notes !== saved.notes) changes.notes = notes;
+        ['status', 'priority', 'category'].forEach(field => {
+            if (values[field] !== saved[field]) changes[field] = values[field];
+        });
+        if (values.dueDate !== saved.dueDate) changes.dueDate = values.dueDate || null;
+        if (values.dueTime !== saved.dueTime) {
+            changes.dueTime = values.dueTime || null;
+            changes.timeZone = this.timeZone;
+        }
+        return changes;
+    }
+
+    /*
+     * Runs on every keystroke, so it updates the messages in place rather than
+     * re-rendering the panel under the cursor
+     */
+    updateTaskEditor(taskId) {
+        const task = this.findTask(taskId);
+        if (!task) return;
+
+        const values = this.readTaskEditor(taskId);
+        const errors = this.validateTaskEditor(values);
+        this.taskEditorDraft = { taskId, values, errors };
+        this.showTaskEditorErrors(taskId, errors);
+
+        document.getElementById(`editNotes-${taskId}Count`).textContent = `${values.notes.length} / ${this.notesMaxLength}`;
+        const isDirty = Object.keys(this.getEditorChanges(task, values)).length > 0;
+        document.querySelectorAll('.task-editor .editor-action').forEach(button => {
+            button.disabled = !isDirty;
+        });
+    }
+
+    showTaskEditorErrors(taskId, errors) {
+        ['title', 'notes', 'dueDate', 'dueTime'].forEach(field => {
+            const id = `edit${field.charAt(0).toUpperCase()}${field.slice(1)}-${taskId}`;
+            const input = document.getElementById(id);
+            const message = document.getElementById(`${id}Error`);
+            if (!input || !message) return;
+            input.classList.toggle('invalid', Boolean(errors[field]));
+            input.setAttribute('aria-invalid', Boolean(errors[field]));
+            message.textContent = errors[field] || '';
+        });
+    }
+
+    discardTaskEditor(taskId) {
+        this.taskEditorDraft = null;
+        /*
+         * Text fields keep their input across re-renders (see saveDrafts); empty
+         * ones are left out, so clear them to show the saved values again
+         */
+        ['Title', 'Notes'].forEach(name => {
+            const input = document.getElementById(`edit${name}-${taskId}`);
+            if (input) input.value = '';
+        });
+        this.renderTaskDetail();
+    }
+
+    async saveTaskEditor(taskId) {
+        const task = this.findTask(taskId);
+        if (!task) return;
+
+        const values = this.readTaskEditor(taskId);
+        const errors = this.validateTaskEditor(values);
+        this.taskEditorDraft = { taskId, values, errors };
+        if (Object.keys(errors).length) {
+            this.showTaskEditorErrors(taskId, errors);
+            return;
+        }
+
+        const changes = this.getEditorChanges(task, values);
+        if (!Object.keys(changes).length) return;
+        const previous = {
+            title: task.text,
+            notes: task.notes,
+            status: task.status,
+            priority: task.priority,
+            category: task.category,
+            dueDate: task.dueDate,
+            dueTime: task.dueTime,
+            timeZone: task.timeZone
+        };
+        const undoFields = Object.fromEntries(Object.keys(changes).map(field => [field, previous[field]]));
+
+        try {
+            const savedTask = await this.patchTask(task, changes);
+            this.taskEditorDraft = null;
+            // Status, priority and due date changes can move the task, so reload the list
+            await this.refreshTasks({ keepPages: true });
+            if (this.detailTaskId === taskId) {
+                await this.loadTaskDetail();
+            }
+            if (!savedTask) return;
+
+            this.recordHistory({
+                label: `edit "${task.text}"`,
+                undo: () => this.setTaskFields(taskId, undoFields),
+                redo: () => this.setTaskFields(taskId, changes)
+            });
+            this.showNotification('Task updated successfully!', 'success', this.undoAction());
+        } catch (error) {
+            console.error('Error updating task:', error);
+            // Validation errors from the server go next to their fields
+            const fieldErrors = {};
+            (error.details || []).forEach(detail => {
+                if (['title', 'notes', 'dueDate', 'dueTime'].includes(detail.field)) {
+                    fieldErrors[detail.field] = detail.message;
+                }
+            });
+            if (Object.keys(fieldErrors).length) {
+                this.taskEditorDraft.errors = fieldErrors;
+                this.showTaskEditorErrors(taskId, fieldErrors);
+            } else {
+                this.showNotification(this.getErrorMessage(error, 'Failed to update task!'), 'error');
+            }
+        }
+    }
+
+    setAssignee(taskId, userId) {
+        return this.saveTaskChanges(taskId, { assignee: userId || null }, 'Failed to assign task!');
+    }
+
+    addTaskLabel(taskId, key) {
+        const task = this.findTask(taskId);
+        if (!key || !task) return;
+        this.saveTaskChanges(taskId, { labels: task.labels.concat(key) });
+    }
+
+    removeTaskLabel(taskId, key) {
+        const task = this.findTask(taskId);
+        if (!task) return;
+        this.saveTaskChanges(taskId, { labels: task.labels.filter(label => label !== key) });
+    }
+
+    addBlocker(taskId, blockerId) {
+        const task = this.findTask(taskId);
+        if (!blockerId || !task) return;
+        this.saveTaskChanges(taskId, { blockedBy: task.blockedBy.concat(blockerId) }, 'Failed to add the dependency!');
+    }
+
+    removeBlocker(taskId, blockerId) {
+        const task = this.findTask(taskId);
+        if (!task) return;
+        this.saveTaskChanges(taskId, { blockedBy: task.blockedBy.filter(id => id !== blockerId) });
+    }
+
+    // Reminders are sent back whole, so the ones left alone keep their snoozes
+    keepReminders(reminders) {
+        return reminders.map(({ id, minutesBefore, remindAt, fireAt, sentAt, dismissedAt }) => ({
+            _id: id, minutesBefore, remindAt, fireAt, sentAt, dismissedAt
+        }));
+    }
+
+    addReminder(taskId, minutes) {
+        const task = this.findTask(taskId);
+        if (minutes === '' || !task) return;
+        this.requestNotificationPermission();
+        const reminders = this.keepReminders(task.reminders).concat({ minutesBefore: Number(minutes) });
+        this.saveTaskChanges(taskId, { reminders, timeZone: this.timeZone }, 'Failed to add the reminder!');
+    }
+
+    removeReminder(taskId, reminderId) {
+        const task = this.findTask(taskId);
+        if (!task) return;
+        const reminders = this.keepReminders(task.reminders.filter(reminder => reminder.id !== reminderId));
+        this.saveTaskChanges(taskId, { reminders });
+    }
+
+    // "Waiting on A, B and 1 more", from the open blockers the list loaded with
+    describeWaitingOn(task) {
+        const open = task.blockers.filter(blocker => !blocker.completed).map(blocker => blocker.title);
+        if (open.length === 0) return 'Blocked';
+        const shown = open.slice(0, 2).join(', ');
+        return `Waiting on ${shown}${open.length > 2 ? ` and ${open.length - 2} more` : ''}`;
+    }
+
+    // Field changes made from the detail panel
+    async saveTaskChanges(taskId, changes, errorMessage = 'Failed to update task!') {
+        try {
+            const updated = await this.patchTask(this.findTask(taskId), changes);
+            if (!updated) {
+                await this.refreshTasks();
+                return;
+            }
+            await this.applyTaskUpdate(updated);
+        } catch (error) {
+            console.error('Error updating task:', error);
+            this.showNotification(this.getErrorMessage(error, errorMessage), 'error');
+            this.renderTaskDetail();
+        }
+    }
+
+    async addComment() {
+        const input = document.getElementById('detailCommentInput');
+        const body = input.value.trim();
+        if (body === '') return;
+
+        input.value = '';
+        const saved = await this.updateComments(`/api/tasks/${this.detailTaskId}/comments`, {
+            method: 'POST',
+            body: JSON.stringify({ body })
+        }, 1);
+        const nextInput = document.getElementById('detailCommentInput');
+        if (!saved && nextInput) nextInput.value = body;
+    }
+
+    async deleteComment(commentId) {
+        if (!confirm('Delete this comment?')) return;
+
+        await this.updateComments(`/api/tasks/${this.detailTaskId}/comments/${commentId}`, {
+            method: 'DELETE'
+        }, -1);
+    }
+
+    // Apply a comment change and keep the list's comment count in step
+    async updateComments(url, options, countChange) {
+        const task = this.tasks.find(task => task.id === this.detailTaskId);
+        try {
+            await this.apiRequest(url, options);
+            if (task) {
+                task.commentCount = Math.max(task.commentCount + countChange, 0);
+                this.renderTasks();
+            }
+            await this.loadTaskDetail();
+            return true;
+        } catch (error) {
+            console.error('Error updating comments:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to update comments!'), 'error');
+            return false;
+        }
+    }
+
+    describeActivity(entry) {
+        const actor = entry.actor ? entry.actor.name : 'Someone';
+        const actions = {
+            create: 'created the task',
+            complete: 'completed the task',
+            reopen: 'reopened the task',
+            delete: 'moved the task to the trash',
+            restore: 'restored the task from the trash',
+            comment: 'commented'
+        };
+
+        if (entry.action !== 'update') {
+            return `${actor} ${actions[entry.action] || entry.action}`;
+        }
+        return `${actor} ${entry.changes.map(change => this.describeChange(change)).join(', ')}`;
+    }
+
+    describeChange({ field, from, to }) {
+        switch (field) {
+            case 'title':
+                return `renamed it to "${to}"`;
+            case 'notes':
+                return to ? 'edited the notes' : 'removed the notes';
+            case 'status':
+                return `moved it to ${this.statusNames[to] || to}`;
+            case 'assignee':
+                return to ? `assigned it to ${this.getUserName(to)}` : 'unassigned it';
+            case 'dueDate':
+                return to ? `set the due date to ${this.formatDate(to)}` : 'removed the due date';
+            case 'dueTime':
+                return to ? `set the due time to ${to}` : 'removed the due time';
+            case 'recurrence':
+                return to ? `set it to repeat ${this.describeRecurrence(to).toLowerCase()}` : 'stopped it repeating';
+            case 'autoComplete':
+                return `turned ${to ? 'on' : 'off'} auto-complete`;
+            case 'category':
+                return `moved it to ${this.getLabel(to).name}`;
+            case 'labels':
+                return to.length
+                    ? `set the labels to ${to.map(key => this.getLabel(key).name).join(', ')}`
+                    : 'removed its labels';
+            case 'checklist':
+                return to;
+            case 'blockedBy':
+                return to.length ? 'changed what it waits on' : 'stopped it waiting on other tasks';
+            default:
+                return `changed ${field} from ${from} to ${to}`;
+        }
+    }
+
+    // Live Sync Methods
+    connectEvents() {
+        this.disconnectEvents();
+        this.eventSource = new EventSource('/api/events');
+
+        ['created', 'updated', 'deleted'].forEach(type => {
+            this.eventSource.addEventListener(`task.${type}`, (e) => {
+                this.handleTaskEvent(type, JSON.parse(e.data));
+            });
+        });
+        this.eventSource.addEventListener('reminder', (e) => this.handleReminder(JSON.parse(e.data)));
+
+        /*
+         * EventSource reconnects by itself; catch up on anything missed meanwhile
+         * Reaching the server again also ends offline mode, even if the browser never noticed
+         */
+        this.eventSource.addEventListener('open', () => {
+            if (!this.isOnline) {
+                this.setOnline(true);
+            } else if (this.eventsConnected) {
+                this.scheduleSync();
+            }
+            this.eventsConnected = true;
+        });
+    }
+
+    disconnectEvents() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+        this.eventsConnected = false;
+        clearTimeout(this.syncTimer);
+    }
+
+    handleTaskEvent(type, task) {
+        // The offline copy follows every list, not just the open one
+        const mirrored = type === 'deleted' ? this.offlineStore.deleteTask(task.id) : this.offlineStore.putTasks([task]);
+        mirrored.catch(error => console.error('Failed to update the offline copy:', error));
+
+        // Changes to other projects show up when that project is opened
+        if ((task.project || null) !== this.currentProject) return;
+
+        // Patch the visible list right away...
+        const index = this.tasks.findIndex(existing => existing.id === task.id);
+        if (index !== -1) {
+            if (type === 'deleted') {
+                this.tasks.splice(index, 1);
+            } else {
+                this.tasks[index] = this.normalizeTask(task);
+            }
+            this.renderTasks();
+        }
+
+        // ...then re-run the current query so filters, order and counts catch up
+        this.scheduleSync();
+    }
+
+    // Bursts of events (e.g. a checklist edit plus its next occurrence) cause one reload
+    scheduleSync() {
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => this.refreshTasks({ keepPages: true }), 300);
+    }
+
+    // Reminder Methods
+    describeReminderOffset(minutes) {
+        if (minutes === 0) return 'At due time';
+        if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'} before`;
+        if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'} before`;
+        return `${minutes} minutes before`;
+    }
+
+    describeReminderState(reminder) {
+        if (reminder.dismissedAt) return 'dismissed';
+        if (reminder.sentAt) return `sent ${this.formatTimestamp(reminder.sentAt)}`;
+        if (reminder.fireAt && reminder.fireAt !== reminder.remindAt) {
+            return `snoozed until ${this.formatTimestamp(reminder.fireAt)}`;
+        }
+        if (reminder.fireAt) return this.formatTimestamp(reminder.fireAt);
+        return reminder.remindAt ? 'time has passed' : 'no due date';
+    }
+
+    // Browsers only allow asking after a click, so this runs when a reminder is set
+    requestNotificationPermission() {
+        if ('Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+    }
+
+    handleReminder({ task, reminder }) {
+        const message = `🔔 ${task.title}${task.dueTime ? ` is due at ${task.dueTime}` : ' is due'}`;
+        this.showNotification(message, 'warning', [
+            { label: 'Snooze 10 min', handler: () => this.snoozeReminder(task.id, reminder.id, 10) },
+            { label: 'Dismiss', handler: () => this.dismissReminder(task.id, reminder.id) }
+        ], 30000);
+
+        /*
+         * Tabs in the background also get a system notification, through the
+         * service worker where there is one (see sw.js)
+         */
+        if (document.hidden && 'Notification' in window && Notification.permission === 'granted') {
+            const options = { body: message, tag: reminder.id, icon: '/icons/icon-192.png' };
+            if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+                navigator.serviceWorker.ready.then(registration => registration.showNotification('TaskFlow reminder', options));
+            } else {
+                const popup = new Notification('TaskFlow reminder', options);
+                popup.addEventListener('click', () => {
+                    window.focus();
+                    popup.close();
+                });
+            }
+        }
+    }
+
+    async snoozeReminder(taskId, reminderId, minutes) {
+        await this.updateReminder(taskId, reminderId, 'snooze', { minutes }, `Snoozed for ${minutes} minutes`);
+    }
+
+    async dismissReminder(taskId, reminderId) {
+        await this.updateReminder(taskId, reminderId, 'dismiss', {}, 'Reminder dismissed');
+    }
+
+    async updateReminder(taskId, reminderId, action, body, successMessage) {
+        try {
+            const updated = await this.apiRequest(`/api/tasks/${taskId}/reminders/${reminderId}/${action}`, {
+                method: 'POST',
+                body: JSON.stringify(body)
+            });
+            await this.applyTaskUpdate(updated);
+            this.showNotification(successMessage, 'info');
+        } catch (error) {
+            console.error('Error updating reminder:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to update the reminder!'), 'error');
+        }
+    }
+
+    /*
+     * Keyboard Methods
+     * Every shortcut, as listed in the "?" overlay
+     */
+    getShortcuts() {
+        return [
+            { keys: ['j'], description: 'Next task' },
+            { keys: ['k'], description: 'Previous task' },
+            { keys: ['x'], description: 'Complete or reopen the task' },
+            { keys: ['e'], description: 'Edit the task' },
+            { keys: ['p'], description: 'Pin the task to My Day, or take it off' },
+            { keys: ['o', 'Enter'], description: 'Open the task\'s details' },
+            { keys: ['Delete', '#'], description: 'Move the task to the trash (asks first)' },
+            { keys: ['n'], description: 'Add a task' },
+            { keys: ['/'], description: 'Search' },
+            { keys: ['1', '…', '9'], description: 'Quick filters, in the order shown' },
+            { keys: ['Ctrl+K'], description: 'Command palette: actions and tasks' },
+            { keys: ['Ctrl+Z'], description: 'Undo' },
+            { keys: ['Ctrl+Shift+Z', 'Ctrl+Y'], description: 'Redo' },
+            { keys: ['?'], description: 'Show these shortcuts' },
+            { keys: ['Esc'], description: 'Close the palette or this list; leave a text field' }
+        ];
+    }
+
+    // Single-key shortcuts are off while typing in a field or with a dialog open
+    handleShortcut(e) {
+        if (!this.currentUser) return;
+
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            this.togglePalette();
+            return;
+        }
+        if (e.key === 'Escape' && this.closeKeyboardOverlays()) return;
+        if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+        if (e.target.matches('input, textarea, select, [contenteditable]')) {
+            if (e.key === 'Escape') e.target.blur();
+            return;
+        }
+        if (document.querySelector('.modal.visible')) return;
+        // Enter on a focused button or link presses it
+        if (e.key === 'Enter' && e.target.closest('button, a, [onclick]')) return;
+
+        const filterButton = /^[1-9]$/.test(e.key) && document.querySelectorAll('.filter-btn')[Number(e.key) - 1];
+        const focusInput = (id) => () => document.getElementById(id).focus();
+        const actions = {
+            j: () => this.moveTaskFocus(1),
+            k: () => this.moveTaskFocus(-1),
+            x: () => this.withFocusedTask(task => this.toggleTask(task.id), true),
+            e: () => this.withFocusedTask(task => this.editTask(task.id), true),
+            p: () => this.withFocusedTask(task => this.toggleFocus(task.id), true),
+            o: () => this.withFocusedTask(task => this.openTaskDetail(task.id)),
+            Enter: () => this.withFocusedTask(task => this.openTaskDetail(task.id)),
+            Delete: () => this.withFocusedTask(task => this.confirmDeleteTask(task), true),
+            '#': () => this.withFocusedTask(task => this.confirmDeleteTask(task), true),
+            n: focusInput('taskInput'),
+            '/': focusInput('searchInput'),
+            '?': () => this.openShortcuts()
+        };
+        const action = filterButton ? () => this.setFilter(filterButton.dataset.filter) : actions[e.key];
+        if (action) {
+            // Keeps "/" and "n" from typing into the field they focus
+            e.preventDefault();
+            action();
+        }
+    }
+
+    // Closes the palette or the shortcuts overlay; false when neither was open
+    closeKeyboardOverlays() {
+        const open = ['commandPalette', 'shortcutsDialog']
+            .some(id => document.getElementById(id).classList.contains('visible'));
+        this.closePalette();
+        this.closeShortcuts();
+        return open;
+    }
+
+    withFocusedTask(action, needsEdit = false) {
+        const task = this.tasks.find(task => task.id === this.focusedTaskId);
+        if (!task) {
+            this.showNotification('Pick a task first with j or k', 'info');
+            return;
+        }
+        if (needsEdit && !this.canEdit()) {
+            this.showNotification('You have view-only access to this project', 'warning');
+            return;
+        }
+        action(task);
+    }
+
+    /*
+     * Moves the keyboard focus through the rendered list; past the last loaded
+     * task it loads the next page
+     */
+    async moveTaskFocus(step) {
+        let index = this.tasks.findIndex(task => task.id === this.focusedTaskId);
+        if (index === -1) {
+            index = step > 0 ? -1 : this.tasks.length;
+        }
+        if (index + step >= this.tasks.length && this.hasMore) {
+            await this.loadMoreTasks();
+        }
+
+        const next = this.tasks[Math.min(Math.max(index + step, 0), this.tasks.length - 1)];
+        if (next) this.focusTask(next.id);
+    }
+
+    focusTask(taskId) {
+        this.focusedTaskId = taskId;
+        document.querySelectorAll('.task-item, .board-card, .calendar-task').forEach(item => {
+            item.classList.toggle('keyboard-focus', item.dataset.taskId === taskId);
+        });
+        const item = document.querySelector(`.task-item[data-task-id="${taskId}"], .board-card[data-task-id="${taskId}"], ` +
+            `.calendar-task[data-task-id="${taskId}"]`);
+        if (item) item.scrollIntoView({ block: 'nearest' });
+    }
+
+    /*
+     * The trash button deletes right away since it can be undone, but a stray
+     * key press shouldn't; the focus moves on to the next task
+     */
+    async confirmDeleteTask(task) {
+        if (!confirm(`Move "${task.text}" to the trash?`)) return;
+        const index = this.tasks.indexOf(task);
+        const neighbour = this.tasks[index + 1] || this.tasks[index - 1];
+        await this.deleteTask(task.id);
+        if (neighbour) this.focusTask(neighbour.id);
+    }
+
+    openShortcuts() {
+        document.getElementById('shortcutsList').innerHTML = this.getShortcuts().map(shortcut => `
+            <div class="shortcut-row">
+                <span class="shortcut-keys">
+                    ${shortcut.keys.map(key => (key === '…' ? key : `<kbd>${this.escapeHtml(key)}</kbd>`)).join(' ')}
+                </span>
+                <span>${this.escapeHtml(shortcut.description)}</span>
+            </div>
+        `).join('');
+        document.getElementById('shortcutsDialog').classList.add('visible');
+    }
+
+    closeShortcuts() {
+        document.getElementById('shortcutsDialog').classList.remove('visible');
+    }
+
+    togglePalette() {
+        if (document.getElementById('commandPalette').classList.contains('visible')) {
+            this.closePalette();
+        } else {
+            this.openPalette();
+        }
+    }
+
+    openPalette() {
+        const input = document.getElementById('paletteInput');
+        input.value = '';
+        this.renderPalette();
+        document.getElementById('commandPalette').classList.add('visible');
+        input.focus();
+    }
+
+    closePalette() {
+        document.getElementById('commandPalette').classList.remove('visible');
+        this.paletteResults = [];
+    }
+
+    // Actions the palette offers, besides jumping to a task
+    getPaletteCommands() {
+        const canEdit = this.canEdit();
+        const focusInput = (id) => () => document.getElementById(id).focus();
+        const filters = Array.from(document.querySelectorAll('.filter-btn'), (button, index) => ({
+            icon: button.querySelector('.filter-icon').textContent,
+            label: `Show ${button.textContent.replace(button.querySelector('.filter-icon').textContent, '').trim()}`,
+            hint: index < 9 ? String(index + 1) : '',
+            run: () => this.setFilter(button.dataset.filter)
+        }));
+        const exports = Array.from(document.querySelectorAll('#exportSelect option[value]:not([value=""])'), option => ({
+            icon: '📤', label: `Export as ${option.textContent.trim()}`, run: () => this.exportTasks(option.value)
+        }));
+        const lists = [{ id: null, name: 'Personal', icon: '👤' }]
+            .concat(this.projects.map(project => ({ ...project, icon: '📁' })))
+            .filter(project => project.id !== this.currentProject)
+            .map(project => ({ icon: project.icon, label: `Switch to ${project.name}`, run: () => this.setProject(project.id) }));
+
+        return [
+            { icon: '➕', label: 'Add a task', hint: 'n', run: focusInput('taskInput'), hidden: !canEdit },
+            { icon: '🔍', label: 'Search tasks', hint: '/', run: focusInput('searchInput') },
+            ...filters,
+            { icon: '🧽', label: 'Clear all filters', run: () => this.clearAllFilters() },
+            { icon: '☰', label: 'Show the list', run: () => this.setView('list'), hidden: this.view === 'list' },
+            { icon: '▦', label: 'Show the board', run: () => this.setView('board'), hidden: this.view === 'board' },
+            { icon: '📅', label: 'Show the calendar', run: () => this.setView('calendar'), hidden: this.view === 'calendar' },
+            { icon: '🗓️', label: 'Show the agenda', run: () => this.setView('agenda'), hidden: this.view === 'agenda' },
+            { icon: '↶', label: 'Undo', hint: 'Ctrl+Z', run: () => this.undo(), hidden: !this.undoStack.length },
+            { icon: '↷', label: 'Redo', hint: 'Ctrl+Y', run: () => this.redo(), hidden: !this.redoStack.length },
+            ...lists,
+            { icon: '✏️', label: 'Edit categories and labels', run: () => this.openLabelsDialog() },
+            { icon: '📈', label: 'Show productivity stats', run: () => this.openStats() },
+            { icon: '🗑️', label: 'Open the trash', run: () => this.openTrash() },
+            { icon: '📥', label: 'Import tasks', run: () => this.openImportDialog(), hidden: !canEdit },
+            ...exports,
+            { icon: '⌨️', label: 'Keyboard shortcuts', hint: '?', run: () => this.openShortcuts() },
+            { icon: '🚪', label: 'Log out', run: () => this.logout() }
+        ].filter(command => !command.hidden);
+    }
+
+    /*
+     * The query's characters in order, not necessarily next to each other; runs
+     * and word starts score higher. null when `text` doesn't match
+     */
+    fuzzyScore(query, text) {
+        const haystack = text.toLowerCase();
+        let score = 0;
+        let position = -1;
+        let run = 0;
+
+        for (const char of query.toLowerCase().replace(/\s+/g, '')) {
+            const found = haystack.indexOf(char, position + 1);
+            if (found === -1) return null;
+            run = found === position + 1 ? run + 1 : 0;
+            score += 1 + run * 2 + (found === 0 || /[^\p{L}\p{N}]/u.test(haystack[found - 1]) ? 3 : 0);
+            position = found;
+        }
+        // Shorter matches win ties
+        return score - haystack.length / 1000;
+    }
+
+    // Commands first, then the loaded tasks; typing ranks both by how well they match
+    renderPalette() {
+        const query = document.getElementById('paletteInput').value.trim();
+        const tasks = this.tasks.map(task => ({
+            icon: task.completed ? '✅' : '⬜',
+            label: task.text,
+            hint: 'Task',
+            run: () => {
+                this.focusTask(task.id);
+                this.openTaskDetail(task.id);
+            }
+        }));
+        const entries = this.getPaletteCommands().concat(tasks);
+
+        this.paletteResults = (query
+            ? entries
+                .map(entry => ({ ...entry, score: this.fuzzyScore(query, entry.label) }))
+                .filter(entry => entry.score !== null)
+                .sort((a, b) => b.score - a.score)
+            : entries
+        ).slice(0, 50);
+        this.paletteIndex = 0;
+
+        document.getElementById('paletteResults').innerHTML = this.paletteResults.length
+            ? this.paletteResults.map((entry, index) => `
+                <li id="paletteResult-${index}" class="palette-item" role="option"
+                    onclick="taskFlow.runPaletteEntry(${index})" onmousemove="taskFlow.selectPaletteEntry(${index})">
+                    <span class="palette-icon">${entry.icon}</span>
+                    <span class="palette-label">${this.escapeHtml(entry.label)}</span>
+                    ${entry.hint ? `<kbd>${this.escapeHtml(entry.hint)}</kbd>` : ''}
+                </li>
+            `).join('')
+            : '<li class="palette-empty">No matching commands or tasks</li>';
+        this.selectPaletteEntry(0);
+    }
+
+    selectPaletteEntry(index) {
+        this.paletteIndex = index;
+        document.querySelectorAll('.palette-item').forEach((item, itemIndex) => {
+            item.classList.toggle('active', itemIndex === index);
+            item.setAttribute('aria-selected', itemIndex === index);
+        });
+        const active = document.getElementById(`paletteResult-${index}`);
+        document.getElementById('paletteInput').setAttribute('aria-activedescendant', active ? active.id : '');
+        if (active) active.scrollIntoView({ block: 'nearest' });
+    }
+
+    handlePaletteKey(e) {
+        const count = this.paletteResults.length;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (count) this.selectPaletteEntry((this.paletteIndex + (e.key === 'ArrowDown' ? 1 : count - 1)) % count);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.runPaletteEntry(this.paletteIndex);
+        }
+    }
+
+    runPaletteEntry(index) {
+        const entry = this.paletteResults[index];
+        if (!entry) return;
+        this.closePalette();
+        entry.run();
+    }
+
+    /*
+     * Board Methods
+     * The board shows every loaded task in columns, in the order they were dragged into
+     */
+    getListSort() {
+        if (this.view === 'board') return 'manual';
+        return this.isDateView() ? 'due-date' : this.currentSort;
+    }
+
+    // Boards load full pages so columns aren't cut short
+    getPageSize() {
+        return this.view === 'board' ? this.maxPageSize : this.pageSize;
+    }
+
+    setView(view) {
+        if (view === this.view) return;
+        this.view = view;
+        this.savePreference('view', view);
+        this.updateViewControls();
+        this.applyFilters();
+    }
+
+    setBoardGroup(group) {
+        this.boardGroup = group;
+        this.savePreference('boardGroup', group);
+        this.renderTasks();
+    }
+
+    updateViewControls() {
+        const isBoard = this.view === 'board';
+        const isDateView = this.isDateView();
+        document.querySelectorAll('[data-view]').forEach(button => {
+            button.classList.toggle('active', button.dataset.view === this.view);
+            button.setAttribute('aria-pressed', button.dataset.view === this.view);
+        });
+        const groupSelect = document.getElementById('boardGroupSelect');
+        groupSelect.value = this.boardGroup;
+        groupSelect.style.display = isBoard ? '' : 'none';
+        document.getElementById('calendarToolbar').style.display = isDateView ? 'flex' : 'none';
+        ['calendarPrev', 'calendarToday', 'calendarNext', 'calendarModeSelect'].forEach(id => {
+            document.getElementById(id).style.display = this.view === 'calendar' ? '' : 'none';
+        });
+        document.getElementById('agendaDaysSelect').style.display = this.view === 'agenda' ? '' : 'none';
+        document.getElementById('calendarModeSelect').value = this.calendarMode;
+        document.getElementById('agendaDaysSelect').value = String(this.agendaDays);
+
+        // The board keeps its own order, the calendar and agenda go by due date
+        const sortSelect = document.getElementById('sortSelect');
+        sortSelect.disabled = isBoard || isDateView;
+        sortSelect.title = isBoard ? 'The board shows tasks in the order they were dragged into'
+            : isDateView ? 'Tasks are shown on their due dates' : '';
+    }
+
+    // One column per status or priority, or per label for categories
+    getBoardColumns() {
+        if (this.boardGroup === 'priority') {
+            return ['high', 'medium', 'low'].map(priority => ({
+                value: priority,
+                name: `${this.getPriorityIcon(priority)} ${priority.charAt(0).toUpperCase()}${priority.slice(1)}`
+            }));
+        }
+        if (this.boardGroup === 'category') {
+            const keys = this.labels.map(label => label.key);
+            this.tasks.forEach(task => {
+                if (!keys.includes(task.category)) keys.push(task.category);
+            });
+            return keys.map(key => {
+                const label = this.getLabel(key);
+                return { value: key, name: `${label.icon} ${label.name}` };
+            });
+        }
+        return Object.entries(this.statusNames).map(([status, name]) => ({ value: status, name }));
+    }
+
+    getColumnTasks(value) {
+        return this.tasks.filter(task => task[this.boardGroup] === value);
+    }
+
+    renderBoard() {
+        const taskBoard = document.getElementById('taskBoard');
+        const canEdit = this.canEdit();
+        taskBoard.style.display = 'flex';
+
+        taskBoard.innerHTML = this.getBoardColumns().map(column => {
+            const tasks = this.getColumnTasks(column.value);
+            return `
+                <section class="board-column"
+                         ${canEdit ? `ondragover="taskFlow.dragOverColumn(event)" ondragleave="taskFlow.dragLeaveTarget(event)"
+                         ondrop="taskFlow.dropOnColumn(event, '${this.escapeHtml(column.value)}')"` : ''}>
+                    <header class="board-column-header">
+                        <span>${this.escapeHtml(column.name)}</span>
+                        <span class="board-count">${tasks.length}</span>
+                    </header>
+                    <div class="board-cards">
+                        ${tasks.map(task => this.renderBoardCard(task, canEdit)).join('') ||
+                            `<p class="board-empty">${canEdit ? 'Drop tasks here' : 'No tasks'}</p>`}
+                    </div>
+                </section>
+            `;
+        }).join('');
+    }
+
+    // Cards leave out what their column already says
+    renderBoardCard(task, canEdit) {
+        const dueDateClass = this.isOverdue(task) ? 'overdue' : this.isDueToday(task) ? 'due-today' : '';
+        return `
+            <article class="board-card priority-${task.priority} ${task.completed ? 'completed' : ''} ${task.id === this.focusedTaskId ? 'keyboard-focus' : ''}"
+                     data-task-id="${task.id}" onclick="taskFlow.openTaskDetail('${task.id}')"
+                     ${canEdit ? `draggable="true" ondragstart="taskFlow.startCardDrag(event, '${task.id}')" ondragend="taskFlow.endCardDrag()"` : ''}>
+                <span class="task-text">${this.highlightSearchTerm(task.text)}</span>
+                <div class="task-meta">
+                    ${this.isFocused(task) ? '<span class="focus-badge" title="On My Day">☀️</span>' : ''}
+                    ${this.boardGroup !== 'status' && task.status === 'in-progress' ? `<span class="status-badge">${this.statusNames['in-progress']}</span>` : ''}
+                    ${this.boardGroup !== 'priority' ? `
+                        <span class="priority-badge priority-${task.priority}">
+                            ${this.getPriorityIcon(task.priority)} ${task.priority}
+                        </span>
+                    ` : ''}
+                    ${this.boardGroup !== 'category' ? this.renderLabelBadge(task.category, 'category-badge') : ''}
+                    ${task.dueDate ? `<span class="due-date-badge ${dueDateClass}">${this.getDueDateDisplay(task)}</span>` : ''}
+                    ${task.blocked && !task.completed ? '<span class="blocked-badge" title="Waiting on other tasks">⛔</span>' : ''}
+                    ${task.assignee ? `<span class="assignee-badge">👤 ${this.escapeHtml(this.getUserName(task.assignee))}</span>` : ''}
+                </div>
+            </article>
+        `;
+    }
+
+    // List items are dragged by their handle, but show the whole item moving
+    startCardDrag(event, taskId) {
+        const card = event.currentTarget.closest('.board-card, .task-item');
+        this.draggedTaskId = taskId;
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', taskId);
+        if (card !== event.currentTarget) event.dataTransfer.setDragImage(card, 0, 0);
+        card.classList.add('dragging');
+    }
+
+    endCardDrag() {
+        this.draggedTaskId = null;
+        document.querySelectorAll('.dragging').forEach(card => card.classList.remove('dragging'));
+        document.querySelectorAll('.board-column, .calendar-day, .tasks-list').forEach(target => this.clearDropMarker(target));
+    }
+
+    // Board cards of a column, or the items of the list, besides the dragged one
+    getDropCards(container) {
+        return Array.from(container.querySelectorAll('.board-card:not(.dragging), .task-item:not(.dragging)'));
+    }
+
+    // The card the dragged one would be dropped in front of, or null for the end of the column
+    getCardAtPointer(column, y) {
+        const cards = this.getDropCards(column);
+        return cards.find(card => {
+            const box = card.getBoundingClientRect();
+            return y < box.top + box.height / 2;
+        }) || null;
+    }
+
+    dragOverColumn(event) {
+        if (!this.draggedTaskId) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+
+        const column = event.currentTarget;
+        const target = this.getCardAtPointer(column, event.clientY);
+        column.classList.add('drag-over');
+        column.classList.toggle('drop-at-end', !target);
+        this.getDropCards(column).forEach(card => card.classList.toggle('drop-before', card === target));
+    }
+
+    dragLeaveTarget(event) {
+        if (!event.currentTarget.contains(event.relatedTarget)) {
+            this.clearDropMarker(event.currentTarget);
+        }
+    }
+
+    clearDropMarker(target) {
+        target.classList.remove('drag-over', 'drop-at-end');
+        target.querySelectorAll('.drop-before').forEach(card => card.classList.remove('drop-before'));
+    }
+
+    // Ids of the tasks the dragged one lands between, null at either end
+    getDropNeighbours(container, y) {
+        const target = this.getCardAtPointer(container, y);
+        const cards = this.getDropCards(container);
+        const previous = cards[target ? cards.indexOf(target) - 1 : cards.length - 1];
+        return [previous ? previous.dataset.taskId : null, target ? target.dataset.taskId : null];
+    }
+
+    dropOnColumn(event, value) {
+        const taskId = this.draggedTaskId;
+        if (!taskId) return;
+        event.preventDefault();
+
+        const [afterId, beforeId] = this.getDropNeighbours(event.currentTarget, event.clientY);
+        this.endCardDrag();
+        this.moveTask(taskId, afterId, beforeId, { [this.boardGroup]: value });
+    }
+
+    dropOnList(event) {
+        const taskId = this.draggedTaskId;
+        if (!taskId) return;
+        event.preventDefault();
+
+        const [afterId, beforeId] = this.getDropNeighbours(event.currentTarget, event.clientY);
+        this.endCardDrag();
+        this.moveTask(taskId, afterId, beforeId);
+    }
+
+    /*
+     * Drops the task between the tasks `afterId` and `beforeId` (null at either
+     * end), setting `fields` such as the column's value on the board; the server
+     * works out the new order
+     */
+    async moveTask(taskId, afterId, beforeId, fields = {}) {
+        const task = this.findTask(taskId);
+        if (!task) return;
+
+        const changes = {};
+        const undoFields = { order: task.order };
+        Object.entries(fields).forEach(([field, value]) => {
+            if (task[field] === value) return;
+            changes[field] = value;
+            undoFields[field] = task[field];
+        });
+
+        // The card's column on the board, the whole list otherwise
+        const siblings = this.view === 'board' ? this.getColumnTasks(fields[this.boardGroup]) : this.tasks;
+        const index = siblings.indexOf(task);
+        const unmoved = index !== -1 &&
+            (siblings[index - 1] ? siblings[index - 1].id : null) === afterId &&
+            (siblings[index + 1] ? siblings[index + 1].id : null) === beforeId;
+        if (unmoved) return;
+
+        // Show the card in its new place while the server catches up
+        Object.assign(task, changes);
+        this.tasks.splice(this.tasks.indexOf(task), 1);
+        const anchor = this.tasks.findIndex(other => other.id === (beforeId || afterId));
+        this.tasks.splice(anchor === -1 ? this.tasks.length : anchor + (beforeId ? 0 : 1), 0, task);
+        this.renderTasks();
+
+        try {
+            const savedTask = await this.writeTask({
+                method: 'POST',
+                url: `/api/tasks/${taskId}/move`,
+                body: { ...changes, after: afterId, before: beforeId },
+                label: `moving "${task.text}"`
+            });
+            await this.refreshTasks({ keepPages: true });
+
+            // Dropping a repeating task on Done schedules its next occurrence, like completing it
+            const nextTaskId = this.hasNewOccurrence(task, savedTask) ? savedTask.recurrence.nextTask : null;
+            const redoFields = { ...changes, order: savedTask.order };
+            this.recordHistory({
+                label: `move "${task.text}"`,
+                undo: async() => {
+                    await this.setTaskFields(taskId, undoFields);
+                    if (nextTaskId) await this.trashTask(nextTaskId);
+                },
+                redo: async() => {
+                    await this.setTaskFields(taskId, redoFields);
+                    if (nextTaskId) await this.restoreTask(nextTaskId);
+                }
+            });
+            if (nextTaskId) {
+                this.showNotification('Task completed! 🎉 The next occurrence has been scheduled.', 'success', this.undoAction());
+            }
+        } catch (error) {
+            console.error('Error moving task:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to move task!'), 'error');
+            await this.refreshTasks({ keepPages: true });
+        }
+    }
+
+    /*
+     * Calendar Methods
+     * The calendar and agenda load just the tasks due on the days they show,
+     * from GET /api/tasks/calendar
+     */
+    isDateView() {
+        return this.view === 'calendar' || this.view === 'agenda';
+    }
+
+    // Days are YYYY-MM-DD keys, like due dates, which are stored as midnight UTC
+    toDayKey(date) {
+        const pad = (number) => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    addDays(day, count) {
+        const date = new Date(`${day}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + count);
+        return date.toISOString().slice(0, 10);
+    }
+
+    weekdayOf(day) {
+        return new Date(`${day}T00:00:00Z`).getUTCDay();
+    }
+
+    formatDay(day, options) {
+        return new Date(`${day}T00:00:00Z`).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+    }
+
+    // Whole weeks, Sunday first, around the month or week; the agenda starts today
+    getCalendarRange() {
+        if (this.view === 'agenda') {
+            const today = this.toDayKey(new Date());
+            return { from: today, to: this.addDays(today, this.agendaDays - 1) };
+        }
+        if (this.calendarMode === 'week') {
+            const from = this.addDays(this.calendarDate, -this.weekdayOf(this.calendarDate));
+            return { from, to: this.addDays(from, 6) };
+        }
+
+        const first = `${this.calendarDate.slice(0, 7)}-01`;
+        const nextMonth = new Date(`${first}T00:00:00Z`);
+        nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1);
+        const last = this.addDays(nextMonth.toISOString().slice(0, 10), -1);
+        return { from: this.addDays(first, -this.weekdayOf(first)), to: this.addDays(last, 6 - this.weekdayOf(last)) };
+    }
+
+    // The list's filters and search, for the days on screen
+    buildCalendarQuery() {
+        const params = new URLSearchParams(this.buildTaskQuery());
+        ['sort', 'limit', 'offset'].forEach(key => params.delete(key));
+        const { from, to } = this.getCalendarRange();
+        params.set('from', from);
+        params.set('to', to);
+        return params.toString();
+    }
+
+    isInCalendarRange(task) {
+        if (!this.isDateView()) return true;
+        if (!task.dueDate) return false;
+        const { from, to } = this.getCalendarRange();
+        const day = task.dueDate.slice(0, 10);
+        return day >= from && day <= to;
+    }
+
+    describeCalendarRange(from, to) {
+        if (this.view === 'agenda') return `Next ${this.agendaDays} days`;
+        if (this.calendarMode === 'month') {
+            return this.formatDay(this.calendarDate, { month: 'long', year: 'numeric' });
+        }
+        return `${this.formatDay(from, { month: 'short', day: 'numeric' })} – ${this.formatDay(to, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+    }
+
+    shiftCalendar(step) {
+        const date = new Date(`${this.calendarDate}T00:00:00Z`);
+        if (this.calendarMode === 'week') {
+            date.setUTCDate(date.getUTCDate() + 7 * step);
+        } else {
+            date.setUTCDate(1);
+            date.setUTCMonth(date.getUTCMonth() + step);
+        }
+        this.calendarDate = date.toISOString().slice(0, 10);
+        this.applyFilters();
+    }
+
+    showCalendarToday() {
+        this.calendarDate = this.toDayKey(new Date());
+        this.applyFilters();
+    }
+
+    setCalendarMode(mode) {
+        this.calendarMode = mode;
+        this.savePreference('calendarMode', mode);
+        this.applyFilters();
+    }
+
+    setAgendaDays(days) {
+        this.agendaDays = days;
+        this.savePreference('agendaDays', days);
+        this.updateViewControls();
+        this.applyFilters();
+    }
+
+    renderCalendar() {
+        const taskCalendar = document.getElementById('taskCalendar');
+        const { from, to } = this.getCalendarRange();
+        const canEdit = this.canEdit();
+
+        const tasksByDay = new Map();
+        this.tasks.filter(task => task.dueDate).forEach(task => {
+            const day = task.dueDate.slice(0, 10);
+            if (!tasksByDay.has(day)) tasksByDay.set(day, []);
+            tasksByDay.get(day).push(task);
+        });
+        const days = [];
+        for (let day = from; day <= to; day = this.addDays(day, 1)) {
+            days.push(day);
+        }
+
+        // Tasks without a due date have no day to go on
+        const undated = this.summary ? this.summary.noDueDate : 0;
+        document.getElementById('calendarTitle').textContent = this.describeCalendarRange(from, to);
+        document.getElementById('calendarHint').textContent = undated
+            ? `${undated} open task${undated === 1 ? '' : 's'} without a due date ${undated === 1 ? 'isn\'t' : 'aren\'t'} shown`
+            : '';
+
+        taskCalendar.style.display = 'block';
+        taskCalendar.innerHTML = this.view === 'agenda'
+            ? this.renderAgenda(days, tasksByDay, canEdit)
+            : this.renderCalendarGrid(days, tasksByDay, canEdit);
+    }
+
+    renderDayDropTarget(day, canEdit) {
+        if (!canEdit) return '';
+        return `ondragover="taskFlow.dragOverDay(event)" ondragleave="taskFlow.dragLeaveTarget(event)"
+                ondrop="taskFlow.dropOnDay(event, '${day}')"`;
+    }
+
+    renderCalendarGrid(days, tasksByDay, canEdit) {
+        const today = this.toDayKey(new Date());
+        const month = this.calendarDate.slice(0, 7);
+        return `
+            <div class="calendar-grid calendar-${this.calendarMode}">
+                ${days.slice(0, 7).map(day => `
+                    <div class="calendar-weekday">${this.formatDay(day, { weekday: 'short' })}</div>
+                `).join('')}
+                ${days.map(day => `
+                    <div class="calendar-day ${day === today ? 'today' : ''} ${this.calendarMode === 'month' && day.slice(0, 7) !== month ? 'outside' : ''}"
+                         ${this.renderDayDropTarget(day, canEdit)}>
+                        <span class="calendar-date">
+                            ${this.calendarMode === 'week' ? this.formatDay(day, { month: 'short', day: 'numeric' }) : Number(day.slice(8))}
+                        </span>
+                        ${(tasksByDay.get(day) || []).map(task => this.renderCalendarTask(task, canEdit)).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderCalendarTask(task, canEdit) {
+        const isFocused = task.id === this.focusedTaskId;
+        return `
+            <div class="calendar-task priority-${task.priority} ${task.completed ? 'completed' : ''} ${this.isOverdue(task) ? 'overdue' : ''} ${isFocused ? 'keyboard-focus' : ''}"
+                 data-task-id="${task.id}" title="${this.escapeHtml(task.text)}" onclick="taskFlow.openTaskDetail('${task.id}')"
+                 ${canEdit ? `draggable="true" ondragstart="taskFlow.startCardDrag(event, '${task.id}')" ondragend="taskFlow.endCardDrag()"` : ''}>
+                ${task.dueTime ? `<span class="calendar-time">${task.dueTime}</span>` : ''}
+                ${this.highlightSearchTerm(task.text)}
+            </div>
+        `;
+    }
+
+    // Every day of the range is listed, so tasks can be dragged to an empty one
+    renderAgenda(days, tasksByDay, canEdit) {
+        const today = this.toDayKey(new Date());
+        const tomorrow = this.addDays(today, 1);
+        const sections = days.map(day => {
+            const tasks = tasksByDay.get(day) || [];
+            const name = day === today ? 'Today' : day === tomorrow ? 'Tomorrow' : this.formatDay(day, { weekday: 'long' });
+            return `
+                <section class="calendar-day agenda-day ${tasks.length ? '' : 'empty'}" ${this.renderDayDropTarget(day, canEdit)}>
+                    <h4 class="agenda-date">${name} <span>${this.formatDay(day, { month: 'short', day: 'numeric' })}</span></h4>
+                    ${tasks.map(task => this.renderAgendaTask(task, canEdit)).join('') || '<p class="agenda-empty">Nothing due</p>'}
+                </section>
+            `;
+        });
+        return `
+            <div class="agenda">
+                ${sections.join('')}
+            </div>
+        `;
+    }
+
+    renderAgendaTask(task, canEdit) {
+        const isFocused = task.id === this.focusedTaskId;
+        return `
+            <div class="calendar-task agenda-task ${task.completed ? 'completed' : ''} ${this.isOverdue(task) ? 'overdue' : ''} ${isFocused ? 'keyboard-focus' : ''}"
+                 data-task-id="${task.id}" onclick="taskFlow.openTaskDetail('${task.id}')"
+                 ${canEdit ? `draggable="true" ondragstart="taskFlow.startCardDrag(event, '${task.id}')" ondragend="taskFlow.endCardDrag()"` : ''}>
+                <div class="task-checkbox ${task.completed ? 'checked' : ''}"
+                     ${canEdit ? `onclick="event.stopPropagation(); taskFlow.toggleTask('${task.id}')"` : ''}></div>
+                <span class="calendar-time">${task.dueTime || 'All day'}</span>
+                <span class="task-text">${this.highlightSearchTerm(task.text)}</span>
+                <span class="priority-badge priority-${task.priority}">${this.getPriorityIcon(task.priority)} ${task.priority}</span>
+                ${this.renderLabelBadge(task.category, 'category-badge')}
+                ${task.status === 'in-progress' ? `<span class="status-badge">${this.statusNames['in-progress']}</span>` : ''}
+            </div>
+        `;
+    }
+
+    dragOverDay(event) {
+        if (!this.draggedTaskId) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        event.currentTarget.classList.add('drag-over');
+    }
+
+    dropOnDay(event, day) {
+        const taskId = this.draggedTaskId;
+        if (!taskId) return;
+        event.preventDefault();
+        this.endCardDrag();
+        this.rescheduleTask(taskId, day);
+    }
+
+    // Moves the task to another day; its due time stays
+    async rescheduleTask(taskId, day) {
+        const task = this.findTask(taskId);
+        if (!task || (task.dueDate && task.dueDate.slice(0, 10) === day)) return;
+
+        const previousDueDate = task.dueDate;
+        try {
+            const savedTask = await this.patchTask(task, { dueDate: day });
+            await this.refreshTasks({ keepPages: true });
+            if (!savedTask) return;
+
+            this.recordHistory({
+                label: `reschedule "${task.text}"`,
+                undo: () => this.setTaskFields(taskId, { dueDate: previousDueDate }),
+                redo: () => this.setTaskFields(taskId, { dueDate: day })
+            });
+            const dayName = this.formatDay(day, { weekday: 'short', month: 'short', day: 'numeric' });
+            this.showNotification(`Rescheduled to ${dayName}`, 'success', this.undoAction());
+        } catch (error) {
+            console.error('Error rescheduling task:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to reschedule task!'), 'error');
+        }
+    }
+
+    // Filtering Methods
+    setFilter(filter) {
+        this.currentFilter = filter;
+
+        // Update button states
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.classList.remove('active');
+        });
+        document.querySelector(`[data-filter="${filter}"]`).classList.add('active');
+
+        this.applyFilters();
+    }
+
+    setCategoryFilter(category) {
+        this.currentCategoryFilter = category;
+        this.renderCategoryButtons();
+        this.applyFilters();
+    }
+
+    toggleAdvancedFilters() {
+        const panel = document.getElementById('advancedPanel');
+        const toggleIcon = document.querySelector('.toggle-icon');
+
+        if (panel.style.display === 'none' || !panel.style.display) {
+            panel.style.display = 'block';
+            toggleIcon.textContent = '▲';
+        } else {
+            panel.style.display = 'none';
+            toggleIcon.textContent = '▼';
+        }
+    }
+
+    clearAllFilters() {
+        // Reset all filters
+        this.currentFilter = 'all';
+        this.currentCategoryFilter = 'all';
+        this.currentSearch = '';
+        this.currentSort = 'priority';
+
+        // Reset UI
+        document.getElementById('searchInput').value = '';
+        document.getElementById('clearSearch').style.display = 'none';
+        document.getElementById('sortSelect').value = 'priority';
+
+        // Reset button states
+        document.querySelectorAll('.filter-btn').forEach(btn => btn.classList.remove('active'));
+        document.querySelector('[data-filter="all"]').classList.add('active');
+
+        this.renderCategoryButtons();
+
+        this.applyFilters();
+        this.showNotification('All filters cleared!', 'info');
+    }
+
+    /*
+     * Utility Methods for Task Analysis
+     * Timed tasks are overdue from their due moment on, the rest once their day
+     * is over on this browser's calendar
+     */
+    isOverdue(task) {
+        if (!task.dueDate || task.completed) return false;
+        if (task.dueTime) return this.getDueMoment(task) < new Date();
+        return this.dueDayOf(task) < this.toDayKey(new Date());
+    }
+
+    isDueToday(task) {
+        return Boolean(task.dueDate) && this.dueDayOf(task) === this.toDayKey(new Date());
+    }
+
+    // The day key a due date names; it is stored as midnight UTC of that day
+    dueDayOf(task) {
+        return new Date(task.dueDate).toISOString().slice(0, 10);
+    }
+
+    // Pins run out at the end of the day they were made on
+    isFocused(task) {
+        return Boolean(task.focusedUntil) && new Date(task.focusedUntil) > new Date();
+    }
+
+    // Next midnight on this browser's clock, as the API takes it
+    endOfToday() {
+        const midnight = new Date();
+        midnight.setHours(24, 0, 0, 0);
+        return midnight.toISOString();
+    }
+
+    // The due date at the due time, on the clocks of the task's time zone
+    getDueMoment(task) {
+        return DueTime.dueInstant(task.dueDate, task.dueTime, task.timeZone || undefined);
+    }
+
+    // Translate the UI filter state into GET /api/tasks query parameters
+    buildTaskQuery(offset = 0, limit = this.getPageSize()) {
+        const params = new URLSearchParams({
+            sort: this.getListSort(),
+            limit: limit,
+            offset: offset,
+            // Due today and overdue go by this browser's day
+            timeZone: this.timeZone
+        });
+
+        if (this.currentFilter === 'high-priority') {
+            params.set('status', 'pending');
+            params.set('priority', 'high');
+        } else if (this.currentFilter !== 'all') {
+            params.set('status', this.currentFilter);
+        }
+
+        if (this.currentCategoryFilter !== 'all') {
+            params.set('category', this.currentCategoryFilter);
+        }
+        if (this.currentSearch) {
+            params.set('search', this.currentSearch);
+        }
+        if (this.currentProject) {
+            params.set('project', this.currentProject);
+        }
+
+        return params.toString();
+    }
+
+    // Rendering Methods
+    highlightSearchTerm(text) {
+        const term = (this.currentSearch || '').trim();
+        if (!term) return this.escapeHtml(text);
+
+        // Matched on the raw text and escaped piece by piece, so no match can split an entity
+        const regex = new RegExp(`(${this.escapeRegExp(term)})`, 'gi');
+        return text.split(regex)
+            .map((piece, index) => (index % 2 ? `<mark class="search-highlight">${this.escapeHtml(piece)}</mark>` : this.escapeHtml(piece)))
+            .join('');
+    }
+
+    getDueDateDisplay(task) {
+        if (!task.dueDate) {
+            return '📋 No due date';
+        }
+
+        // Whole days between the due day and today on this browser's calendar
+        const dueDay = new Date(`${this.dueDayOf(task)}T00:00:00Z`);
+        const today = new Date(`${this.toDayKey(new Date())}T00:00:00Z`);
+        const diffDays = Math.round((dueDay - today) / (1000 * 60 * 60 * 24));
+        const at = task.dueTime ? ` at ${task.dueTime}` : '';
+
+        // Timed tasks can be overdue on their due day, or in a time zone ahead of ours
+        if (this.isOverdue(task) && diffDays >= 0) {
+            return `⚠️ Overdue since ${task.dueTime}`;
+        } else if (this.isOverdue(task)) {
+            const overdueDays = Math.abs(diffDays);
+            return `⚠️ ${overdueDays} day${overdueDays === 1 ? '' : 's'} overdue`;
+        } else if (this.isDueToday(task)) {
+            return `🔥 Due today${at}`;
+        } else if (diffDays === 1) {
+            return `⏰ Due tomorrow${at}`;
+        } else if (diffDays <= 7) {
+            return `📅 Due in ${diffDays} day${diffDays === 1 ? '' : 's'}${at}`;
+        } else {
+            return `📅 Due ${this.formatDate(task.dueDate)}${at}`;
+        }
+    }
+
+    getPriorityIcon(priority) {
+        const icons = { high: '🔥', medium: '⚡', low: '🌱' };
+        return icons[priority] || '⚡';
+    }
+
+    renderChecklist(task, canEdit) {
+        const items = task.items;
+        if (!canEdit && items.length === 0) return '';
+
+        const done = items.filter(item => item.completed).length;
+        const isExpanded = this.expandedChecklists.has(task.id);
+        const percentage = items.length > 0 ? Math.round((done / items.length) * 100) : 0;
+        const summary = items.length > 0 ? `${done} of ${items.length} done` : 'Add checklist';
+
+        const toggle = `
+            <button class="checklist-toggle" onclick="taskFlow.toggleChecklist('${task.id}')">
+                <span>☑️ ${summary}</span>
+                ${items.length > 0 ? `
+                    <span class="progress-bar checklist-progress">
+                        <span class="progress-fill" style="width: ${percentage}%"></span>
+                    </span>
+                ` : ''}
+                <span class="toggle-icon">${isExpanded ? '▲' : '▼'}</span>
+            </button>
+        `;
+
+        if (!isExpanded) {
+            return `<div class="task-checklist">${toggle}</div>`;
+        }
+
+        const itemsHTML = items.map((item, index) => `
+            <li class="checklist-item ${item.completed ? 'completed' : ''}">
+                <input type="checkbox" ${item.completed ? 'checked' : ''} ${canEdit ? '' : 'disabled'}
+                       onchange="taskFlow.toggleChecklistItem('${task.id}', '${item.id}', this.checked)">
+                <span class="checklist-text">${this.escapeHtml(item.text)}</span>
+                ${canEdit ? `
+                <div class="checklist-actions">
+                    <button class="checklist-btn" title="Move up" ${index === 0 ? 'disabled' : ''}
+                            onclick="taskFlow.moveChecklistItem('${task.id}', '${item.id}', -1)">↑</button>
+                    <button class="checklist-btn" title="Move down" ${index === items.length - 1 ? 'disabled' : ''}
+                            onclick="taskFlow.moveChecklistItem('${task.id}', '${item.id}', 1)">↓</button>
+                    <button class="checklist-btn" title="Delete item"
+                            onclick="taskFlow.deleteChecklistItem('${task.id}', '${item.id}')">✕</button>
+                </div>
+                ` : ''}
+            </li>
+        `).join('');
+
+        return `
+            <div class="task-checklist expanded">
+                ${toggle}
+                <ul class="checklist-items">${itemsHTML}</ul>
+                ${canEdit ? `
+                <div class="checklist-add">
+                    <input type="text" id="checklistInput-${task.id}" class="checklist-input"
+                           placeholder="Add an item..." maxlength="200"
+                           onkeypress="if (event.key === 'Enter') taskFlow.addChecklistItem('${task.id}')">
+                    <button class="checklist-add-btn" onclick="taskFlow.addChecklistItem('${task.id}')">Add</button>
+                </div>
+                <label class="checklist-auto-complete">
+                    <input type="checkbox" ${task.autoComplete ? 'checked' : ''}
+                           onchange="taskFlow.setAutoComplete('${task.id}', this.checked)">
+                    Complete the task when every item is done
+                </label>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderTasks() {
+        const tasksList = document.getElementById('tasksList');
+        const taskBoard = document.getElementById('taskBoard');
+        const taskCalendar = document.getElementById('taskCalendar');
+        const emptyState = document.getElementById('emptyState');
+        const loadMoreBtn = document.getElementById('loadMoreBtn');
+
+        loadMoreBtn.style.display = this.hasMore ? 'block' : 'none';
+
+        // Tasks that left the list (deleted, or no longer matching) can't stay selected
+        const loadedIds = new Set(this.tasks.map(task => task.id));
+        this.selectedTasks = new Set(Array.from(this.selectedTasks).filter(id => loadedIds.has(id)));
+        this.updateBulkToolbar();
+
+        // The calendar and agenda show their days even when nothing is due
+        if (this.isDateView()) {
+            tasksList.style.display = 'none';
+            taskBoard.style.display = 'none';
+            emptyState.style.display = 'none';
+            this.renderCalendar();
+            return;
+        }
+        taskCalendar.style.display = 'none';
+
+        if (this.tasks.length === 0) {
+            tasksList.style.display = 'none';
+            taskBoard.style.display = 'none';
+            emptyState.style.display = 'block';
             this.updateEmptyStateMessage();
             return;
         }
 
-        tasksList.style.display = 'flex';
-        emptyState.style.display = 'none';
+        emptyState.style.display = 'none';
+        if (this.view === 'board') {
+            tasksList.style.display = 'none';
+            this.renderBoard();
+            return;
+        }
+        taskBoard.style.display = 'none';
+        tasksList.style.display = 'flex';
+
+        /*
+         * Tasks arrive already filtered and sorted by the server
+         * Viewers of a shared project get a read-only list
+         */
+        const canEdit = this.canEdit();
+        const reorderable = canEdit && this.getListSort() === 'manual';
+        const drafts = this.saveDrafts(tasksList);
+
+        tasksList.innerHTML = this.tasks.map(task => {
+            const isOverdue = this.isOverdue(task);
+            const isDueToday = this.isDueToday(task);
+            const dueDateClass = isOverdue ? 'overdue' : isDueToday ? 'due-today' : '';
+            const isSelected = this.selectAllMatching || this.selectedTasks.has(task.id);
+            const isFocused = task.id === this.focusedTaskId;
+            const onMyDay = this.isFocused(task);
+
+            return `
+                <div class="task-item ${task.completed ? 'completed' : ''} ${task.blocked && !task.completed ? 'blocked' : ''} ${isSelected ? 'selected' : ''} ${isFocused ? 'keyboard-focus' : ''} priority-${task.priority} ${dueDateClass}" data-task-id="${task.id}">
+                    <div class="task-content">
+                        ${reorderable ? `
+                        <span class="drag-handle" draggable="true" title="Drag to reorder"
+                              ondragstart="taskFlow.startCardDrag(event, '${task.id}')" ondragend="taskFlow.endCardDrag()">⠿</span>
+                        ` : ''}
+                        ${canEdit ? `
+                        <input type="checkbox" class="task-select" ${isSelected ? 'checked' : ''}
+                               onchange="taskFlow.toggleSelection('${task.id}')" aria-label="Select task">
+                        ` : ''}
+                        <div class="task-checkbox ${task.completed ? 'checked' : ''}"
+                             ${canEdit ? `onclick="taskFlow.toggleTask('${task.id}')"` : ''}>
+                        </div>
+                        <div class="task-info">
+                            ${canEdit && this.inlineEditTaskId === task.id ? `
+                                <input type="text" id="inlineTitle-${task.id}" class="inline-title-input"
+                                       value="${this.escapeHtml(task.text)}" maxlength="${this.titleMaxLength}" aria-label="Task title"
+                                       onkeydown="taskFlow.handleInlineTitleKey(event, '${task.id}')"
+                                       onblur="taskFlow.finishInlineEdit('${task.id}', true)">
+                            ` : `
+                                <span class="task-text" ${canEdit ? `ondblclick="taskFlow.startInlineEdit('${task.id}')" title="Double-click to rename"` : ''}>${this.highlightSearchTerm(task.text)}</span>
+                            `}
+                            <div class="task-meta">
+                                ${onMyDay ? '<span class="focus-badge" title="Pinned for today">☀️ My Day</span>' : ''}
+                                <span class="priority-badge priority-${task.priority}">
+                                    ${this.getPriorityIcon(task.priority)} ${task.priority}
+                                </span>
+                                ${task.status === 'in-progress' ? `<span class="status-badge">${this.statusNames['in-progress']}</span>` : ''}
+                                ${this.renderLabelBadge(task.category, 'category-badge')}
+                                ${task.labels.map(key => this.renderLabelBadge(key, 'label-badge')).join('')}
+                                <span class="due-date-badge ${dueDateClass}">
+                                    ${this.getDueDateDisplay(task)}
+                                </span>
+                                ${task.recurrence ? `
+                                    <span class="recurrence-badge" title="Repeating task">
+                                        🔁 ${this.describeRecurrence(task.recurrence)}
+                                    </span>
+                                ` : ''}
+                                ${task.blocked && !task.completed ? `
+                                    <span class="blocked-badge" title="This task can start once these are done">
+                                        ⛔ ${this.escapeHtml(this.describeWaitingOn(task))}
+                                    </span>
+                                ` : ''}
+                                ${task.notes ? `
+                                    <span class="notes-badge" title="${this.escapeHtml(task.notes)}">📝 Notes</span>
+                                ` : ''}
+                                ${task.assignee ? `
+                                    <span class="assignee-badge" title="Assignee">
+                                        👤 ${this.escapeHtml(this.getUserName(task.assignee))}
+                                    </span>
+                                ` : ''}
+                            </div>
+                            ${this.renderChecklist(task, canEdit)}
+                        </div>
+                    </div>
+                    <div class="task-actions">
+                        <button class="task-btn detail-btn" onclick="taskFlow.openTaskDetail('${task.id}')" title="Comments and history">
+                            💬${task.commentCount ? ` <span class="comment-count">${task.commentCount}</span>` : ''}
+                        </button>
+                        ${canEdit ? `
+                        <button class="task-btn focus-btn ${onMyDay ? 'active' : ''}" onclick="taskFlow.toggleFocus('${task.id}')"
+                                title="${onMyDay ? 'Take off My Day' : 'Pin to My Day'}" aria-pressed="${onMyDay}">
+                            ☀️
+                        </button>
+                        <button class="task-btn edit-btn" onclick="taskFlow.editTask('${task.id}')" title="Edit task">
+                            ✏️
+                        </button>
+                        <button class="task-btn delete-btn" onclick="taskFlow.deleteTask('${task.id}')" title="Delete task">
+                            🗑️
+                        </button>
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+        this.restoreDrafts(drafts);
+    }
+
+    // Live updates re-render while people type, so keep unsent input around
+    saveDrafts(container) {
+        return Array.from(container.querySelectorAll('input[type="text"][id], textarea[id]'))
+            .filter(input => input.value !== '')
+            .map(input => ({ id: input.id, value: input.value, focused: input === document.activeElement }));
+    }
+
+    restoreDrafts(drafts) {
+        drafts.forEach(draft => {
+            const input = document.getElementById(draft.id);
+            if (!input) return;
+            input.value = draft.value;
+            if (draft.focused) input.focus();
+        });
+    }
+
+    updateEmptyStateMessage() {
+        const emptyState = document.getElementById('emptyState');
+
+        if (!this.summary || this.summary.total === 0) {
+            emptyState.innerHTML = `
+                <div class="empty-icon">✨</div>
+                <h3>No tasks yet</h3>
+                <p>Add your first task above to get started!</p>
+            `;
+        } else if (this.currentFilter === 'focus' && !this.currentSearch) {
+            emptyState.innerHTML = `
+                <div class="empty-icon">☀️</div>
+                <h3>Nothing on My Day yet</h3>
+                <p>Pin tasks with their ☀️ button to plan today; pins come off at midnight.</p>
+            `;
+        } else if (this.currentSearch) {
+            emptyState.innerHTML = `
+                <div class="empty-icon">🔍</div>
+                <h3>No tasks found</h3>
+                <p>No tasks match your search for "${this.currentSearch}".</p>
+            `;
+        } else {
+            emptyState.innerHTML = `
+                <div class="empty-icon">🎯</div>
+                <h3>No tasks match your filters</h3>
+                <p>Try adjusting your filters or search terms.</p>
+            `;
+        }
+    }
+
+    updateSearchResults() {
+        const searchResults = document.getElementById('searchResults');
+        const matching = this.totalMatching;
+
+        let resultText = '';
+
+        if (this.currentSearch) {
+            resultText = `Found ${matching} result${matching === 1 ? '' : 's'} for "${this.currentSearch}"`;
+        } else if (this.hasActiveFilters()) {
+            resultText = `${matching} task${matching === 1 ? '' : 's'} match your filters`;
+        }
+
+        searchResults.textContent = resultText;
+        searchResults.style.display = resultText ? 'inline' : 'none';
+    }
+
+    hasActiveFilters() {
+        return this.currentFilter !== 'all' ||
+               this.currentCategoryFilter !== 'all' ||
+               this.currentSort !== 'priority';
+    }
+
+    formatDate(dateString) {
+        const date = new Date(dateString);
+        return date.toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: date.getFullYear() !== new Date().getFullYear() ? 'numeric' : undefined
+        });
+    }
+
+    formatTimestamp(dateString) {
+        return new Date(dateString).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    /*
+     * Statistics Methods
+     * Totals come from GET /api/tasks/summary, not from the loaded page
+     */
+    updateStats() {
+        const totalTasks = this.summary ? this.summary.total : 0;
+
+        // Update task count in header
+        const taskCount = document.getElementById('taskCount');
+        taskCount.textContent = `${this.totalMatching} of ${totalTasks} ${totalTasks === 1 ? 'task' : 'tasks'}`;
+
+        if (!this.summary) return;
+
+        document.getElementById('totalTasks').textContent = totalTasks;
+        document.getElementById('completedTasks').textContent = this.summary.completed;
+        document.getElementById('pendingTasks').textContent = this.summary.pending;
+        document.getElementById('highPriorityTasks').textContent = this.summary.highPriority;
+        document.getElementById('overdueTasks').textContent = this.summary.overdue;
+        document.getElementById('categoriesUsed').textContent = Object.keys(this.summary.categories).length;
+
+        this.updateCategoryBreakdown();
+        this.updateDueDateBreakdown();
+    }
+
+    updateCategoryBreakdown() {
+        const categoryStats = document.getElementById('categoryStats');
+
+        // Labels in the list's order, with the server counts
+        const statsHTML = this.labels
+            .filter(label => this.summary.categories[label.key])
+            .map(label => {
+                const stats = this.summary.categories[label.key];
+                const percentage = stats.total > 0 ? Math.round((stats.completed / stats.total) * 100) : 0;
+
+                return `
+                    <div class="category-stat-item" style="border-left-color: ${label.color}">
+                        <div class="category-info">
+                            <span class="category-icon">${this.escapeHtml(label.icon)}</span>
+                            <span class="category-name">${this.escapeHtml(label.name)}</span>
+                        </div>
+                        <div class="category-numbers">
+                            <span class="category-count">${stats.completed}/${stats.total}</span>
+                            <div class="progress-bar">
+                                <div class="progress-fill" style="width: ${percentage}%"></div>
+                            </div>
+                            <span class="category-percentage">${percentage}%</span>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+        categoryStats.innerHTML = statsHTML || '<p class="no-stats">No tasks yet. Add some tasks to see category breakdown!</p>';
+    }
+
+    updateDueDateBreakdown() {
+        const dueDateStats = document.getElementById('dueDateStats');
+
+        const { dueToday, overdue, upcoming, noDueDate } = this.summary;
+
+        const stats = [
+            { label: 'Due Today', count: dueToday, icon: '🔥', class: 'due-today' },
+            { label: 'Overdue', count: overdue, icon: '⚠️', class: 'overdue' },
+            { label: 'Due This Week', count: upcoming, icon: '📅', class: 'upcoming' },
+            { label: 'No Due Date', count: noDueDate, icon: '📋', class: 'no-date' }
+        ];
+
+        const statsHTML = stats
+            .filter(stat => stat.count > 0)
+            .map(stat => `
+                <div class="due-date-stat-item ${stat.class}">
+                    <div class="stat-info">
+                        <span class="stat-icon">${stat.icon}</span>
+                        <span class="stat-name">${stat.label}</span>
+                    </div>
+                    <div class="stat-count">${stat.count}</div>
+                </div>
+            `).join('');
+
+        dueDateStats.innerHTML = statsHTML || '<p class="no-stats">All tasks have optimal due dates!</p>';
+    }
+
+    /*
+     * Dashboard Methods
+     * Charts of GET /api/stats for the current list; days are counted in the
+     * browser's time zone
+     */
+    async openStats() {
+        document.getElementById('statsRangeSelect').value = String(this.statsRangeDays);
+        document.getElementById('statsDialog').classList.add('visible');
+        await this.loadStats();
+    }
+
+    closeStats() {
+        document.getElementById('statsDialog').classList.remove('visible');
+        this.stats = null;
+    }
+
+    async setStatsRange(days) {
+        this.statsRangeDays = days;
+        this.savePreference('statsRange', days);
+        await this.loadStats();
+    }
+
+    async loadStats() {
+        const to = this.toDayKey(new Date());
+        const params = new URLSearchParams({ from: this.addDays(to, 1 - this.statsRangeDays), to, timeZone: this.timeZone });
+        if (this.currentProject) params.set('project', this.currentProject);
+
+        try {
+            this.stats = await this.apiRequest(`/api/stats?${params}`);
+        } catch (error) {
+            console.error('Failed to load stats:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to load stats!'), 'error');
+            this.stats = null;
+        }
+        this.renderStats();
+    }
+
+    // Rounded to the largest unit that fits: minutes, hours or days
+    formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return `${minutes} min`;
+        const hours = Math.round(minutes / 6) / 10;
+        if (hours < 24) return `${hours} h`;
+        const days = Math.round(hours / 2.4) / 10;
+        return `${days} ${days === 1 ? 'day' : 'days'}`;
+    }
+
+    renderStats() {
+        const dashboard = document.getElementById('statsDashboard');
+        const stats = this.stats;
+        if (!stats) {
+            dashboard.innerHTML = '<p class="detail-empty">Stats are not available right now</p>';
+            return;
+        }
+
+        const { current, longest } = stats.streaks;
+        const cards = [
+            { label: 'Completed', value: stats.completed },
+            { label: 'Average time to complete', value: stats.averageCompletionMs === null ? '—' : this.formatDuration(stats.averageCompletionMs) },
+            { label: 'Current streak', value: `${current} ${current === 1 ? 'day' : 'days'}` },
+            { label: 'Longest streak', value: `${longest} ${longest === 1 ? 'day' : 'days'}` }
+        ];
+
+        // Up to a month shows a bar per day, longer ranges a bar per week
+        const daily = stats.completionsByDay.length <= 31;
+        const bars = daily
+            ? stats.completionsByDay.map(({ day, count }) => ({
+                count, label: this.formatDay(day, { month: 'short', day: 'numeric' })
+            }))
+            : stats.completionsByWeek.map(({ week, count }) => ({
+                count, label: `Week of ${this.formatDay(week, { month: 'short', day: 'numeric' })}`
+            }));
+
+        const categoryName = key => {
+            const label = this.getLabel(key);
+            return `${this.escapeHtml(label.icon)} ${this.escapeHtml(label.name)}`;
+        };
+        dashboard.innerHTML = `
+            <div class="stats-cards">
+                ${cards.map(card => `
+                    <div class="stats-card-item">
+                        <span class="stats-value">${card.value}</span>
+                        <span class="stats-label">${card.label}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <h4 class="stats-heading">Completed per ${daily ? 'day' : 'week'}</h4>
+            ${this.renderStatsChart(bars)}
+            <h4 class="stats-heading">Overdue by category</h4>
+            ${this.renderOverdueRates(stats.overdueByCategory, categoryName)}
+            <h4 class="stats-heading">Overdue by priority</h4>
+            ${this.renderOverdueRates(stats.overdueByPriority, key => `${this.getPriorityIcon(key)} ${this.escapeHtml(key)}`)}
+        `;
+    }
+
+    renderStatsChart(bars) {
+        const max = Math.max(1, ...bars.map(bar => bar.count));
+        return `
+            <div class="stats-chart" role="img" aria-label="Completed tasks over time">
+                ${bars.map(bar => `
+                    <div class="stats-bar" title="${bar.label}: ${bar.count} completed">
+                        <div class="stats-bar-fill" style="height: ${(bar.count / max) * 100}%"></div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="stats-chart-axis">
+                <span>${bars[0].label}</span>
+                <span>${bars[bars.length - 1].label}</span>
+            </div>
+        `;
+    }
+
+    // Share of the tasks due in the range that were done late or are still open past their due date
+    renderOverdueRates(groups, describe) {
+        if (groups.length === 0) return '<p class="no-stats">No tasks were due in this range</p>';
+
+        return groups.map(group => {
+            const percentage = Math.round(group.rate * 100);
+            return `
+                <div class="stats-rate">
+                    <span class="stats-rate-name">${describe(group.key)}</span>
+                    <div class="progress-bar">
+                        <div class="progress-fill overdue-fill" style="width: ${percentage}%"></div>
+                    </div>
+                    <span class="stats-rate-count">${group.overdue} of ${group.due} late (${percentage}%)</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Storage Methods
+    saveTasks() {
+    /*
+     * This method is no longer needed as we save through the API
+     * But we keep it to avoid breaking code that calls it
+     */
+    }
+
+    async loadTasks({ append = false, limit = this.getPageSize() } = {}) {
+        const requestId = ++this.loadRequestId;
+        const offset = append ? this.tasks.length : 0;
+
+        try {
+            const url = this.isDateView()
+                ? `/api/tasks/calendar?${this.buildCalendarQuery()}`
+                : `/api/tasks?${this.buildTaskQuery(offset, limit)}`;
+            const page = await this.apiRequest(url);
+
+            // Ignore responses overtaken by a newer filter or search
+            if (requestId !== this.loadRequestId) return;
+
+            const tasks = page.tasks.map(task => this.normalizeTask(task));
+            this.tasks = append ? this.tasks.concat(tasks) : tasks;
+            this.totalMatching = page.total;
+            this.hasMore = Boolean(page.hasMore);
+            this.offlineStore.putTasks(page.tasks).catch(error => console.error('Failed to update the offline copy:', error));
+        } catch (error) {
+            if (error.offline && !append) {
+                await this.loadOfflineTasks(requestId);
+                return;
+            }
+            console.error('Failed to load tasks:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to load tasks!'), 'error');
+            if (!append) {
+                this.tasks = [];
+                this.totalMatching = 0;
+                this.hasMore = false;
+            }
+        }
+    }
+
+    async loadSummary() {
+        try {
+            const params = new URLSearchParams({ timeZone: this.timeZone });
+            if (this.currentProject) params.set('project', this.currentProject);
+            this.summary = await this.apiRequest(`/api/tasks/summary?${params}`);
+        } catch (error) {
+            if (error.offline) {
+                this.summary = this.summarizeTasks(await this.getOfflineTasks());
+                return;
+            }
+            console.error('Failed to load task summary:', error);
+        }
+    }
+
+    normalizeTask(task) {
+        return {
+            ...task,
+            text: task.title, // Map API's 'title' to frontend's 'text'
+            priority: task.priority || 'medium',
+            category: task.category || 'general',
+            labels: task.labels || [],
+            ...this.normalizeBlockers(task),
+            dueDate: task.dueDate || null,
+            dueTime: task.dueTime || null,
+            notes: task.notes || '',
+            status: task.status || (task.completed ? 'done' : 'todo'),
+            order: task.order || 0,
+            focusedUntil: task.focusedUntil || null,
+            reminders: task.reminders || [],
+            items: task.items || [],
+            version: task.__v || 0,
+            assignee: task.assignee || null,
+            commentCount: task.commentCount || 0
+        };
+    }
+
+    /*
+     * List and detail responses carry blockers as { id, title, completed }, the
+     * rest as bare ids; trashed blockers are left out
+     */
+    normalizeBlockers(task) {
+        const entries = (task.blockedBy || []).map(blocker => (typeof blocker === 'string' ? { id: blocker } : blocker));
+        const blockers = entries.filter(blocker => blocker.title !== undefined && !blocker.deletedAt);
+        return {
+            blockedBy: entries.map(blocker => blocker.id),
+            blockers,
+            blocked: Boolean(task.blocked)
+        };
+    }
+
+    /*
+     * fetch() wrapper that turns API error responses into thrown errors
+     * Unreachable servers throw an error with `offline` set and switch to offline mode
+     */
+    async apiRequest(url, options = {}) {
+        let response;
+        try {
+            response = await fetch(url, {
+                ...options,
+                headers: { 'Content-Type': 'application/json', ...options.headers }
+            });
+        } catch (networkError) {
+            this.setOnline(false);
+            throw this.offlineError();
+        }
+
+        if (response.status === 204) return null;
+
+        const body = await response.json().catch(() => null);
+        // An expired session sends the user back to the sign-in screen
+        if (response.status === 401 && !url.startsWith('/api/auth/')) {
+            this.showAuthScreen();
+        }
+
+        if (!response.ok) {
+            const apiError = body && body.error ? body.error : {};
+            const error = new Error(apiError.message || `Request failed with status ${response.status}`);
+            error.status = response.status;
+            error.code = apiError.code;
+            error.details = apiError.details || [];
+            error.current = apiError.current || null;
+            throw error;
+        }
+        return body;
+    }
+
+    // Prefer the server's explanation over a generic message
+    getErrorMessage(error, fallback) {
+        if (error.offline) return 'You are offline; this needs a connection';
+        return error.status ? error.message : fallback;
+    }
+
+    getNextTaskId() {
+        try {
+            const saved = localStorage.getItem('taskflow_counter');
+            return saved ? parseInt(saved) : 1;
+        } catch (error) {
+            console.error('Failed to load task counter:', error);
+            return 1;
+        }
+    }
+
+    // View settings remembered on this browser
+    loadPreference(key, fallback) {
+        try {
+            return localStorage.getItem(`taskflow_${key}`) || fallback;
+        } catch (error) {
+            console.error('Failed to load preference:', error);
+            return fallback;
+        }
+    }
+
+    savePreference(key, value) {
+        try {
+            localStorage.setItem(`taskflow_${key}`, value);
+        } catch (error) {
+            console.error('Failed to save preference:', error);
+        }
+    }
+
+    /*
+     * Offline Methods
+     * Caches the app shell so the app opens without a connection; see sw.js
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+
+    offlineError() {
+        const error = new Error('You are offline');
+        error.offline = true;
+        return error;
+    }
+
+    // Key of the current list in the offline copy
+    getListKey() {
+        return this.currentProject || 'personal';
+    }
+
+    // The offline copy belongs to one user; someone else signing in starts afresh
+    async rememberUser(user) {
+        try {
+            const previous = await this.offlineStore.getMeta('user');
+            if (previous && previous.id !== user.id) {
+                await this.offlineStore.clear();
+            }
+            await this.offlineStore.setMeta('user', user);
+        } catch (error) {
+            console.error('Offline copy unavailable:', error);
+        }
+    }
+
+    saveOfflineMeta(key, value) {
+        this.offlineStore.setMeta(key, value).catch(error => console.error('Failed to update the offline copy:', error));
+    }
+
+    loadOfflineMeta(key) {
+        return this.offlineStore.getMeta(key).catch(() => null);
+    }
+
+    setOnline(online) {
+        if (this.isOnline === online) return;
+        this.isOnline = online;
+        this.updateOfflineBanner();
+        if (online && this.currentUser) {
+            this.syncOfflineChanges();
+        }
+    }
+
+    updateOfflineBanner() {
+        const banner = document.getElementById('offlineBanner');
+        const pending = this.pendingChanges;
+        const changes = `${pending} change${pending === 1 ? '' : 's'}`;
+
+        if (!this.isOnline) {
+            banner.textContent = pending
+                ? `📴 You're offline. ${changes} will sync when you reconnect.`
+                : '📴 You\'re offline. Changes you make will sync when you reconnect.';
+        } else {
+            banner.textContent = `🔄 Syncing ${changes} made offline…`;
+        }
+        banner.classList.toggle('visible', !this.isOnline || pending > 0);
+    }
+
+    // Tasks of the current list in the offline copy, trash left out
+    async getOfflineTasks() {
+        try {
+            const tasks = await this.offlineStore.getTasks(this.getListKey());
+            return tasks.filter(task => !task.deletedAt);
+        } catch (error) {
+            console.error('Offline copy unavailable:', error);
+            return [];
+        }
+    }
 
-        const sortedTasks = this.sortTasks(filteredTasks);
+    // The task list from the offline copy, filtered and sorted like GET /api/tasks
+    async loadOfflineTasks(requestId) {
+        const tasks = (await this.getOfflineTasks())
+            .map(task => this.normalizeTask(task))
+            .filter(task => this.matchesFilters(task) && this.isInCalendarRange(task))
+            .sort((a, b) => this.compareTasks(a, b));
 
-        tasksList.innerHTML = sortedTasks.map(task => {
-            const isOverdue = this.isOverdue(task);
-            const isDueToday = this.isDueToday(task);
-            const dueDateClass = isOverdue ? 'overdue' : isDueToday ? 'due-today' : '';
+        if (requestId !== this.loadRequestId) return;
+        this.tasks = tasks;
+        this.totalMatching = tasks.length;
+        this.hasMore = false;
+    }
 
-            return `
-                <div class="task-item ${task.completed ? 'completed' : ''} priority-${task.priority} category-${task.category} ${dueDateClass}" data-task-id="${task.id}">
-                    <div class="task-content">
-                        <div class="task-checkbox ${task.completed ? 'checked' : ''}"
-                             onclick="taskFlow.toggleTask(${task.id})">
-                        </div>
-                        <div class="task-info">
-                            <span class="task-text">${this.highlightSearchTerm(task.text)}</span>
-                            <div class="task-meta">
-                                <span class="priority-badge priority-${task.priority}">
-                                    ${this.getPriorityIcon(task.priority)} ${task.priority}
-                                </span>
-                                <span class="category-badge category-${task.category}">
-                                    ${this.categories[task.category].icon} ${this.categories[task.category].name}
-                                </span>
-                                <span class="due-date-badge ${dueDateClass}">
-                                    ${this.getDueDateDisplay(task)}
-                                </span>
-                            </div>
-                        </div>
-                    </div>
-                    <div class="task-actions">
-                        <button class="task-btn edit-btn" onclick="taskFlow.editTask(${task.id})" title="Edit task">
-                            ✏️
-                        </button>
-                        <button class="task-btn delete-btn" onclick="taskFlow.deleteTask(${task.id})" title="Delete task">
-                            🗑️
-                        </button>
-                    </div>
-                </div>
-            `;
-        }).join('');
+    /*
+     * Client-side version of the status, category and search filters; today is
+     * this browser's day, as the server is told
+     */
+    matchesFilters(task) {
+        const open = !task.completed;
+
+        const statuses = {
+            completed: () => task.completed,
+            pending: () => open,
+            'high-priority': () => open && task.priority === 'high',
+            overdue: () => this.isOverdue(task),
+            'due-today': () => open && this.isDueToday(task) && !this.isOverdue(task),
+            blocked: () => open && task.blocked,
+            actionable: () => open && !task.blocked,
+            focus: () => this.isFocused(task)
+        };
+        const status = statuses[this.currentFilter];
+        if (status && !status()) return false;
+
+        const category = this.currentCategoryFilter;
+        if (category !== 'all' && task.category !== category && !task.labels.includes(category)) return false;
+
+        return !this.currentSearch || task.text.toLowerCase().includes(this.currentSearch.trim());
     }
 
-    updateEmptyStateMessage() {
-        const emptyState = document.getElementById('emptyState');
+    // Same orders as the server's sorts; open tasks come first
+    compareTasks(a, b) {
+        const rank = { high: 3, medium: 2, low: 1 };
+        const time = (value) => (value ? new Date(value).getTime() : 0);
+        const sortKeys = {
+            priority: task => [-rank[task.priority], -time(task.createdAt)],
+            'due-date': task => [task.dueDate ? 0 : 1, time(task.dueDate), -time(task.createdAt)],
+            'created-desc': task => [-time(task.createdAt)],
+            'created-asc': task => [time(task.createdAt)],
+            alphabetical: task => [task.text.toLowerCase(), -time(task.createdAt)],
+            manual: task => [task.order, -time(task.createdAt)]
+        };
+        const sortKey = sortKeys[this.getListSort()] || sortKeys.priority;
+        const left = [Number(a.completed), ...sortKey(a)];
+        const right = [Number(b.completed), ...sortKey(b)];
 
-        if (this.tasks.length === 0) {
-            emptyState.innerHTML = `
-                <div class="empty-icon">✨</div>
-                <h3>No tasks yet</h3>
-                <p>Add your first task above to get started!</p>
-            `;
-        } else if (this.currentSearch) {
-            emptyState.innerHTML = `
-                <div class="empty-icon">🔍</div>
-                <h3>No tasks found</h3>
-                <p>No tasks match your search for "${this.currentSearch}".</p>
-            `;
-        } else {
-            emptyState.innerHTML = `
-                <div class="empty-icon">🎯</div>
-                <h3>No tasks match your filters</h3>
-                <p>Try adjusting your filters or search terms.</p>
-            `;
+        for (let i = 0; i < left.length; i++) {
+            if (left[i] < right[i]) return -1;
+            if (left[i] > right[i]) return 1;
         }
+        return 0;
     }
 
-    updateSearchResults() {
-        const searchResults = document.getElementById('searchResults');
-        const filteredTasks = this.getFilteredTasks();
-
-        let resultText = '';
+    // Offline stand-in for GET /api/tasks/summary
+    summarizeTasks(tasks) {
+        const now = new Date();
+        const weekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
 
-        if (this.currentSearch) {
-            resultText = `Found ${filteredTasks.length} result${filteredTasks.length === 1 ? '' : 's'} for "${this.currentSearch}"`;
-        } else if (this.hasActiveFilters()) {
-            resultText = `${filteredTasks.length} task${filteredTasks.length === 1 ? '' : 's'} match your filters`;
-        }
+        const summary = {
+            total: tasks.length,
+            completed: 0,
+            highPriority: 0,
+            overdue: 0,
+            dueToday: 0,
+            upcoming: 0,
+            noDueDate: 0,
+            categories: {}
+        };
+        tasks.forEach(task => {
+            const due = task.dueDate ? new Date(task.dueDate) : null;
+            if (task.completed) {
+                summary.completed++;
+            } else {
+                if (task.priority === 'high') summary.highPriority++;
+                if (!due) summary.noDueDate++;
+                else if (this.isOverdue(task)) summary.overdue++;
+                else if (this.isDueToday(task)) summary.dueToday++;
+                if (due && due > now && due <= weekFromNow) summary.upcoming++;
+            }
 
-        searchResults.textContent = resultText;
-        searchResults.style.display = resultText ? 'inline' : 'none';
+            new Set([task.category, ...(task.labels || [])]).forEach(key => {
+                summary.categories[key] = summary.categories[key] || { total: 0, completed: 0 };
+                summary.categories[key].total++;
+                if (task.completed) summary.categories[key].completed++;
+            });
+        });
+        summary.pending = summary.total - summary.completed;
+        return summary;
     }
 
-    hasActiveFilters() {
-        return this.currentFilter !== 'all' ||
-               this.currentCategoryFilter !== 'all' ||
-               this.currentSort !== 'priority';
+    /*
+     * Task writes that also work offline: sent right away when possible, otherwise
+     * applied to the offline copy and queued until the connection returns
+     * Writes made while older ones still wait are queued behind them, to keep their order
+     */
+    async writeTask(request) {
+        if (this.isOnline && this.pendingChanges === 0) {
+            try {
+                return await this.sendWrite(request);
+            } catch (error) {
+                if (!error.offline) throw error;
+            }
+        }
+        return this.queueWrite(request);
     }
 
-    formatDate(dateString) {
-        const date = new Date(dateString);
-        return date.toLocaleDateString('en-US', {
-            month: 'short',
-            day: 'numeric',
-            year: date.getFullYear() !== new Date().getFullYear() ? 'numeric' : undefined
+    sendWrite({ method, url, body, version }) {
+        return this.apiRequest(url, {
+            method,
+            headers: version === undefined ? {} : { 'If-Match': `"${version}"` },
+            body: body === undefined ? undefined : JSON.stringify(body)
         });
     }
 
-    // Statistics Methods
-    updateStats() {
-        const totalTasks = this.tasks.length;
-        const completedTasks = this.tasks.filter(task => task.completed).length;
-        const pendingTasks = totalTasks - completedTasks;
-        const highPriorityTasks = this.tasks.filter(task => task.priority === 'high' && !task.completed).length;
-        const overdueTasks = this.tasks.filter(task => this.isOverdue(task)).length;
-        const usedCategories = new Set(this.tasks.map(task => task.category));
+    async queueWrite(request) {
+        const task = await this.applyOfflineWrite(request);
+        await this.offlineStore.addToOutbox({ ...request, taskId: task.id, queuedAt: new Date().toISOString() });
+        this.pendingChanges++;
+        this.updateOfflineBanner();
+        if (this.isOnline) {
+            this.syncOfflineChanges();
+        }
+        return task;
+    }
 
-        document.getElementById('totalTasks').textContent = totalTasks;
-        document.getElementById('completedTasks').textContent = completedTasks;
-        document.getElementById('pendingTasks').textContent = pendingTasks;
-        document.getElementById('highPriorityTasks').textContent = highPriorityTasks;
-        document.getElementById('overdueTasks').textContent = overdueTasks;
-        document.getElementById('categoriesUsed').textContent = usedCategories.size;
+    /*
+     * Applies a queued write to the offline copy and returns the task as the API
+     * would; checklist, comment and other changes still need a connection
+     */
+    async applyOfflineWrite({ method, url, body }) {
+        if (method === 'POST' && url === '/api/tasks') {
+            const task = this.createLocalTask(body);
+            await this.offlineStore.putTasks([task]);
+            return task;
+        }
 
-        // Update task count in header
-        const filteredTasks = this.getFilteredTasks();
-        const taskCount = document.getElementById('taskCount');
-        taskCount.textContent = `${filteredTasks.length} of ${totalTasks} ${totalTasks === 1 ? 'task' : 'tasks'}`;
+        const match = url.match(/^\/api\/tasks\/(?:trash\/)?([^/]+)(\/restore|\/move)?$/);
+        const task = match ? await this.offlineStore.getTask(match[1]) : null;
+        if (!task) throw this.offlineError();
 
-        this.updateCategoryBreakdown();
-        this.updateDueDateBreakdown();
+        if (method === 'PATCH') this.applyOfflineFields(task, body);
+        if (method === 'DELETE') task.deletedAt = new Date().toISOString();
+        if (match[2] === '/restore') task.deletedAt = null;
+        if (match[2] === '/move') await this.applyOfflineMove(task, body);
+        await this.offlineStore.putTasks([task]);
+        return task;
     }
 
-    updateCategoryBreakdown() {
-        const categoryStats = document.getElementById('categoryStats');
-        const categoryBreakdown = {};
+    // Like the Task model, the status and `completed` move together
+    applyOfflineFields(task, fields) {
+        Object.assign(task, this.toStoredFields(fields));
+        if (fields.status !== undefined) {
+            task.completed = fields.status === 'done';
+        } else if (task.completed !== (task.status === 'done')) {
+            task.status = task.completed ? 'done' : 'todo';
+        }
+    }
 
-        // Initialize all categories
-        Object.keys(this.categories).forEach(cat => {
-            categoryBreakdown[cat] = { total: 0, completed: 0 };
-        });
+    // Offline stand-in for placeTask in lib/taskOrder.js, leaving the same gap at the ends
+    async applyOfflineMove(task, { after, before, ...fields }) {
+        this.applyOfflineFields(task, fields);
+        const [previous, next] = await Promise.all([after, before].map(id => (id ? this.offlineStore.getTask(id) : null)));
+        if (previous && next) task.order = (previous.order + next.order) / 2;
+        else if (previous) task.order = previous.order + 1024;
+        else if (next) task.order = next.order - 1024;
+    }
 
-        // Count tasks by category
-        this.tasks.forEach(task => {
-            if (categoryBreakdown[task.category]) {
-                categoryBreakdown[task.category].total++;
-                if (task.completed) {
-                    categoryBreakdown[task.category].completed++;
-                }
-            }
-        });
+    // Forms send due dates as YYYY-MM-DD; the API answers with timestamps
+    toStoredFields(fields) {
+        const stored = { ...fields };
+        if (typeof stored.dueDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(stored.dueDate)) {
+            stored.dueDate = `${stored.dueDate}T00:00:00.000Z`;
+        }
+        return stored;
+    }
 
-        const statsHTML = Object.keys(this.categories)
-            .filter(cat => categoryBreakdown[cat].total > 0)
-            .map(cat => {
-                const stats = categoryBreakdown[cat];
-                const percentage = stats.total > 0 ? Math.round((stats.completed / stats.total) * 100) : 0;
+    // Stand-in for a task created offline, until the server assigns its id
+    createLocalTask(body) {
+        return {
+            notes: '',
+            labels: [],
+            items: [],
+            reminders: [],
+            blockedBy: [],
+            blocked: false,
+            ...this.toStoredFields(body),
+            id: `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            project: body.project || null,
+            owner: this.currentUser.id,
+            assignee: null,
+            completed: false,
+            status: 'todo',
+            order: Date.now(),
+            commentCount: 0,
+            deletedAt: null,
+            createdAt: new Date().toISOString(),
+            __v: 0
+        };
+    }
 
-                return `
-                    <div class="category-stat-item category-${cat}">
-                        <div class="category-info">
-                            <span class="category-icon">${this.categories[cat].icon}</span>
-                            <span class="category-name">${this.categories[cat].name}</span>
-                        </div>
-                        <div class="category-numbers">
-                            <span class="category-count">${stats.completed}/${stats.total}</span>
-                            <div class="progress-bar">
-                                <div class="progress-fill" style="width: ${percentage}%"></div>
-                            </div>
-                            <span class="category-percentage">${percentage}%</span>
-                        </div>
-                    </div>
-                `;
-            }).join('');
+    // Replays the outbox in order, then refreshes the offline copy of the list
+    async syncOfflineChanges() {
+        if (!this.currentUser) return;
+        if (this.syncing) {
+            this.syncRequested = true;
+            return;
+        }
 
-        categoryStats.innerHTML = statsHTML || '<p class="no-stats">No tasks yet. Add some tasks to see category breakdown!</p>';
+        this.syncing = true;
+        try {
+            this.pendingChanges = await this.offlineStore.countOutbox();
+            this.updateOfflineBanner();
+            if (!this.isOnline) return;
+
+            const synced = await this.flushOutbox();
+            if (synced) {
+                this.showNotification(`Synced ${synced} change${synced === 1 ? '' : 's'} made offline`, 'success');
+                await this.refreshTasks({ keepPages: true });
+            }
+            await this.refreshMirror();
+        } catch (error) {
+            console.error('Failed to sync offline changes:', error);
+        } finally {
+            this.syncing = false;
+            this.updateOfflineBanner();
+            if (this.syncRequested) {
+                this.syncRequested = false;
+                this.syncOfflineChanges();
+            }
+        }
     }
 
-    updateDueDateBreakdown() {
-        const dueDateStats = document.getElementById('dueDateStats');
+    /*
+     * Sends queued writes oldest first and returns how many went through; stops
+     * when the connection drops again
+     */
+    async flushOutbox() {
+        // Versions our own replayed changes left tasks at, so they don't conflict with each other
+        const versions = new Map();
+        let synced = 0;
 
-        const today = this.tasks.filter(t => this.isDueToday(t) && !t.completed).length;
-        const overdue = this.tasks.filter(t => this.isOverdue(t)).length;
-        const upcoming = this.tasks.filter(t => {
-            if (!t.dueDate || t.completed) return false;
-            const dueDate = new Date(t.dueDate);
-            const todayDate = new Date();
-            const weekFromNow = new Date();
-            weekFromNow.setDate(todayDate.getDate() + 7);
-            return dueDate > todayDate && dueDate <= weekFromNow;
-        }).length;
-        const noDate = this.tasks.filter(t => !t.dueDate && !t.completed).length;
+        for (;;) {
+            const [entry] = await this.offlineStore.getOutbox();
+            if (!entry) break;
 
-        const stats = [
-            { label: 'Due Today', count: today, icon: '🔥', class: 'due-today' },
-            { label: 'Overdue', count: overdue, icon: '⚠️', class: 'overdue' },
-            { label: 'Due This Week', count: upcoming, icon: '📅', class: 'upcoming' },
-            { label: 'No Due Date', count: noDate, icon: '📋', class: 'no-date' }
-        ];
+            const taskId = this.syncedIds.get(entry.taskId) || entry.taskId;
+            const request = {
+                ...entry,
+                url: entry.url.replace(entry.taskId, taskId),
+                version: versions.has(taskId) ? versions.get(taskId) : entry.version
+            };
 
-        const statsHTML = stats
-            .filter(stat => stat.count > 0)
-            .map(stat => `
-                <div class="due-date-stat-item ${stat.class}">
-                    <div class="stat-info">
-                        <span class="stat-icon">${stat.icon}</span>
-                        <span class="stat-name">${stat.label}</span>
-                    </div>
-                    <div class="stat-count">${stat.count}</div>
-                </div>
-            `).join('');
+            try {
+                const saved = await this.replayWrite(request);
+                if (saved && saved.id) {
+                    versions.set(saved.id, saved.__v);
+                    if (saved.id !== taskId) {
+                        this.syncedIds.set(entry.taskId, saved.id);
+                        await this.offlineStore.deleteTask(entry.taskId);
+                    }
+                }
+                synced++;
+            } catch (error) {
+                // Still offline, or signed out: keep this write and the rest for later
+                if (error.offline || error.status === 401) break;
+                // The server turned it down, e.g. because the task was deleted meanwhile
+                this.showNotification(`Could not sync ${entry.label}: ${error.message}`, 'error');
+            }
 
-        dueDateStats.innerHTML = statsHTML || '<p class="no-stats">All tasks have optimal due dates!</p>';
+            await this.offlineStore.removeFromOutbox(entry.seq);
+            this.pendingChanges = Math.max(this.pendingChanges - 1, 0);
+            this.updateOfflineBanner();
+        }
+        return synced;
     }
 
-    // Storage Methods
-    saveTasks() {
-    // This method is no longer needed as we save through the API
-    // But we keep it to avoid breaking code that calls it
-    }
-
-async loadTasks() {
-  try {
-    const response = await fetch('/api/tasks');
-    const tasks = await response.json();
-    return tasks.map(task => ({
-      ...task,
-      text: task.title, // Map API's 'title' to frontend's 'text'
-      priority: task.priority || 'medium',
-      category: task.category || 'personal',
-      dueDate: task.dueDate || null
-    }));
-  } catch (error) {
-    console.error('Failed to load tasks:', error);
-    return [];
-  }
-}
+    // Someone else changed the task while we were offline: same choice as for live edits
+    async replayWrite(request) {
+        try {
+            return await this.sendWrite(request);
+        } catch (error) {
+            if (error.status !== 409 || !error.current) throw error;
+            return this.resolveConflict(request.body, this.normalizeTask(error.current));
+        }
+    }
 
-    getNextTaskId() {
+    /*
+     * Reloads the whole current list into the offline copy, so tasks deleted
+     * elsewhere don't linger; skipped while changes wait to sync
+     */
+    async refreshMirror() {
+        if (this.pendingChanges > 0 || !this.isOnline) return;
+
+        const list = this.getListKey();
+        const project = this.currentProject;
+        const tasks = [];
         try {
-            const saved = localStorage.getItem('taskflow_counter');
-            return saved ? parseInt(saved) : 1;
+            for (let offset = 0; offset < this.mirrorLimit; offset += this.maxPageSize) {
+                const params = new URLSearchParams({ limit: this.maxPageSize, offset });
+                if (project) params.set('project', project);
+                const page = await this.apiRequest(`/api/tasks?${params}`);
+                tasks.push(...page.tasks);
+                if (!page.hasMore) break;
+            }
+            await this.offlineStore.replaceTasks(list, tasks);
         } catch (error) {
-            console.error('Failed to load task counter:', error);
-            return 1;
+            console.error('Failed to refresh the offline copy:', error);
         }
     }
 
     // Utility Methods
     escapeHtml(unsafe) {
         return unsafe
-            .replace(/&/g, "&amp;")
-            .replace(/</g, "&lt;")
-            .replace(/>/g, "&gt;")
-            .replace(/"/g, "&quot;")
-            .replace(/'/g, "&#039;");
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    // Same as escapeRegExp in lib/taskQuery.js, so searches match text literally
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     }
 
-    showNotification(message, type = 'info') {
+    /*
+     * `action` ({ label, handler }) adds a button, and keeps the message up longer
+     * `action` is one { label, handler } button or a list of them
+     */
+    showNotification(message, type = 'info', action = null, duration = action ? 6000 : 3000) {
         console.log(`[${type.toUpperCase()}] ${message}`);
 
         const notification = document.createElement('div');
@@ -766,6 +4557,17 @@ async loadTasks() {
         notification.style.background = colors[type] || colors.info;
         notification.textContent = message;
 
+        [].concat(action || []).forEach(({ label, handler }) => {
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'notification-action';
+            actionBtn.textContent = label;
+            actionBtn.addEventListener('click', () => {
+                notification.remove();
+                handler();
+            });
+            notification.appendChild(actionBtn);
+        });
+
         document.body.appendChild(notification);
 
         setTimeout(() => {
@@ -781,32 +4583,262 @@ async loadTasks() {
                     document.body.removeChild(notification);
                 }
             }, 300);
-        }, 3000);
+        }, duration);
     }
 
-    // Export/Import Methods (bonus features)
-    exportTasks() {
-        const dataStr = JSON.stringify(this.tasks, null, 2);
-        const dataBlob = new Blob([dataStr], {type: 'application/json'});
-        const url = URL.createObjectURL(dataBlob);
+    /*
+     * Export/Import Methods (bonus features)
+     * The server builds the file from every task matching the current filters
+     */
+    exportTasks(format = 'json') {
+        const params = new URLSearchParams(this.buildTaskQuery());
+        params.delete('limit');
+        params.delete('offset');
+        if (format === 'ics-event') {
+            params.set('component', 'event');
+        }
+        params.set('format', format === 'ics-event' ? 'ics' : format);
 
         const link = document.createElement('a');
-        link.href = url;
-        link.download = 'taskflow_backup.json';
+        link.href = `/api/tasks/export?${params.toString()}`;
+        // Download even if the server answers with an error instead of leaving the app
+        link.download = '';
         link.click();
+        this.showNotification('Export started', 'success');
+    }
 
-        URL.revokeObjectURL(url);
-        this.showNotification('Tasks exported successfully!', 'success');
+    openImportDialog() {
+        this.importFile = null;
+        this.importReport = null;
+        document.getElementById('importFile').value = '';
+        document.getElementById('importDuplicates').checked = false;
+        this.renderImportPreview();
+        document.getElementById('importDialog').classList.add('visible');
     }
 
-    clearAllTasks() {
-        if (confirm('Are you sure you want to delete ALL tasks? This cannot be undone.')) {
-            this.tasks = [];
-            this.saveTasks();
-            this.renderTasks();
-            this.updateStats();
-            this.updateSearchResults();
-            this.showNotification('All tasks cleared!', 'success');
+    closeImportDialog() {
+        document.getElementById('importDialog').classList.remove('visible');
+        this.importFile = null;
+        this.importReport = null;
+    }
+
+    // Send the chosen file as a dry run so the user can review it first
+    async previewImport(file) {
+        if (file.size > this.maxImportBytes) {
+            this.showNotification('That file is too large to import (5 MB at most)', 'error');
+            return;
+        }
+
+        const format = /\.csv$/i.test(file.name) || file.type === 'text/csv' ? 'csv' : 'json';
+        this.importFile = { name: file.name, format, content: await file.text() };
+        this.importReport = null;
+        this.renderImportPreview();
+
+        try {
+            this.importReport = await this.requestImport(true);
+        } catch (error) {
+            console.error('Error previewing import:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to read the import file!'), 'error');
+            this.importFile = null;
+        }
+        this.renderImportPreview();
+    }
+
+    requestImport(dryRun) {
+        return this.apiRequest('/api/tasks/import', {
+            method: 'POST',
+            body: JSON.stringify({
+                format: this.importFile.format,
+                content: this.importFile.content,
+                project: this.currentProject,
+                includeDuplicates: document.getElementById('importDuplicates').checked,
+                dryRun
+            })
+        });
+    }
+
+    getImportCount() {
+        if (!this.importReport) return 0;
+        const includeDuplicates = document.getElementById('importDuplicates').checked;
+        return this.importReport.new + (includeDuplicates ? this.importReport.duplicates : 0);
+    }
+
+    describeImportRow(row) {
+        if (row.status === 'invalid') {
+            return row.errors.map(error => error.message).join('; ');
+        }
+        if (row.status !== 'duplicate') {
+            return '';
+        }
+        if (row.duplicateOf.row) {
+            return `Same title and due date as row ${row.duplicateOf.row}`;
+        }
+        return row.duplicateOf.reason === 'id' ? 'Already imported' : 'Same title and due date as an existing task';
+    }
+
+    renderImportPreview() {
+        const preview = document.getElementById('importPreview');
+        const confirmBtn = document.getElementById('importConfirm');
+        const report = this.importReport;
+        const count = this.getImportCount();
+
+        confirmBtn.disabled = count === 0;
+        confirmBtn.textContent = `Import ${count} task${count === 1 ? '' : 's'}`;
+
+        if (!report) {
+            preview.innerHTML = this.importFile ? '<p class="detail-empty">Checking the file...</p>' : '';
+            return;
+        }
+
+        const project = this.getCurrentProject();
+        const rowsHTML = report.rows.map(row => `
+            <tr>
+                <td>${row.row}</td>
+                <td>${this.escapeHtml(row.title || '')}</td>
+                <td><span class="import-status ${row.status}">${row.status}</span></td>
+                <td>${this.escapeHtml(this.describeImportRow(row))}</td>
+            </tr>
+        `).join('');
+
+        preview.innerHTML = `
+            <p class="import-summary">
+                ${this.escapeHtml(this.importFile.name)} into ${this.escapeHtml(project ? project.name : 'Personal')}:
+                ${report.new} new, ${report.duplicates} duplicate${report.duplicates === 1 ? '' : 's'},
+                ${report.invalid} invalid
+            </p>
+            <table class="import-rows">
+                <thead><tr><th>Row</th><th>Title</th><th>Status</th><th></th></tr></thead>
+                <tbody>${rowsHTML}</tbody>
+            </table>
+        `;
+    }
+
+    async confirmImport() {
+        if (!this.importFile || this.getImportCount() === 0) return;
+
+        const confirmBtn = document.getElementById('importConfirm');
+        confirmBtn.disabled = true;
+        try {
+            const result = await this.requestImport(false);
+            this.closeImportDialog();
+            await this.refreshTasks();
+            this.showNotification(`Imported ${result.imported} task${result.imported === 1 ? '' : 's'}!`, 'success');
+        } catch (error) {
+            console.error('Error importing tasks:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to import tasks!'), 'error');
+            confirmBtn.disabled = false;
+        }
+    }
+
+    // Trash Methods
+    async openTrash() {
+        document.getElementById('trashDialog').classList.add('visible');
+        await this.loadTrash();
+    }
+
+    closeTrash() {
+        document.getElementById('trashDialog').classList.remove('visible');
+        this.trashTasks = [];
+    }
+
+    async loadTrash() {
+        try {
+            const query = this.currentProject ? `?project=${this.currentProject}` : '';
+            const trash = await this.apiRequest(`/api/tasks/trash${query}`);
+            this.trashTasks = trash.tasks;
+            this.trashRetentionDays = trash.retentionDays;
+        } catch (error) {
+            console.error('Failed to load the trash:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to load the trash!'), 'error');
+            this.trashTasks = [];
+        }
+        this.renderTrash();
+    }
+
+    renderTrash() {
+        const list = document.getElementById('trashList');
+        const canEdit = this.canEdit();
+
+        document.getElementById('trashHint').textContent = this.trashRetentionDays
+            ? `Deleted tasks are removed for good after ${this.trashRetentionDays} days.`
+            : '';
+        document.getElementById('trashEmpty').disabled = !canEdit || this.trashTasks.length === 0;
+
+        if (this.trashTasks.length === 0) {
+            list.innerHTML = '<p class="detail-empty">The trash is empty</p>';
+            return;
+        }
+
+        list.innerHTML = this.trashTasks.map(task => `
+            <div class="trash-item">
+                <div class="trash-info">
+                    <span class="trash-title">${this.escapeHtml(task.title)}</span>
+                    <span class="detail-time">Deleted ${this.formatTimestamp(task.deletedAt)}</span>
+                </div>
+                ${canEdit ? `
+                <div class="trash-actions">
+                    <button class="header-btn" onclick="taskFlow.restoreFromTrash('${task.id}')">Restore</button>
+                    <button class="header-btn" onclick="taskFlow.purgeFromTrash('${task.id}')">Delete forever</button>
+                </div>
+                ` : ''}
+            </div>
+        `).join('');
+    }
+
+    async restoreFromTrash(taskId) {
+        try {
+            const task = await this.restoreTask(taskId);
+            this.recordHistory({
+                label: `restore "${task.title}"`,
+                undo: () => this.trashTask(taskId),
+                redo: () => this.restoreTask(taskId)
+            });
+            await this.loadTrash();
+            await this.refreshTasks();
+            this.showNotification('Task restored!', 'success', this.undoAction());
+        } catch (error) {
+            console.error('Error restoring task:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to restore task!'), 'error');
+        }
+    }
+
+    async purgeFromTrash(taskId) {
+        if (!confirm('Delete this task for good? This cannot be undone.')) return;
+
+        try {
+            await this.apiRequest(`/api/tasks/trash/${taskId}`, { method: 'DELETE' });
+            await this.loadTrash();
+            this.showNotification('Task deleted for good', 'success');
+        } catch (error) {
+            console.error('Error purging task:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to delete task!'), 'error');
+        }
+    }
+
+    async emptyTrash() {
+        if (!confirm('Delete every task in the trash for good? This cannot be undone.')) return;
+
+        try {
+            const query = this.currentProject ? `?project=${this.currentProject}` : '';
+            const { purged } = await this.apiRequest(`/api/tasks/trash${query}`, { method: 'DELETE' });
+            await this.loadTrash();
+            this.showNotification(`Deleted ${purged} task${purged === 1 ? '' : 's'} for good`, 'success');
+        } catch (error) {
+            console.error('Error emptying the trash:', error);
+            this.showNotification(this.getErrorMessage(error, 'Failed to empty the trash!'), 'error');
+        }
+    }
+
+    // Moves every task of the current list to the trash, whatever the filters
+    async clearAllTasks() {
+        const total = this.summary ? this.summary.total : 0;
+        if (total === 0) {
+            this.showNotification('There are no tasks to clear', 'info');
+            return;
+        }
+
+        if (confirm(`Move all ${total} tasks in this list to the trash? You can restore them from the trash.`)) {
+            await this.performBulkAction({ action: 'delete', filter: {} });
         }
     }
 }
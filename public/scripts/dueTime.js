@@ -0,0 +1,66 @@
+/*
+ * Due dates are midnight UTC and name a calendar day; a task's optional due
+ * time says when on that day it is due, read on the clocks of its time zone.
+ * Shared by the page (app.js) and the server, so both put due times at the
+ * same instant
+ */
+const DueTime = (() => {
+    const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+    const DEFAULT_TIME_ZONE = 'UTC';
+    // Reminders of tasks without a due time count back from this time of the due day
+    const DEFAULT_DUE_TIME = '09:00';
+
+    const isTimeZone = (timeZone) => {
+        if (typeof timeZone !== 'string' || !timeZone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    };
+
+    // Milliseconds `timeZone` is ahead of UTC at `date`
+    const zoneOffset = (date, timeZone) => {
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric'
+        }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+
+        const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+        return wall - Math.floor(date.getTime() / 60000) * 60000;
+    };
+
+    // The calendar day (YYYY-MM-DD) `date` falls on in `timeZone`
+    const dayIn = (date, timeZone = DEFAULT_TIME_ZONE) => {
+        return new Date(date.getTime() + zoneOffset(date, timeZone)).toISOString().slice(0, 10);
+    };
+
+    // The instant a task is due, or null without a due date
+    const dueInstant = (dueDate, dueTime, timeZone = DEFAULT_TIME_ZONE) => {
+        if (!dueDate || (dueTime && !TIME_PATTERN.test(dueTime)) || !isTimeZone(timeZone)) return null;
+
+        const [hours, minutes] = (dueTime || DEFAULT_DUE_TIME).split(':').map(Number);
+        const day = new Date(dueDate);
+        const wall = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+
+        /*
+         * The offset at the first guess can differ from the one at the answer when a
+         * clock change falls in between, so correct once more
+         */
+        const guess = wall - zoneOffset(new Date(wall), timeZone);
+        return new Date(wall - zoneOffset(new Date(guess), timeZone));
+    };
+
+    return { TIME_PATTERN, DEFAULT_TIME_ZONE, DEFAULT_DUE_TIME, isTimeZone, dayIn, dueInstant };
+})();
+
+// Export for the server and for potential testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DueTime;
+}
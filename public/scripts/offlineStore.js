@@ -0,0 +1,133 @@
+/*
+ * IndexedDB copy of the signed-in user's tasks, plus the outbox of task changes
+ * made offline; TaskFlow (app.js) reads it whenever the API can't be reached
+ */
+class OfflineStore {
+    constructor(name = 'taskflow') {
+        this.name = name;
+        this.ready = null;
+    }
+
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static done(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Tasks are kept per list: a project id, or 'personal'
+    static listOf(task) {
+        return task.project || 'personal';
+    }
+
+    open() {
+        if (!this.ready) {
+            const request = indexedDB.open(this.name, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('tasks', { keyPath: 'id' }).createIndex('list', 'list');
+                db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+                db.createObjectStore('meta', { keyPath: 'key' });
+            };
+            this.ready = OfflineStore.request(request);
+        }
+        return this.ready;
+    }
+
+    async store(name, mode = 'readonly') {
+        const db = await this.open();
+        return db.transaction(name, mode).objectStore(name);
+    }
+
+    // Task Mirror
+    async getTasks(list) {
+        const store = await this.store('tasks');
+        const records = await OfflineStore.request(store.index('list').getAll(list));
+        return records.map(record => record.task);
+    }
+
+    async getTask(taskId) {
+        const store = await this.store('tasks');
+        const record = await OfflineStore.request(store.get(taskId));
+        return record ? record.task : null;
+    }
+
+    async putTasks(tasks) {
+        const store = await this.store('tasks', 'readwrite');
+        tasks.forEach(task => store.put({ id: task.id, list: OfflineStore.listOf(task), task }));
+        await OfflineStore.done(store.transaction);
+    }
+
+    async deleteTask(taskId) {
+        const store = await this.store('tasks', 'readwrite');
+        store.delete(taskId);
+        await OfflineStore.done(store.transaction);
+    }
+
+    // Swaps a list's copy for `tasks`, dropping tasks deleted elsewhere
+    async replaceTasks(list, tasks) {
+        const store = await this.store('tasks', 'readwrite');
+        const keys = await OfflineStore.request(store.index('list').getAllKeys(list));
+        keys.forEach(key => store.delete(key));
+        tasks.forEach(task => store.put({ id: task.id, list, task }));
+        await OfflineStore.done(store.transaction);
+    }
+
+    // Outbox, replayed in order of `seq`
+    async getOutbox() {
+        const store = await this.store('outbox');
+        return OfflineStore.request(store.getAll());
+    }
+
+    async countOutbox() {
+        const store = await this.store('outbox');
+        return OfflineStore.request(store.count());
+    }
+
+    async addToOutbox(entry) {
+        const store = await this.store('outbox', 'readwrite');
+        const seq = await OfflineStore.request(store.add(entry));
+        await OfflineStore.done(store.transaction);
+        return seq;
+    }
+
+    async removeFromOutbox(seq) {
+        const store = await this.store('outbox', 'readwrite');
+        store.delete(seq);
+        await OfflineStore.done(store.transaction);
+    }
+
+    // Small values such as the signed-in user, projects and labels
+    async getMeta(key) {
+        const store = await this.store('meta');
+        const record = await OfflineStore.request(store.get(key));
+        return record ? record.value : null;
+    }
+
+    async setMeta(key, value) {
+        const store = await this.store('meta', 'readwrite');
+        store.put({ key, value });
+        await OfflineStore.done(store.transaction);
+    }
+
+    // Signing out leaves nothing behind for the next person on this browser
+    async clear() {
+        const db = await this.open();
+        const transaction = db.transaction(['tasks', 'outbox', 'meta'], 'readwrite');
+        ['tasks', 'outbox', 'meta'].forEach(name => transaction.objectStore(name).clear());
+        await OfflineStore.done(transaction);
+    }
+}
+
+// Export for potential testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineStore;
+}
@@ -0,0 +1,237 @@
+/*
+ * Quick add: reads a task's fields from the text typed for it, such as
+ * "Pay rent tomorrow !high #personal" or "every monday standup 9am #work".
+ * Shared by the add form (app.js) and the `quickAdd` field of POST /api/tasks
+ */
+const QuickAdd = (() => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    const MONTHS = [
+        'january', 'february', 'march', 'april', 'may', 'june',
+        'july', 'august', 'september', 'october', 'november', 'december'
+    ];
+    const PRIORITIES = { high: 'high', h: 'high', medium: 'medium', med: 'medium', m: 'medium', low: 'low', l: 'low' };
+
+    const WEEKDAY = '(sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)(?:day|nesday|rsday|urday|sday)?';
+    const FULL_WEEKDAY = `(${WEEKDAYS.join('|')})`;
+    const MONTH = `(${MONTHS.join('|')}|jan|feb|mar|apr|jun|jul|aug|sep|sept|oct|nov|dec)\\.?`;
+    const ORDINAL = '(\\d{1,2})(?:st|nd|rd|th)?';
+
+    // Matches `source` as whole words only, so "today's" or "#work-items" stay intact
+    const wordPattern = (source, flags = 'iu') => new RegExp(`(?<=^|\\s)(?:${source})(?=$|\\s|[.,;!?])`, flags);
+
+    const weekdayOf = (name) => WEEKDAYS.findIndex(day => day.startsWith(name.toLowerCase().slice(0, 3)));
+    const monthOf = (name) => MONTHS.findIndex(month => month.startsWith(name.toLowerCase().slice(0, 3)));
+
+    // Calendar days are midnight UTC Dates, the same as task due dates
+    const today = (now, timeZone) => {
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+            timeZone, year: 'numeric', month: 'numeric', day: 'numeric'
+        }).formatToParts(now).map(part => [part.type, Number(part.value)]));
+        return new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+    };
+
+    const addDays = (day, days) => new Date(day.getTime() + days * DAY_MS);
+
+    // The first of `weekdays` on or after `from` (or strictly after, when `skipFrom` is set)
+    const nextWeekday = (from, weekdays, skipFrom = false) => {
+        for (let offset = skipFrom ? 1 : 0; offset <= 7; offset++) {
+            const day = addDays(from, offset);
+            if (weekdays.includes(day.getUTCDay())) return day;
+        }
+        return from;
+    };
+
+    /*
+     * A valid day of the month, or null for dates like February 30; months past
+     * December run on into the next year
+     */
+    const calendarDay = (year, month, dayOfMonth) => {
+        const first = new Date(Date.UTC(year, month, 1));
+        const day = addDays(first, dayOfMonth - 1);
+        return dayOfMonth >= 1 && day.getUTCMonth() === first.getUTCMonth() ? day : null;
+    };
+
+    const lastDayOfMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0));
+
+    // Day `dayOfMonth` of this month, or of next month once it has passed
+    const nextMonthDay = (from, dayOfMonth) => {
+        for (let offset = 0; offset <= 12; offset++) {
+            const day = calendarDay(from.getUTCFullYear(), from.getUTCMonth() + offset, dayOfMonth);
+            if (day && day >= from) return day;
+        }
+        return null;
+    };
+
+    // A month and day without a year mean their next occurrence
+    const monthAndDay = (from, month, dayOfMonth, year) => {
+        if (year) return calendarDay(Number(year), month, dayOfMonth);
+        const day = calendarDay(from.getUTCFullYear(), month, dayOfMonth);
+        return day && day < from ? calendarDay(from.getUTCFullYear() + 1, month, dayOfMonth) : day;
+    };
+
+    const formatDay = (day) => day.toISOString().slice(0, 10);
+
+    const pad = (value) => String(value).padStart(2, '0');
+
+    // Recurrence phrases; each returns a rule like the task's `recurrence` field
+    const RECURRENCES = [
+        [wordPattern('every day|daily'), () => ({ frequency: 'daily' })],
+        [wordPattern('every other day'), () => ({ frequency: 'interval', interval: 2 })],
+        [wordPattern('every weekday'), () => ({ frequency: 'weekly', weekdays: [1, 2, 3, 4, 5] })],
+        [wordPattern('every weekend'), () => ({ frequency: 'weekly', weekdays: [6, 0] })],
+        [wordPattern('every week|weekly'), () => ({ frequency: 'weekly' })],
+        [wordPattern('every month|monthly'), () => ({ frequency: 'monthly' })],
+        [wordPattern('every (\\d{1,3}) days'), match => ({ frequency: 'interval', interval: Number(match[1]) })],
+        [wordPattern('every (\\d{1,2}) weeks'), match => ({ frequency: 'interval', interval: Number(match[1]) * 7 })],
+        [wordPattern('every (\\d{1,2})(?:st|nd|rd|th)(?: of the month)?'), match => {
+            const dayOfMonth = Number(match[1]);
+            return dayOfMonth >= 1 && dayOfMonth <= 31 ? { frequency: 'monthly', dayOfMonth } : null;
+        }],
+        [wordPattern(`every ${WEEKDAY}(?:(?:,\\s*|,?\\s+and\\s+)${WEEKDAY})*`), match => {
+            const names = match[0].toLowerCase().replace(/^every\s+/, '').split(/,\s*|,?\s+and\s+/);
+            return { frequency: 'weekly', weekdays: [...new Set(names.map(weekdayOf))] };
+        }]
+    ];
+
+    // Date phrases; each returns a calendar day, or null when it isn't a real date
+    const DATES = [
+        [wordPattern('today|tonight'), (match, from) => from],
+        [wordPattern('tomorrow|tmrw?'), (match, from) => addDays(from, 1)],
+        [wordPattern('(\\d{4})-(\\d{2})-(\\d{2})'), match => {
+            return calendarDay(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        }],
+        [wordPattern(`(?:on\\s+)?${MONTH}\\s+${ORDINAL}(?:,?\\s+(\\d{4}))?`), (match, from) => {
+            return monthAndDay(from, monthOf(match[1]), Number(match[2]), match[3]);
+        }],
+        [wordPattern(`(?:on\\s+)?${ORDINAL}\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4}))?`), (match, from) => {
+            return monthAndDay(from, monthOf(match[2]), Number(match[1]), match[3]);
+        }],
+        [wordPattern('in (\\d{1,3}|a|an) (day|week|month)s?'), (match, from) => {
+            const amount = /^an?$/i.test(match[1]) ? 1 : Number(match[1]);
+            const unit = match[2].toLowerCase();
+            if (unit === 'day') return addDays(from, amount);
+            if (unit === 'week') return addDays(from, amount * 7);
+            return calendarDay(from.getUTCFullYear(), from.getUTCMonth() + amount, from.getUTCDate())
+                || lastDayOfMonth(from.getUTCFullYear(), from.getUTCMonth() + amount);
+        }],
+        [wordPattern('next week'), (match, from) => nextWeekday(from, [1], true)],
+        [wordPattern('next month'), (match, from) => calendarDay(from.getUTCFullYear(), from.getUTCMonth() + 1, 1)],
+        // "next friday" is the first Friday after today; "friday" may be today
+        [wordPattern(`next\\s+${WEEKDAY}`), (match, from) => nextWeekday(from, [weekdayOf(match[1])], true)],
+        // Short day names only after "on" or "this", so words like "sun" stay in the title
+        [wordPattern(`(?:on|this)\\s+${WEEKDAY}|${FULL_WEEKDAY}`), (match, from) => {
+            return nextWeekday(from, [weekdayOf(match[1] || match[2])]);
+        }]
+    ];
+
+    // Time phrases; each returns HH:MM on a 24-hour clock
+    const TIMES = [
+        [wordPattern('(?:at\\s+|@)?(\\d{1,2})(?::([0-5]\\d))?\\s?(am|pm)'), match => {
+            const hours = Number(match[1]);
+            if (hours < 1 || hours > 12) return null;
+            const base = hours % 12 + (match[3].toLowerCase() === 'pm' ? 12 : 0);
+            return `${pad(base)}:${match[2] || '00'}`;
+        }],
+        [wordPattern('(?:at\\s+|@)?([01]?\\d|2[0-3]):([0-5]\\d)'), match => `${pad(match[1])}:${match[2]}`],
+        [wordPattern('(?:at\\s+)?noon'), () => '12:00']
+    ];
+
+    const PRIORITY_PATTERN = wordPattern('!(high|medium|med|low|h|m|l)');
+    // Same characters as label keys (models/Label.js), which turns the rest into dashes
+    const TAG_PATTERN = wordPattern('#([\\p{L}\\p{N}][\\p{L}\\p{N}_-]*)', 'giu');
+
+    const toKey = (name) => name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+
+    /*
+     * Runs the phrases on `state.text` in order and takes out the first one that
+     * reads as a valid value
+     */
+    const take = (state, type, phrases) => {
+        for (const [pattern, read] of phrases) {
+            const match = state.text.match(pattern);
+            const value = match ? read(match, state.from) : null;
+            if (value) {
+                state.text = `${state.text.slice(0, match.index)} ${state.text.slice(match.index + match[0].length)}`;
+                state.tokens.push({ type, text: match[0] });
+                return value;
+            }
+        }
+        return null;
+    };
+
+    // First occurrence of a rule, for repeating tasks typed without a date
+    const firstOccurrence = (rule, from) => {
+        if (rule.frequency === 'weekly' && rule.weekdays) return nextWeekday(from, rule.weekdays);
+        if (rule.frequency === 'monthly' && rule.dayOfMonth) return nextMonthDay(from, rule.dayOfMonth);
+        return from;
+    };
+
+    /*
+     * Reads the inline syntax out of `text`; options: now, timeZone (the
+     * runtime's by default), which together say what "today" is.
+     * Returns { title, priority, category, labels, dueDate, dueTime, recurrence, tokens },
+     * with null (or []) for fields the text doesn't mention; `tokens` lists the parsed phrases
+     */
+    const parse = (text, { now = new Date(), timeZone } = {}) => {
+        const state = { text: String(text || ''), from: today(now, timeZone), tokens: [] };
+
+        const priorityMatch = state.text.match(PRIORITY_PATTERN);
+        const priority = priorityMatch ? PRIORITIES[priorityMatch[1].toLowerCase()] : null;
+        if (priorityMatch) {
+            state.text = state.text.replace(PRIORITY_PATTERN, ' ');
+            state.tokens.push({ type: 'priority', text: priorityMatch[0] });
+        }
+
+        // The first tag names the category, any others are further labels
+        const tags = [];
+        state.text = state.text.replace(TAG_PATTERN, (tag, name) => {
+            const key = toKey(name);
+            if (key && !tags.includes(key)) tags.push(key);
+            state.tokens.push({ type: 'tag', text: tag });
+            return ' ';
+        });
+
+        const recurrence = take(state, 'recurrence', RECURRENCES);
+        const date = take(state, 'date', DATES);
+        const dueTime = take(state, 'time', TIMES);
+        // A time without a date is due today; a repeating task starts at its first occurrence
+        const dueDay = date || (recurrence && firstOccurrence(recurrence, state.from)) || (dueTime && state.from);
+
+        // Weekly and monthly rules without a day follow the due date, as on the server
+        if (recurrence && recurrence.frequency === 'weekly' && !recurrence.weekdays) {
+            recurrence.weekdays = [dueDay.getUTCDay()];
+        }
+        if (recurrence && recurrence.frequency === 'monthly' && !recurrence.dayOfMonth) {
+            recurrence.dayOfMonth = dueDay.getUTCDate();
+        }
+
+        return {
+            title: state.text.replace(/\s+/g, ' ').trim(),
+            priority,
+            category: tags[0] || null,
+            labels: tags.slice(1),
+            dueDate: dueDay ? formatDay(dueDay) : null,
+            dueTime,
+            recurrence,
+            tokens: state.tokens
+        };
+    };
+
+    // The task fields a parse() result sets, for POST /api/tasks
+    const toTaskFields = (parsed) => {
+        const fields = { title: parsed.title };
+        ['priority', 'category', 'dueDate', 'dueTime', 'recurrence'].forEach(field => {
+            if (parsed[field]) fields[field] = parsed[field];
+        });
+        if (parsed.labels.length) fields.labels = parsed.labels;
+        return fields;
+    };
+
+    return { parse, toTaskFields };
+})();
+
+// Export for the server and for potential testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuickAdd;
+}
@@ -0,0 +1,70 @@
+/*
+ * Service worker: keeps the app shell available offline. Task data is mirrored
+ * in IndexedDB by the page itself (scripts/offlineStore.js), so API requests
+ * always go to the network
+ */
+
+// Bump the version when the shell's file list changes
+const CACHE_NAME = 'taskflow-shell-v3';
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/styles/main.css',
+    '/scripts/offlineStore.js',
+    '/scripts/dueTime.js',
+    '/scripts/quickAdd.js',
+    '/scripts/app.js',
+    '/manifest.webmanifest',
+    '/icons/icon.svg',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+    const installed = caches.open(CACHE_NAME)
+        .then(cache => cache.addAll(APP_SHELL))
+        .then(() => self.skipWaiting());
+    event.waitUntil(installed);
+});
+
+// Drop the shells of older versions
+self.addEventListener('activate', (event) => {
+    const cleaned = caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+        .then(() => self.clients.claim());
+    event.waitUntil(cleaned);
+});
+
+// Network first, so a new deploy shows up on the next load; the cache answers offline
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    const response = fetch(request)
+        .then(fresh => {
+            if (fresh.ok) {
+                const copy = fresh.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+            }
+            return fresh;
+        })
+        .catch(async() => {
+            const cached = await caches.match(request);
+            if (cached) return cached;
+            return request.mode === 'navigate' ? caches.match('/index.html') : Response.error();
+        });
+    event.respondWith(response);
+});
+
+// Reminder notifications bring the app to the front when clicked
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const focused = self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+        if (windows.length) return windows[0].focus();
+        return self.clients.openWindow('/');
+    });
+    event.waitUntil(focused);
+});
@@ -0,0 +1,54 @@
+const express = require('express');
+const User = require('../models/User');
+const { signToken, setAuthCookie, clearAuthCookie } = require('../lib/auth');
+const { adoptLegacyTasks } = require('../lib/migrations');
+const { unauthorized, unprocessable } = require('../lib/errors');
+const asyncHandler = require('../middleware/asyncHandler');
+const requireAuth = require('../middleware/auth');
+
+const router = express.Router();
+
+// The token only travels in the httpOnly cookie, out of reach of page scripts
+const signIn = (res, user, status = 200) => {
+  setAuthCookie(res, signToken(user));
+  res.status(status).json({ user });
+};
+
+// Body: { name, email, password }
+router.post('/register', asyncHandler(async (req, res) => {
+  const { name, email, password } = req.body;
+  const passwordError = User.checkPasswordRules(password);
+  if (passwordError) {
+    throw unprocessable(passwordError, [{ field: 'password', message: passwordError }]);
+  }
+
+  const user = new User({ name, email });
+  await user.setPassword(password);
+  await user.save();
+  // The first account of an install upgraded from before accounts gets its tasks
+  await adoptLegacyTasks();
+  signIn(res, user, 201);
+}));
+
+// Body: { email, password }
+router.post('/login', asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+  const user = typeof email === 'string' ? await User.findOne({ email: email.trim().toLowerCase() }) : null;
+
+  // Same answer for unknown emails and wrong passwords
+  if (!user || !(await user.checkPassword(password))) {
+    throw unauthorized('Incorrect email or password');
+  }
+  signIn(res, user);
+}));
+
+router.post('/logout', (req, res) => {
+  clearAuthCookie(res);
+  res.status(204).send();
+});
+
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const Membership = require('../models/Membership');
+const requireAuth = require('../middleware/auth');
+const { taskEvents } = require('../lib/taskEvents');
+
+const router = express.Router();
+const HEARTBEAT_MS = 25 * 1000;
+
+router.use(requireAuth);
+
+// Same visibility rules as GET /api/tasks, checked per event since roles can change
+const canSee = async (task, user) => {
+  if (!task.project) return String(task.owner) === String(user._id);
+  return Boolean(await Membership.findRole(task.project, user._id));
+};
+
+// Server-Sent Events stream of task.created, task.updated, task.completed and task.deleted,
+// plus the caller's own reminders as they go off
+router.get('/', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = async ({ type, task }) => {
+    try {
+      if (await canSee(task, req.user)) {
+        res.write(`event: task.${type}\ndata: ${JSON.stringify(task)}\n\n`);
+      }
+    } catch (error) {
+      console.error('Failed to deliver task event:', error);
+    }
+  };
+
+  const remind = (notice) => {
+    if (notice.user.id === req.user.id) {
+      res.write(`event: reminder\ndata: ${JSON.stringify(notice)}\n\n`);
+    }
+  };
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  taskEvents.on('task', send);
+  taskEvents.on('reminder', remind);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    taskEvents.off('task', send);
+    taskEvents.off('reminder', remind);
+  });
+});
+
+module.exports = router;
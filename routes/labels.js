@@ -0,0 +1,90 @@
+const express = require('express');
+const Label = require('../models/Label');
+const { badRequest, conflict, notFound } = require('../lib/errors');
+const { listLabels, relabelTasks } = require('../lib/labels');
+const asyncHandler = require('../middleware/asyncHandler');
+const requireAuth = require('../middleware/auth');
+const { resolveTaskScope, requireLabelRole } = require('../middleware/access');
+
+// Categories and labels of the personal list or of a project; tasks refer to
+// them by key, so renames and merges rewrite those tasks
+const router = express.Router();
+
+router.use(requireAuth);
+
+const pickLabelFields = (body = {}) => {
+  const fields = {};
+  Label.EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Names must stay unique per list once turned into keys
+const ensureKeyFree = async (label) => {
+  const taken = await Label.exists({ ...Label.scopeOf(label), key: label.key, _id: { $ne: label._id } });
+  if (taken) {
+    throw conflict(`A label named "${label.name}" already exists; merge the two instead`, [
+      { field: 'name', message: 'name is already used by another label' }
+    ]);
+  }
+};
+
+// Query params: project
+router.get('/', asyncHandler(async (req, res) => {
+  const scope = await resolveTaskScope(req.query.project, req.user);
+  res.json(await listLabels(scope));
+}));
+
+// Body: { name, icon?, color?, project? }
+router.post('/', asyncHandler(async (req, res) => {
+  const scope = await resolveTaskScope(req.body.project, req.user, 'editor');
+  const label = new Label({ ...pickLabelFields(req.body), ...Label.scopeOf(scope) });
+  await label.validate();
+  await ensureKeyFree(label);
+  await label.save();
+  res.status(201).json(label);
+}));
+
+// Body: { name?, icon?, color? }; a new name moves the label's tasks along
+router.patch('/:id', requireLabelRole('editor'), asyncHandler(async (req, res) => {
+  const label = req.label;
+  const previousKey = label.key;
+  label.set(pickLabelFields(req.body));
+  await label.validate();
+
+  if (label.key !== previousKey) {
+    if (previousKey === Label.DEFAULT_CATEGORY) {
+      throw badRequest('The default category can be recolored but not renamed');
+    }
+    await ensureKeyFree(label);
+  }
+  await label.save();
+  if (label.key !== previousKey) await relabelTasks(label, previousKey, label.key);
+  res.json(label);
+}));
+
+// Body: { into }: moves every task of this label to `into`, then removes it
+router.post('/:id/merge', requireLabelRole('editor'), asyncHandler(async (req, res) => {
+  const label = req.label;
+  const target = await Label.findOne({ ...Label.scopeOf(label), _id: req.body.into });
+  if (!target) throw notFound('Label to merge into not found');
+  if (target._id.equals(label._id)) throw badRequest('A label cannot be merged into itself');
+  if (label.key === Label.DEFAULT_CATEGORY) throw badRequest('The default category cannot be merged away');
+
+  await relabelTasks(label, label.key, target.key);
+  await label.deleteOne();
+  res.json(target);
+}));
+
+// Tasks lose the label; those it was the category of move to the default one
+router.delete('/:id', requireLabelRole('editor'), asyncHandler(async (req, res) => {
+  const label = req.label;
+  if (label.key === Label.DEFAULT_CATEGORY) throw badRequest('The default category cannot be deleted');
+
+  await relabelTasks(label, label.key, null);
+  await label.deleteOne();
+  res.status(204).send();
+}));
+
+module.exports = router;
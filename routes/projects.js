@@ -0,0 +1,147 @@
+const express = require('express');
+const Project = require('../models/Project');
+const Membership = require('../models/Membership');
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const Activity = require('../models/Activity');
+const Label = require('../models/Label');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const User = require('../models/User');
+const { badRequest, forbidden, notFound, conflict } = require('../lib/errors');
+const asyncHandler = require('../middleware/asyncHandler');
+const requireAuth = require('../middleware/auth');
+const { requireProjectRole } = require('../middleware/access');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+const pickProjectFields = (body = {}) => {
+  const fields = {};
+  Project.EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+const withRole = (project, role) => ({ ...project.toJSON(), role });
+
+const toMember = (membership) => ({
+  id: membership.user._id,
+  name: membership.user.name,
+  email: membership.user.email,
+  role: membership.role,
+  joinedAt: membership.createdAt
+});
+
+const validateRole = (role) => {
+  if (!Membership.ROLES.includes(role)) {
+    const message = `role must be one of: ${Membership.ROLES.join(', ')}`;
+    throw badRequest(message, [{ field: 'role', message }]);
+  }
+};
+
+const findMembership = async (project, userId) => {
+  const membership = await Membership.findOne({ project: project._id, user: userId });
+  if (!membership) throw notFound('Member not found');
+  return membership;
+};
+
+// A project must always keep at least one owner
+const ensureAnotherOwner = async (membership) => {
+  if (membership.role !== 'owner') return;
+  const owners = await Membership.countDocuments({ project: membership.project, role: 'owner' });
+  if (owners <= 1) throw badRequest('A project needs at least one owner');
+};
+
+// Projects the caller is a member of, each with the caller's role
+router.get('/', asyncHandler(async (req, res) => {
+  const memberships = await Membership.find({ user: req.user._id }).populate('project');
+  res.json(memberships
+    .filter(membership => membership.project)
+    .map(membership => withRole(membership.project, membership.role)));
+}));
+
+router.post('/', asyncHandler(async (req, res) => {
+  const project = new Project({ ...pickProjectFields(req.body), createdBy: req.user._id });
+  await project.save();
+  await Membership.create({ project: project._id, user: req.user._id, role: 'owner' });
+  res.status(201).json(withRole(project, 'owner'));
+}));
+
+router.get('/:projectId', requireProjectRole('viewer'), (req, res) => {
+  res.json(withRole(req.project, req.role));
+});
+
+router.put('/:projectId', requireProjectRole('owner'), asyncHandler(async (req, res) => {
+  req.project.set(pickProjectFields(req.body));
+  await req.project.save();
+  res.json(withRole(req.project, req.role));
+}));
+
+// Removes the project together with its memberships, labels, tasks and their history
+router.delete('/:projectId', requireProjectRole('owner'), asyncHandler(async (req, res) => {
+  const taskIds = await Task.distinct('_id', { project: req.project._id });
+  await Comment.deleteMany({ task: { $in: taskIds } });
+  await Activity.deleteMany({ project: req.project._id });
+  await Task.deleteMany({ project: req.project._id });
+  await Label.deleteMany({ project: req.project._id });
+  const webhookIds = await Webhook.distinct('_id', { project: req.project._id });
+  await WebhookDelivery.deleteMany({ webhook: { $in: webhookIds } });
+  await Webhook.deleteMany({ _id: { $in: webhookIds } });
+  await Membership.deleteMany({ project: req.project._id });
+  await req.project.deleteOne();
+  res.status(204).send();
+}));
+
+// Membership management
+router.get('/:projectId/members', requireProjectRole('viewer'), asyncHandler(async (req, res) => {
+  const memberships = await Membership.find({ project: req.project._id }).populate('user');
+  res.json(memberships.filter(membership => membership.user).map(toMember));
+}));
+
+// Body: { email, role }
+router.post('/:projectId/members', requireProjectRole('owner'), asyncHandler(async (req, res) => {
+  const { email, role = 'viewer' } = req.body;
+  validateRole(role);
+
+  const user = typeof email === 'string' ? await User.findOne({ email: email.trim().toLowerCase() }) : null;
+  if (!user) throw notFound('No TaskFlow account uses that email');
+  if (await Membership.exists({ project: req.project._id, user: user._id })) {
+    throw conflict(`${user.name} is already a member of this project`);
+  }
+
+  const membership = await Membership.create({ project: req.project._id, user: user._id, role });
+  membership.user = user;
+  res.status(201).json(toMember(membership));
+}));
+
+// Body: { role }
+router.put('/:projectId/members/:userId', requireProjectRole('owner'), asyncHandler(async (req, res) => {
+  validateRole(req.body.role);
+  const membership = await findMembership(req.project, req.params.userId);
+  if (req.body.role !== 'owner') await ensureAnotherOwner(membership);
+
+  membership.role = req.body.role;
+  await membership.save();
+  await membership.populate('user');
+  res.json(toMember(membership));
+}));
+
+// Owners may remove anyone; every member may remove themselves
+router.delete('/:projectId/members/:userId', requireProjectRole('viewer'), asyncHandler(async (req, res) => {
+  const isSelf = req.user._id.equals(req.params.userId);
+  if (!isSelf && req.role !== 'owner') {
+    throw forbidden('Only project owners can remove other members');
+  }
+
+  const membership = await findMembership(req.project, req.params.userId);
+  await ensureAnotherOwner(membership);
+  await membership.deleteOne();
+  // Former members can no longer be assignees
+  await Task.updateMany({ project: req.project._id, assignee: membership.user }, { assignee: null });
+  res.status(204).send();
+}));
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const Task = require('../models/Task');
+const { parseStatsQuery, buildStatsPipeline, formatStats } = require('../lib/taskStats');
+const asyncHandler = require('../middleware/asyncHandler');
+const requireAuth = require('../middleware/auth');
+const { resolveTaskScope } = require('../middleware/access');
+
+// Productivity stats of the personal list or of a project, over a range of
+// days (`from`, `to`) counted in `timeZone`
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get('/', asyncHandler(async (req, res) => {
+  const range = parseStatsQuery(req.query);
+  const scope = await resolveTaskScope(req.query.project, req.user);
+  const result = await Task.aggregate(buildStatsPipeline(scope, range));
+  res.json(formatStats(result, range));
+}));
+
+module.exports = router;
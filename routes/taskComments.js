@@ -0,0 +1,50 @@
+const express = require('express');
+const Comment = require('../models/Comment');
+const Task = require('../models/Task');
+const { forbidden, notFound } = require('../lib/errors');
+const asyncHandler = require('../middleware/asyncHandler');
+const { requireTaskRole } = require('../middleware/access');
+const { recordComment } = require('../lib/activity');
+const { publishTaskEvent } = require('../lib/taskEvents');
+
+// Comment thread of a single task; viewers can read it, editors can post
+const router = express.Router({ mergeParams: true });
+
+// Counters are updated atomically, so publish the change by hand
+const updateCommentCount = async (filter, change) => {
+  const task = await Task.findOneAndUpdate(filter, { $inc: { commentCount: change } }, { new: true });
+  if (task) publishTaskEvent('updated', task);
+};
+
+// Oldest first, like a conversation
+router.get('/', requireTaskRole('viewer'), asyncHandler(async (req, res) => {
+  const comments = await Comment.find({ task: req.task._id })
+    .sort({ createdAt: 1 })
+    .populate('author', 'name');
+  res.json(comments);
+}));
+
+// Body: { body }
+router.post('/', requireTaskRole('editor'), asyncHandler(async (req, res) => {
+  const comment = await Comment.create({ task: req.task._id, author: req.user._id, body: req.body.body });
+  await updateCommentCount({ _id: req.task._id }, 1);
+  await recordComment(req.task, req.user);
+
+  await comment.populate('author', 'name');
+  res.status(201).json(comment);
+}));
+
+// Authors may delete their own comments; owners may delete any
+router.delete('/:commentId', requireTaskRole('viewer'), asyncHandler(async (req, res) => {
+  const comment = await Comment.findOne({ _id: req.params.commentId, task: req.task._id });
+  if (!comment) throw notFound('Comment not found');
+  if (!comment.author.equals(req.user._id) && req.role !== 'owner') {
+    throw forbidden('Only the author or a project owner can delete this comment');
+  }
+
+  await comment.deleteOne();
+  await updateCommentCount({ _id: req.task._id, commentCount: { $gt: 0 } }, -1);
+  res.status(204).send();
+}));
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const { badRequest, notFound } = require('../lib/errors');
+const asyncHandler = require('../middleware/asyncHandler');
+const { requireTaskRole } = require('../middleware/access');
+const { recordChecklist, recordCompletion, recordCreate } = require('../lib/activity');
+
+// Checklist items of a single task; every route responds with the whole task
+const router = express.Router({ mergeParams: true });
+
+router.use(requireTaskRole('editor'));
+
+const findItem = (task, itemId) => {
+  const item = task.items.id(itemId);
+  if (!item) throw notFound('Checklist item not found');
+  return item;
+};
+
+// `summary` describes the change in the task's activity log
+const saveTask = async (req, res, summary, status = 200) => {
+  const { task } = req;
+  const autoCompleted = task.autoComplete && !task.completed && task.isChecklistDone();
+  if (autoCompleted) task.completed = true;
+
+  await task.save();
+  await recordChecklist(task, req.user, summary);
+  if (autoCompleted) await recordCompletion(task, req.user);
+
+  const next = await task.createNextOccurrence();
+  if (next) await recordCreate(next, req.user);
+  res.status(status).json(task);
+};
+
+router.post('/', asyncHandler(async (req, res) => {
+  req.task.items.push({ text: req.body.text });
+  await saveTask(req, res, `added checklist item "${req.task.items[req.task.items.length - 1].text}"`, 201);
+}));
+
+// Body: { itemIds: [...] } listing every item id in the new order
+router.put('/order', asyncHandler(async (req, res) => {
+  const { itemIds } = req.body;
+  const { items } = req.task;
+
+  if (!Array.isArray(itemIds) || itemIds.length !== items.length ||
+      new Set(itemIds).size !== itemIds.length) {
+    throw badRequest('itemIds must list every checklist item exactly once', [
+      { field: 'itemIds', message: 'itemIds must list every checklist item exactly once' }
+    ]);
+  }
+
+  req.task.items = itemIds.map(itemId => findItem(req.task, itemId).toObject());
+  await saveTask(req, res, 'reordered the checklist');
+}));
+
+// Body: { text?, completed? }
+router.patch('/:itemId', asyncHandler(async (req, res) => {
+  const item = findItem(req.task, req.params.itemId);
+  const { text, completed } = req.body;
+
+  const previousText = item.text;
+  if (text !== undefined) item.text = text;
+  if (completed !== undefined) item.completed = completed;
+
+  const summary = text !== undefined && item.text !== previousText
+    ? `renamed checklist item "${previousText}" to "${item.text}"`
+    : `${item.completed ? 'checked' : 'unchecked'} "${item.text}"`;
+  await saveTask(req, res, summary);
+}));
+
+router.delete('/:itemId', asyncHandler(async (req, res) => {
+  const item = findItem(req.task, req.params.itemId);
+  item.deleteOne();
+  await saveTask(req, res, `removed checklist item "${item.text}"`);
+}));
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const Task = require('../models/Task');
+const Membership = require('../models/Membership');
+const { badRequest, forbidden, notFound } = require('../lib/errors');
+const asyncHandler = require('../middleware/asyncHandler');
+const { requireTaskRole } = require('../middleware/access');
+const { publishTaskEvent } = require('../lib/taskEvents');
+
+// Snooze and dismiss for the reminders of a single task; reminders themselves
+// are set through PATCH /api/tasks/:id
+const router = express.Router({ mergeParams: true });
+
+const DEFAULT_SNOOZE_MINUTES = 10;
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+const MINUTE_MS = 60 * 1000;
+
+// The person being reminded may handle it even as a viewer; editors may too
+router.use(requireTaskRole('viewer'), (req, res, next) => {
+  const recipient = req.task.assignee || req.task.owner;
+  if (!recipient.equals(req.user._id) && !Membership.hasRole(req.role, 'editor')) {
+    return next(forbidden('Only the person being reminded or an editor can change this reminder'));
+  }
+  next();
+});
+
+// Sets fields of the reminder in the URL, leaving the rest of the task alone
+const updateReminder = async (req, res, fields) => {
+  const set = Object.fromEntries(
+    Object.entries(fields).map(([field, value]) => [`reminders.$.${field}`, value])
+  );
+  const task = await Task.findOneAndUpdate(
+    { _id: req.task._id, 'reminders._id': req.params.reminderId },
+    { $set: set },
+    { new: true }
+  );
+  if (!task) throw notFound('Reminder not found');
+
+  publishTaskEvent('updated', task);
+  res.json(task);
+};
+
+// Body: { minutes? } until it goes off again, 10 by default
+router.post('/:reminderId/snooze', asyncHandler(async (req, res) => {
+  const minutes = req.body.minutes === undefined ? DEFAULT_SNOOZE_MINUTES : Number(req.body.minutes);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_SNOOZE_MINUTES) {
+    const message = `minutes must be a whole number from 1 to ${MAX_SNOOZE_MINUTES}`;
+    throw badRequest(message, [{ field: 'minutes', message }]);
+  }
+
+  await updateReminder(req, res, {
+    fireAt: new Date(Date.now() + minutes * MINUTE_MS),
+    sentAt: null,
+    dismissedAt: null
+  });
+}));
+
+router.post('/:reminderId/dismiss', asyncHandler(async (req, res) => {
+  await updateReminder(req, res, { fireAt: null, dismissedAt: new Date() });
+}));
+
+module.exports = router;
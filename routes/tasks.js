@@ -0,0 +1,263 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Activity = require('../models/Activity');
+const Label = require('../models/Label');
+const { badRequest, conflict, notFound } = require('../lib/errors');
+const {
+  parseTimeZone,
+  parseTaskQuery,
+  parseDateRange,
+  buildListPipeline,
+  buildExportPipeline,
+  buildSummaryPipeline,
+  formatSummary
+} = require('../lib/taskQuery');
+const { EXPORT_FORMATS } = require('../lib/taskExport');
+const asyncHandler = require('../middleware/asyncHandler');
+const requireAuth = require('../middleware/auth');
+const { resolveTaskScope, requireTaskRole } = require('../middleware/access');
+const { prepareImport, describeRow } = require('../lib/taskImport');
+const { applyBulkAction } = require('../lib/taskBulk');
+const { placeTask } = require('../lib/taskOrder');
+const { snapshotTask, recordCreate, recordCreates, recordUpdate, recordDelete } = require('../lib/activity');
+const { publishTaskEvent } = require('../lib/taskEvents');
+const { DEFAULT_TIME_ZONE, isTimeZone } = require('../public/scripts/dueTime');
+// Shared with the browser, which previews the same parse as you type
+const QuickAdd = require('../public/scripts/quickAdd');
+const taskItemRoutes = require('./taskItems');
+const taskCommentRoutes = require('./taskComments');
+const taskReminderRoutes = require('./taskReminders');
+const trashRoutes = require('./trash');
+
+const router = express.Router();
+
+// Personal tasks are private to their owner; project tasks follow member roles
+router.use(requireAuth);
+
+// Only let clients write the fields they own (not _id, createdAt, ...)
+const pickTaskFields = (body = {}) => {
+  const fields = {};
+  Task.EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Lets clients show what each task waits on without loading the blockers
+const populateBlockers = (tasks) => Task.populate(tasks, { path: 'blockedBy', select: 'title completed deletedAt' });
+
+// ETags are the task's version; every save increments it
+const etag = (task) => `"${task.__v}"`;
+
+const staleTask = (current) => conflict('This task was changed by someone else', [
+  { field: 'version', message: `The current version is ${current.__v}` }
+], { current });
+
+// If-Match is optional, but when sent it must name the version being changed
+const checkVersion = (req, task) => {
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch || ifMatch.trim() === '*') return;
+
+  const tags = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+  if (!tags.includes(etag(task))) throw staleTask(task);
+};
+
+// Query params: project, status, priority, category, search, sort, limit, offset,
+// and timeZone, which decides which day is today for due-today and overdue
+router.get('/', asyncHandler(async (req, res) => {
+  const query = parseTaskQuery(req.query);
+  Object.assign(query.filter, await resolveTaskScope(req.query.project, req.user));
+  const [result] = await Task.aggregate(buildListPipeline(query));
+  const total = result.total.length ? result.total[0].count : 0;
+  const tasks = await populateBlockers(result.tasks.map(task => Task.hydrate(task)));
+  res.json({
+    tasks,
+    total,
+    limit: query.limit,
+    offset: query.offset,
+    hasMore: query.offset + result.tasks.length < total
+  });
+}));
+
+// Query params: from and to (YYYY-MM-DD, at most 92 days apart), project, and
+// the status, priority, category and search of GET /; not paged
+router.get('/calendar', asyncHandler(async (req, res) => {
+  const { from, to, filter, sort } = parseDateRange(req.query);
+  Object.assign(filter, await resolveTaskScope(req.query.project, req.user));
+  const tasks = await populateBlockers(await Task.find(filter).sort(sort));
+  res.json({ from, to, total: tasks.length, tasks });
+}));
+
+// Query params: project and timeZone
+router.get('/summary', asyncHandler(async (req, res) => {
+  const timeZone = parseTimeZone(req.query);
+  const scope = await resolveTaskScope(req.query.project, req.user);
+  const result = await Task.aggregate(buildSummaryPipeline(scope, timeZone));
+  res.json(formatSummary(result));
+}));
+
+// Same filters and sort as GET / without paging, plus `format` (json, csv, md,
+// ics) and, for ics, `component` (todo or event)
+router.get('/export', asyncHandler(async (req, res) => {
+  const { format = 'json', component = 'todo' } = req.query;
+  if (typeof format !== 'string' || !Object.hasOwn(EXPORT_FORMATS, format)) {
+    const message = `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`;
+    throw badRequest(message, [{ field: 'format', message }]);
+  }
+  const exporter = EXPORT_FORMATS[format];
+  if (!['todo', 'event'].includes(component)) {
+    throw badRequest('component must be todo or event', [{ field: 'component', message: 'component must be todo or event' }]);
+  }
+
+  const query = parseTaskQuery(req.query);
+  const scope = await resolveTaskScope(req.query.project, req.user);
+  Object.assign(query.filter, scope);
+  const tasks = (await Task.aggregate(buildExportPipeline(query))).map(task => Task.hydrate(task));
+  const project = scope.project ? await Project.findById(scope.project) : null;
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.attachment(`taskflow-${date}.${exporter.extension}`);
+  res.type(`${exporter.contentType}; charset=utf-8`);
+  res.send(exporter.render(tasks, { scopeName: project ? project.name : 'Personal', component }));
+}));
+
+// Fields read from `quickAdd` text, e.g. "Pay rent tomorrow !high #personal";
+// "today" is the day in the body's time zone
+const quickAddFields = (body) => {
+  if (body.quickAdd === undefined) return {};
+  if (typeof body.quickAdd !== 'string') {
+    const message = 'quickAdd must be a string';
+    throw badRequest(message, [{ field: 'quickAdd', message }]);
+  }
+  const timeZone = isTimeZone(body.timeZone) ? body.timeZone : DEFAULT_TIME_ZONE;
+  return QuickAdd.toTaskFields(QuickAdd.parse(body.quickAdd, { timeZone }));
+};
+
+// Body may name a `project` the caller can edit; otherwise the task is personal.
+// Instead of separate fields, `quickAdd` text can carry them inline; fields
+// given alongside it win over the parsed ones
+router.post('/', asyncHandler(async (req, res) => {
+  const scope = await resolveTaskScope(req.body.project, req.user, 'editor');
+  const fields = { ...quickAddFields(req.body), ...pickTaskFields(req.body) };
+  const task = new Task({ ...fields, ...scope, owner: req.user._id });
+  await task.save();
+  await recordCreate(task, req.user);
+  res.status(201).set('ETag', etag(task)).json(task);
+}));
+
+// Body: { format: 'json' | 'csv', content, project?, dryRun?, includeDuplicates? }
+// Invalid rows are always skipped; duplicates only unless includeDuplicates is set
+router.post('/import', asyncHandler(async (req, res) => {
+  const { format, content } = req.body;
+  const dryRun = req.body.dryRun === true;
+  const includeDuplicates = req.body.includeDuplicates === true;
+  const scope = await resolveTaskScope(req.body.project, req.user, 'editor');
+  const rows = await prepareImport({ format, content, scope, owner: req.user._id });
+
+  const accepted = rows.filter(row => row.status === 'new' || (includeDuplicates && row.status === 'duplicate'));
+  if (!dryRun && accepted.length) {
+    // insertMany skips document middleware, so create their labels and
+    // announce the new tasks here
+    const tasks = await Task.insertMany(accepted.map(row => row.task));
+    await Label.ensureKeys(Label.scopeOf(scope), tasks.flatMap(task => [task.category, ...task.labels]));
+    await recordCreates(tasks, req.user);
+    tasks.forEach(task => publishTaskEvent('created', task));
+  }
+
+  const count = (status) => rows.filter(row => row.status === status).length;
+  res.status(dryRun ? 200 : 201).json({
+    dryRun,
+    total: rows.length,
+    new: count('new'),
+    duplicates: count('duplicate'),
+    invalid: count('invalid'),
+    imported: dryRun ? 0 : accepted.length,
+    rows: rows.map(describeRow)
+  });
+}));
+
+// Body: { action, ids | filter, value?, limit?, project? }
+// Actions: complete, reopen, delete, restore, priority, category, reschedule;
+// `filter` takes the same status, priority, category and search as GET /;
+// `limit` takes only that many of the matching tasks (see lib/taskBulk.js)
+router.post('/bulk', asyncHandler(async (req, res) => {
+  const { action, value, ids, filter, limit } = req.body;
+  const scope = await resolveTaskScope(req.body.project, req.user, 'editor');
+  const { matched, updated, conflicts } = await applyBulkAction({
+    action, value, ids, filter, limit, scope, actor: req.user
+  });
+  res.json({ action, matched, updated: updated.length, ids: updated, conflicts });
+}));
+
+router.use('/trash', trashRoutes);
+
+router.get('/:id', requireTaskRole('viewer'), asyncHandler(async (req, res) => {
+  res.set('ETag', etag(req.task)).json(await populateBlockers(req.task));
+}));
+
+// Moves the task to the trash; see routes/trash.js to restore or purge it
+router.delete('/:id', requireTaskRole('editor'), asyncHandler(async (req, res) => {
+  req.task.deletedAt = new Date();
+  await req.task.save();
+  await recordDelete(req.task, req.user);
+  res.status(204).send();
+}));
+
+// Saves the changes made to req.task since the `before` snapshot
+const saveTaskChanges = async (req, res, before) => {
+  const task = req.task;
+  try {
+    await task.save();
+  } catch (error) {
+    // Someone saved between our read and our write
+    if (!(error instanceof mongoose.Error.VersionError)) throw error;
+    const current = await Task.findById(task._id);
+    if (!current) throw notFound('Task not found');
+    throw staleTask(current);
+  }
+  await recordUpdate(before, task, req.user);
+
+  // Completing a recurring task schedules its next occurrence
+  const next = await task.createNextOccurrence();
+  if (next) await recordCreate(next, req.user);
+  res.set('ETag', etag(task)).json(await populateBlockers(task));
+};
+
+// Partial update: only the fields present in the body change
+const updateTask = asyncHandler(async (req, res) => {
+  checkVersion(req, req.task);
+  const before = snapshotTask(req.task);
+  req.task.set(pickTaskFields(req.body));
+  await saveTaskChanges(req, res, before);
+});
+
+router.patch('/:id', requireTaskRole('editor'), updateTask);
+// Older clients send partial bodies with PUT, so it behaves like PATCH
+router.put('/:id', requireTaskRole('editor'), updateTask);
+
+// Body: { after?, before?, ...fields }, where after and before are the ids of
+// the tasks it now sits between, and fields change along with the move, like
+// the status of the board column the task was dropped in
+router.post('/:id/move', requireTaskRole('editor'), asyncHandler(async (req, res) => {
+  checkVersion(req, req.task);
+  const before = snapshotTask(req.task);
+  req.task.set(pickTaskFields(req.body));
+  await placeTask(req.task, req.body);
+  await saveTaskChanges(req, res, before);
+}));
+
+// Newest first
+router.get('/:id/activity', requireTaskRole('viewer'), asyncHandler(async (req, res) => {
+  const activity = await Activity.find({ task: req.task._id })
+    .sort({ createdAt: -1 })
+    .populate('actor', 'name');
+  res.json(activity);
+}));
+
+router.use('/:id/items', taskItemRoutes);
+router.use('/:id/comments', taskCommentRoutes);
+router.use('/:id/reminders', taskReminderRoutes);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const Task = require('../models/Task');
+const asyncHandler = require('../middleware/asyncHandler');
+const { resolveTaskScope, requireTaskRole } = require('../middleware/access');
+const { recordRestore } = require('../lib/activity');
+const { RETENTION_DAYS, purgeTasks } = require('../lib/trash');
+
+// Deleted tasks, mounted under /api/tasks/trash; requireAuth runs in the parent router
+const router = express.Router();
+
+// Query params: project; most recently deleted first
+router.get('/', asyncHandler(async (req, res) => {
+  const scope = await resolveTaskScope(req.query.project, req.user);
+  const tasks = await Task.find({ ...scope, deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
+  res.json({ tasks, retentionDays: RETENTION_DAYS });
+}));
+
+// Empties the trash of the personal list or of `project`
+router.delete('/', asyncHandler(async (req, res) => {
+  const scope = await resolveTaskScope(req.query.project, req.user, 'editor');
+  const purged = await purgeTasks({ ...scope, deletedAt: { $ne: null } });
+  res.json({ purged });
+}));
+
+router.post('/:id/restore', requireTaskRole('editor', { trashed: true }), asyncHandler(async (req, res) => {
+  req.task.deletedAt = null;
+  await req.task.save();
+  await recordRestore(req.task, req.user);
+  res.json(req.task);
+}));
+
+router.delete('/:id', requireTaskRole('editor', { trashed: true }), asyncHandler(async (req, res) => {
+  await purgeTasks({ _id: req.task._id });
+  res.status(204).send();
+}));
+
+module.exports = router;
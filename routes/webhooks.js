@@ -0,0 +1,81 @@
+const express = require('express');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { badRequest, notFound } = require('../lib/errors');
+const { redeliver } = require('../lib/webhooks');
+const asyncHandler = require('../middleware/asyncHandler');
+const requireAuth = require('../middleware/auth');
+const { resolveTaskScope, requireWebhookRole } = require('../middleware/access');
+
+// Webhook subscriptions of the personal list or of a project, with their
+// delivery logs. Webhooks send tasks off-site, so only project owners manage them
+const router = express.Router();
+
+const DELIVERY_LOG_LIMIT = 100;
+
+router.use(requireAuth);
+
+const pickWebhookFields = (body = {}) => {
+  const fields = {};
+  Webhook.EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Query params: project
+router.get('/', asyncHandler(async (req, res) => {
+  const scope = await resolveTaskScope(req.query.project, req.user, 'owner');
+  res.json(await Webhook.find(Webhook.scopeOf(scope)).sort({ createdAt: -1 }));
+}));
+
+// Body: { url, events?, secret?, active?, project? }
+// The secret is generated unless given, and only returned here
+router.post('/', asyncHandler(async (req, res) => {
+  const scope = await resolveTaskScope(req.body.project, req.user, 'owner');
+  const webhook = await Webhook.create({
+    ...pickWebhookFields(req.body),
+    owner: req.user._id,
+    project: scope.project || null
+  });
+  res.status(201).json({ ...webhook.toJSON(), secret: webhook.secret });
+}));
+
+router.get('/:id', requireWebhookRole('owner'), (req, res) => {
+  res.json(req.webhook);
+});
+
+// Body: { url?, events?, secret?, active? }
+router.patch('/:id', requireWebhookRole('owner'), asyncHandler(async (req, res) => {
+  req.webhook.set(pickWebhookFields(req.body));
+  await req.webhook.save();
+  res.json(req.webhook);
+}));
+
+router.delete('/:id', requireWebhookRole('owner'), asyncHandler(async (req, res) => {
+  await WebhookDelivery.deleteMany({ webhook: req.webhook._id });
+  await req.webhook.deleteOne();
+  res.status(204).send();
+}));
+
+// Newest first; query params: status (pending, succeeded or failed)
+router.get('/:id/deliveries', requireWebhookRole('owner'), asyncHandler(async (req, res) => {
+  const filter = { webhook: req.webhook._id };
+  if (req.query.status) {
+    if (!WebhookDelivery.STATUSES.includes(req.query.status)) {
+      const message = `status must be one of: ${WebhookDelivery.STATUSES.join(', ')}`;
+      throw badRequest(message, [{ field: 'status', message }]);
+    }
+    filter.status = req.query.status;
+  }
+  res.json(await WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(DELIVERY_LOG_LIMIT));
+}));
+
+// Sends the same payload again and answers with the outcome of that attempt
+router.post('/:id/deliveries/:deliveryId/redeliver', requireWebhookRole('owner'), asyncHandler(async (req, res) => {
+  const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: req.webhook._id });
+  if (!delivery) throw notFound('Delivery not found');
+  res.json(await redeliver(delivery, req.webhook));
+}));
+
+module.exports = router;
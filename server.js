@@ -1,40 +1,51 @@
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const connectDB = require('./database');
-const Task = require('./models/Task');
+const authRoutes = require('./routes/auth');
+const projectRoutes = require('./routes/projects');
+const taskRoutes = require('./routes/tasks');
+const eventRoutes = require('./routes/events');
+const labelRoutes = require('./routes/labels');
+const webhookRoutes = require('./routes/webhooks');
+const statsRoutes = require('./routes/stats');
+const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { startTrashPurge } = require('./lib/trash');
+const { startReminderScheduler } = require('./lib/reminders');
+const { startWebhooks } = require('./lib/webhooks');
+const { runMigrations } = require('./lib/migrations');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Connect to database
-connectDB();
+connectDB().then(() => {
+  runMigrations().catch(error => console.error('Migrations failed:', error));
+  startTrashPurge();
+  startReminderScheduler();
+  startWebhooks();
+});
 
 app.use(cors());
+// Imports carry whole files; every other request keeps the default size limit
+app.use('/api/tasks/import', express.json({ limit: '5mb' }));
 app.use(express.json());
+app.use(cookieParser());
 app.use(express.static('public'));
 
 // API Routes with MongoDB
-app.get('/api/tasks', async (req, res) => {
-  const tasks = await Task.find();
-  res.json(tasks);
-});
-
-app.post('/api/tasks', async (req, res) => {
-  const task = new Task(req.body);
-  await task.save();
-  res.status(201).json(task);
-});
-
-app.delete('/api/tasks/:id', async (req, res) => {
-  await Task.findByIdAndDelete(req.params.id);
-  res.status(204).send();
-});
-
-app.put('/api/tasks/:id', async (req, res) => {
-  const task = await Task.findByIdAndUpdate(req.params.id, req.body, { new: true });
-  res.json(task);
-});
+app.use('/api/auth', authRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/labels', labelRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/stats', statsRoutes);
+
+// Errors
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
 
 app.listen(PORT, () => {
   console.log(`TaskFlow server on port ${PORT}`);
-});
\ No newline at end of file
+});